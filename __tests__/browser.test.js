@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import {QvdDataFrame, QvdSymbol} from '../src';
+import * as browserIo from '../src/io.browser';
+
+// Substitutes the Node.js specific input/output operations by their browser counterpart, like bundlers do
+jest.mock('../src/io', () => jest.requireActual('../src/io.browser'));
+
+const nodeIo = jest.requireActual('../src/io');
+
+/**
+ * Reads the XML header of a QVD file.
+ *
+ * @param {string} name The name of the QVD file in the test data directory.
+ * @return {string} The XML header.
+ */
+function readHeader(name) {
+  const bytes = fs.readFileSync(path.join(__dirname, 'data', name));
+
+  return bytes.subarray(0, bytes.indexOf(0)).toString('utf-8');
+}
+
+test('Parse the XML header of QVD files like in Node.js', async () => {
+  for (const name of ['small.qvd', 'medium.qvd', 'large.qvd']) {
+    const header = readHeader(name);
+
+    expect(await browserIo.parseXml(header)).toEqual(await nodeIo.parseXml(header));
+  }
+});
+
+test('Parse XML with attributes, entities, CDATA sections and mixed content like in Node.js', async () => {
+  const text =
+    '<?xml version="1.0"?><!-- Comment --><R a="1" b=\'&quot;\'><A>x &amp; &#65;&#x42;</A><E/><W>  </W>' +
+    '<L><C>1</C><C>2</C></L><M>t<X>1</X>u</M><Cd><![CDATA[<z>]]></Cd></R>';
+
+  expect(await browserIo.parseXml(text)).toEqual(await nodeIo.parseXml(text));
+  expect(await browserIo.parseXml('')).toBeNull();
+});
+
+test('Reject malformed XML', async () => {
+  for (const text of ['<R><A></R>', '<R>', 'x<R/>', '<R>&foo;</R>', '<R><</R>']) {
+    await expect(browserIo.parseXml(text)).rejects.toThrow();
+    await expect(nodeIo.parseXml(text)).rejects.toThrow();
+  }
+});
+
+test('Build XML like in Node.js', () => {
+  const object = {
+    R: {
+      A: 'x & <y> "q"\r\n',
+      E: '',
+      N: 5,
+      L: [{C: 1}, {C: 2}],
+      S: ['a', 'b'],
+      O: {},
+      At: {$: {k: 'v"&'}, _: 't'},
+      Nested: {X: {Y: ''}},
+    },
+  };
+
+  expect(browserIo.buildXml(object)).toBe(nodeIo.buildXml(object));
+});
+
+test('Read and write QVD files from and to in-memory bytes without Node.js specific operations', async () => {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'data/small.qvd')));
+  const df = await QvdDataFrame.fromBuffer(bytes);
+
+  expect(df.shape).toEqual([606, 8]);
+
+  const writtenBytes = await df.toBuffer();
+  const writtenDf = await QvdDataFrame.fromBuffer(writtenBytes);
+
+  expect(writtenBytes).not.toBeInstanceOf(Buffer);
+  expect(writtenDf.columns).toEqual(df.columns);
+  expect(writtenDf.data).toEqual(df.data);
+  expect(QvdSymbol.fromIntValue(1).toByteRepresentation()).not.toBeInstanceOf(Buffer);
+  await expect(QvdDataFrame.fromQvd('__tests__/data/small.qvd')).rejects.toThrow(/requires Node\.js/);
+});
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import {QvdDataFrame, QvdFileReader} from '../src';
+import {run} from '../src/commands';
+
+/**
+ * Runs the command line interface and captures its output.
+ *
+ * @param {...string} args The command line arguments.
+ * @return {Promise<{exitCode: number, stdout: string, stderr: string}>} The exit code and the printed output.
+ */
+async function runCli(...args) {
+  let stdout = '';
+  let stderr = '';
+
+  const exitCode = await run(args, {
+    stdout: {write: (text) => (stdout += text)},
+    stderr: {write: (text) => (stderr += text)},
+  });
+
+  return {exitCode, stdout, stderr};
+}
+
+test('Print the header metadata of a QVD file', async () => {
+  const {exitCode, stdout} = await runCli('info', '__tests__/data/small.qvd');
+
+  expect(exitCode).toBe(0);
+  expect(stdout).toMatch(/^Table: +\S+/m);
+  expect(stdout).toMatch(/^Records: +606$/m);
+
+  const json = await runCli('info', '__tests__/data/small.qvd', '--format', 'json');
+
+  expect(JSON.parse(json.stdout).NoOfRecords).toBe(606);
+});
+
+test('Print the schema of a QVD file', async () => {
+  const {exitCode, stdout} = await runCli('schema', '__tests__/data/small.qvd', '--format', 'json');
+  const fields = JSON.parse(stdout);
+
+  expect(exitCode).toBe(0);
+  expect(fields.map((field) => field.name)).toEqual([
+    'ProductKey',
+    'ProductSubcategoryKey',
+    'ProductName',
+    'Color',
+    'ListPrice',
+    'Size',
+    'Weight',
+    'DaysToManufacture',
+  ]);
+});
+
+test('Print the first and last rows of a QVD file', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd', {columns: ['ProductKey', 'ProductName']});
+
+  const head = await runCli(
+    'head',
+    '__tests__/data/small.qvd',
+    '-n',
+    '3',
+    '-c',
+    'ProductKey,ProductName',
+    '-f',
+    'json',
+  );
+  const tail = await runCli(
+    'tail',
+    '__tests__/data/small.qvd',
+    '-n',
+    '2',
+    '-c',
+    'ProductKey,ProductName',
+    '-f',
+    'json',
+  );
+
+  expect(head.exitCode).toBe(0);
+  expect(JSON.parse(head.stdout).map((record) => Object.values(record))).toEqual(df.head(3).data);
+  expect(JSON.parse(tail.stdout).map((record) => Object.values(record))).toEqual(df.tail(2).data);
+
+  const table = await runCli('head', '__tests__/data/small.qvd', '-n', '3', '-c', 'ProductKey,ProductName');
+
+  expect(table.stdout.trimEnd().split('\n')).toHaveLength(5);
+  expect(table.stdout).toMatch(/^ProductKey +\| ProductName$/m);
+});
+
+test('Validate a valid and a damaged QVD file', async () => {
+  const valid = await runCli('validate', '__tests__/data/small.qvd');
+
+  expect(valid.exitCode).toBe(0);
+  expect(valid.stdout).toMatch(/valid, 606 records/);
+
+  const invalid = await runCli('validate', '__tests__/data/damaged.qvd');
+
+  expect(invalid.exitCode).toBe(1);
+  expect(invalid.stdout).toMatch(/invalid, QvdHeaderError/);
+
+  const lenient = await runCli('validate', '__tests__/data/damaged.qvd', '--lenient');
+
+  expect(lenient.exitCode).toBe(1);
+  expect(lenient.stdout).toMatch(/records recoverable/);
+});
+
+test('Convert a QVD file to CSV, JSON and NDJSON and back', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd', {columns: ['ProductKey', 'ProductName', 'Color']});
+
+  for (const format of ['csv', 'json', 'ndjson']) {
+    const convertedPath = `__tests__/data/written_converted.${format}`;
+    const roundTrippedPath = `__tests__/data/written_converted_${format}.qvd`;
+
+    try {
+      expect(
+        (await runCli('convert', '__tests__/data/small.qvd', convertedPath, '-c', 'ProductKey,ProductName,Color'))
+          .exitCode,
+      ).toBe(0);
+      expect((await runCli('convert', convertedPath, roundTrippedPath)).exitCode).toBe(0);
+
+      const roundTrippedDf = await QvdDataFrame.fromQvd(roundTrippedPath);
+
+      expect(roundTrippedDf.columns).toEqual(df.columns);
+      expect(roundTrippedDf.data).toEqual(df.data);
+    } finally {
+      fs.rmSync(convertedPath, {force: true});
+      fs.rmSync(roundTrippedPath, {force: true});
+    }
+  }
+});
+
+test('Convert a QVD file to a QVD file with its header metadata', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Id', 'Day'],
+    data: [
+      [1, new Date('2024-01-01T00:00:00Z')],
+      [2, new Date('2024-01-02T00:00:00Z')],
+    ],
+  });
+
+  try {
+    await df.toQvd('__tests__/data/written_source.qvd', {
+      schema: {Id: {tags: ['$key']}, Day: {type: 'timestamp', numberFormat: {Fmt: 'DD.MM.YYYY hh:mm'}}},
+    });
+
+    const {exitCode} = await runCli(
+      'convert',
+      '__tests__/data/written_source.qvd',
+      '__tests__/data/written_target.qvd',
+    );
+    const sourceMetadata = await QvdFileReader.readMetadata('__tests__/data/written_source.qvd');
+    const targetMetadata = await QvdFileReader.readMetadata('__tests__/data/written_target.qvd');
+
+    expect(exitCode).toBe(0);
+    expect(targetMetadata.TableName).toBe('written_source');
+    expect(targetMetadata.Fields[0].Tags).toEqual(['$key']);
+    expect(targetMetadata.Fields[1].NumberFormat).toEqual(sourceMetadata.Fields[1].NumberFormat);
+  } finally {
+    fs.rmSync('__tests__/data/written_source.qvd', {force: true});
+    fs.rmSync('__tests__/data/written_target.qvd', {force: true});
+  }
+});
+
+test('Convert a range of rows of a QVD file', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+
+  try {
+    const {exitCode} = await runCli(
+      'convert',
+      '__tests__/data/small.qvd',
+      '__tests__/data/written_converted.out',
+      '--to',
+      'ndjson',
+      '--offset',
+      '10',
+      '--limit',
+      '5',
+    );
+
+    const records = fs
+      .readFileSync('__tests__/data/written_converted.out', 'utf-8')
+      .trimEnd()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+    expect(exitCode).toBe(0);
+    expect(records.map((record) => Object.values(record))).toEqual(df.rows(10, 11, 12, 13, 14).data);
+  } finally {
+    fs.rmSync('__tests__/data/written_converted.out', {force: true});
+  }
+});
+
+test('Convert a CSV file with dual values to JSON', async () => {
+  try {
+    fs.writeFileSync('__tests__/data/written_dual.csv', 'Code,Name\n00123,A\n7,\n');
+
+    const {exitCode} = await runCli('convert', '__tests__/data/written_dual.csv', '__tests__/data/written_dual.json');
+
+    expect(exitCode).toBe(0);
+    expect(JSON.parse(fs.readFileSync('__tests__/data/written_dual.json', 'utf-8'))).toEqual([
+      {Code: '00123', Name: 'A'},
+      {Code: 7, Name: null},
+    ]);
+  } finally {
+    fs.rmSync('__tests__/data/written_dual.csv', {force: true});
+    fs.rmSync('__tests__/data/written_dual.json', {force: true});
+  }
+});
+
+test('Reject invalid command line arguments', async () => {
+  expect((await runCli('unknown')).exitCode).toBe(2);
+  expect((await runCli('head')).exitCode).toBe(2);
+  expect((await runCli('head', '__tests__/data/small.qvd', '-n', 'many')).exitCode).toBe(2);
+  expect((await runCli('convert', '__tests__/data/small.qvd', 'output.xyz')).exitCode).toBe(2);
+  expect((await runCli('--help')).exitCode).toBe(0);
+});
@@ -0,0 +1,72 @@
+import {QvdDataFrame, QvdSymbol} from '../src';
+
+test('Convert a QVD file to its columnar representation and back', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+  const columnar = await df.toColumnar();
+
+  // The columns are read as they are stored, without expanding the data frame to rows
+  expect(df._data).toBeNull();
+  expect(columnar.length).toBe(606);
+  expect(columnar.columns.map((column) => column.name)).toEqual(df.columns);
+
+  const productKey = columnar.columns[0];
+
+  expect(productKey.type).toBe('int32');
+  expect(productKey.values).toBeInstanceOf(Int32Array);
+  expect(productKey.validity).toBeNull();
+
+  const productName = columnar.columns[df.columns.indexOf('ProductName')];
+
+  // Dictionary encoded columns mirror the symbol table of the QVD file
+  expect(productName.type).toBe('dictionary');
+  expect(productName.dictionary).toHaveLength(504);
+  expect(productName.dictionary[productName.values[0]]).toBe(df.at(0, 'ProductName'));
+
+  expect((await QvdDataFrame.fromColumnar(columnar)).data).toEqual(df.data);
+});
+
+test('Convert values of all types to their columnar representation', async () => {
+  const df = new QvdDataFrame(
+    [
+      [1, 1, new Date(Date.UTC(2024, 0, 1)), 'A', QvdSymbol.fromDualIntValue(7, '007'), null],
+      [null, 2.5, null, 'B', 'x', null],
+      [3, 2 ** 40, new Date(Date.UTC(2024, 0, 2)), 'A', 8, null],
+    ],
+    ['Int', 'Double', 'Date', 'String', 'Mixed', 'Null'],
+  );
+  const columns = (await df.toColumnar()).columns;
+
+  expect(columns.map((column) => column.type)).toEqual([
+    'int32',
+    'float64',
+    'timestamp',
+    'dictionary',
+    'dictionary',
+    'dictionary',
+  ]);
+
+  expect(Array.from(columns[0].values)).toEqual([1, 0, 3]);
+  expect(Array.from(columns[0].validity)).toEqual([0b101]);
+  expect(columns[0].nullCount).toBe(1);
+  expect(columns[1].values).toBeInstanceOf(Float64Array);
+  expect(Array.from(columns[1].values)).toEqual([1, 2.5, 2 ** 40]);
+  expect(Array.from(columns[2].values)).toEqual([Date.UTC(2024, 0, 1), 0, Date.UTC(2024, 0, 2)]);
+  expect(columns[3].dictionary).toEqual(['A', 'B']);
+  expect(Array.from(columns[3].values)).toEqual([0, 1, 0]);
+  expect(columns[4].dictionary).toEqual(['007', 'x', 8]);
+  expect(columns[5]).toMatchObject({dictionary: [], nullCount: 3});
+
+  const columnarDf = await QvdDataFrame.fromColumnar(await df.toColumnar());
+
+  expect(columnarDf.columns).toEqual(df.columns);
+  expect(columnarDf.data[1]).toEqual([null, 2.5, null, 'B', 'x', null]);
+  expect(columnarDf.data[2]).toEqual([3, 2 ** 40, new Date(Date.UTC(2024, 0, 2)), 'A', 8, null]);
+});
+
+test('Keep null values following mixed values in their columnar representation', async () => {
+  const df = new QvdDataFrame([['A'], [1], [null]], ['Mixed']);
+  const [column] = (await df.toColumnar()).columns;
+
+  expect(column).toMatchObject({type: 'dictionary', dictionary: ['A', 1], nullCount: 1});
+  expect((await QvdDataFrame.fromColumnar(await df.toColumnar())).data).toEqual(df.data);
+});
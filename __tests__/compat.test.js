@@ -0,0 +1,84 @@
+import path from 'path';
+import {QvdDataFrame, QvdFileReader} from '../src';
+
+/**
+ * The fixtures of the compatibility suite cover header variants of QlikView 11/12 and several Qlik Sense releases,
+ * each fixture differs in a single aspect from the common layout.
+ */
+const FIXTURES = [
+  ['qlikview11_empty_table.qvd', ['Key', 'Value'], []],
+  ['qlikview12_single_field.qvd', ['Key'], [[1], [2], [3], [2]]],
+  [
+    'sense_no_symbols_field.qvd',
+    ['Key', 'Missing'],
+    [
+      [10, null],
+      [20, null],
+      [10, null],
+    ],
+  ],
+  ['bom_whitespace_lf.qvd', ['Name'], [['Beta'], ['Alpha']]],
+  ['sense_cloud_nul_terminated.qvd', ['Amount'], [[1.5], [2.5]]],
+  [
+    'omitted_layout_properties.qvd',
+    ['A', 'B'],
+    [
+      [7, 'y'],
+      [8, 'x'],
+    ],
+  ],
+  [
+    'qlikview12_zero_width_records.qvd',
+    ['Constant', 'Null'],
+    [
+      ['Constant', null],
+      ['Constant', null],
+      ['Constant', null],
+    ],
+  ],
+];
+
+test.each(FIXTURES)('Parsing the compatibility fixture %s', async (name, columns, data) => {
+  const source = path.join(__dirname, 'data/compat', name);
+  const df = await QvdDataFrame.fromQvd(source);
+
+  expect(df.columns).toEqual(columns);
+  expect(df.shape).toEqual([data.length, columns.length]);
+  expect(df.data).toEqual(data);
+
+  const rows = [];
+
+  for await (const row of new QvdFileReader(source).rows()) {
+    rows.push(row);
+  }
+
+  expect(rows).toEqual(data);
+
+  // Rewriting the parsed QVD file yields the common layout, which is parsed the same way
+  const rewrittenDf = await QvdDataFrame.fromBuffer(await df.toBuffer());
+
+  expect(rewrittenDf.columns).toEqual(columns);
+  expect(rewrittenDf.data).toEqual(data);
+});
+
+test('Parsing the header variants of the compatibility fixtures', async () => {
+  const cloud = await QvdFileReader.readMetadata(path.join(__dirname, 'data/compat/sense_cloud_nul_terminated.qvd'));
+
+  expect(cloud.TableTags).toEqual(['$incremental']);
+  expect(cloud.Lineage).toEqual([{Discriminator: 'LIB://Data/amounts.csv', Statement: 'LOAD * FROM amounts.csv;'}]);
+  expect(cloud.Fields[0].Tags).toEqual(['$numeric', '$ascii']);
+
+  const implied = await QvdFileReader.readMetadata(path.join(__dirname, 'data/compat/omitted_layout_properties.qvd'));
+
+  expect(implied.Fields.map((field) => [field.Offset, field.Length])).toEqual([
+    [0, 10],
+    [10, 6],
+  ]);
+  expect(implied.Length).toBe(2);
+
+  const padded = await QvdFileReader.readMetadata(path.join(__dirname, 'data/compat/bom_whitespace_lf.qvd'));
+
+  expect(padded.TableName).toBe('Names');
+  expect(padded.NoOfRecords).toBe(2);
+  expect(padded.Fields[0].BitWidth).toBe(1);
+});
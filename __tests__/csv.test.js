@@ -0,0 +1,155 @@
+import fs from 'fs';
+import {Readable} from 'stream';
+import {pipeline} from 'stream/promises';
+import {QvdDataFrame, QvdCsvReader, QvdCsvWriter, QvdSymbol} from '../src';
+
+test('Convert a QVD file to a CSV file and back', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+
+  await df.toCsv('__tests__/data/written.csv');
+
+  const csvDf = await QvdDataFrame.fromCsv('__tests__/data/written.csv');
+
+  expect(csvDf.columns).toEqual(df.columns);
+  expect(csvDf.data).toEqual(df.data);
+
+  fs.unlinkSync('__tests__/data/written.csv');
+});
+
+test('Read a CSV file with custom delimiter, quote, null representation and without header', async () => {
+  const text = "1;'a;b';NULL\n2;'it''s';\n";
+  const df = await QvdDataFrame.fromCsv(new TextEncoder().encode(text), {
+    delimiter: ';',
+    quote: "'",
+    header: false,
+    nullValue: 'NULL',
+  });
+
+  expect(df.columns).toEqual(['@1', '@2', '@3']);
+  expect(df.data).toEqual([
+    [1, 'a;b', null],
+    [2, "it's", ''],
+  ]);
+
+  const namedDf = await QvdDataFrame.fromCsv(new TextEncoder().encode(text), {
+    delimiter: ';',
+    quote: "'",
+    header: false,
+    columns: ['Key', 'Value', 'Optional'],
+  });
+
+  expect(namedDf.columns).toEqual(['Key', 'Value', 'Optional']);
+  expect(namedDf.data[0]).toEqual([1, 'a;b', 'NULL']);
+});
+
+test('Infer values of CSV cells that map onto the QVD symbol types', async () => {
+  const text = 'Int,Double,Dual,Text,Quoted\n1,2.5,007,abc,"12"\n-3,1e-7,1.50,,""\n';
+  const df = await QvdDataFrame.fromCsv(new TextEncoder().encode(text));
+
+  expect(df.data[0].slice(0, 2)).toEqual([1, 2.5]);
+  expect(df.data[0][2]).toEqual(QvdSymbol.fromDualIntValue(7, '007'));
+  expect(df.data[0].slice(3)).toEqual(['abc', '12']);
+  expect(df.data[1][2]).toEqual(QvdSymbol.fromDualDoubleValue(1.5, '1.50'));
+  expect(df.data[1].slice(3)).toEqual([null, '']);
+
+  const untypedDf = await QvdDataFrame.fromCsv(new TextEncoder().encode(text), {inferTypes: false});
+
+  expect(untypedDf.data[0]).toEqual(['1', '2.5', '007', 'abc', '12']);
+
+  // Strings that would be read back differently are quoted, hence writing the data frame again is lossless
+  await df.toCsv('__tests__/data/written_inferred.csv');
+
+  expect(fs.readFileSync('__tests__/data/written_inferred.csv', 'utf-8')).toBe(text);
+  expect((await QvdDataFrame.fromCsv('__tests__/data/written_inferred.csv')).data).toEqual(df.data);
+
+  fs.unlinkSync('__tests__/data/written_inferred.csv');
+
+  const qvdDf = await QvdDataFrame.fromBuffer(await df.toBuffer(), {preserveSymbols: true});
+
+  expect(qvdDf.data[0][2]).toEqual(QvdSymbol.fromDualIntValue(7, '007'));
+  expect(qvdDf.data[1][2]).toEqual(QvdSymbol.fromDualDoubleValue(1.5, '1.50'));
+  expect(qvdDf.data[0][4]).toEqual(QvdSymbol.fromStringValue('12'));
+});
+
+test('Read and write CSV files in other character encodings', async () => {
+  const df = new QvdDataFrame(
+    [
+      [1, 'Müller'],
+      [2, 'Café'],
+    ],
+    ['Key', 'Name'],
+  );
+
+  for (const encoding of ['latin1', 'utf-16le']) {
+    await df.toCsv('__tests__/data/written_encoded.csv', {encoding});
+
+    expect((await QvdDataFrame.fromCsv('__tests__/data/written_encoded.csv', {encoding})).data).toEqual(df.data);
+  }
+
+  fs.unlinkSync('__tests__/data/written_encoded.csv');
+});
+
+test('Read a CSV file from a stream of arbitrarily split chunks', async () => {
+  const bytes = new TextEncoder().encode('Key,Value\r\n1,"multi\r\nline ""ä"""\r\n2,€\r\n');
+  const chunks = Array.from({length: bytes.length}, (_, index) => bytes.subarray(index, index + 1));
+  const reader = new QvdCsvReader(Readable.from(chunks));
+  const rows = [];
+
+  for await (const row of reader.rows()) {
+    rows.push(row);
+  }
+
+  expect(reader.columns).toEqual(['Key', 'Value']);
+  expect(rows).toEqual([
+    [1, 'multi\r\nline "ä"'],
+    [2, '€'],
+  ]);
+});
+
+test('Write a CSV file from a stream of rows', async () => {
+  const writer = new QvdCsvWriter('__tests__/data/written_streamed.csv', ['Key', 'Value'], {
+    quoting: 'nonnumeric',
+    lineTerminator: '\r\n',
+  });
+  const rows = Array.from({length: 10000}, (_, index) => ({Key: index, Value: index % 2 === 0 ? `V${index}` : null}));
+
+  await pipeline(Readable.from(rows), writer.stream());
+
+  const lines = fs.readFileSync('__tests__/data/written_streamed.csv', 'utf-8').split('\r\n');
+
+  expect(lines.slice(0, 3)).toEqual(['"Key","Value"', '0,"V0"', '1,']);
+  expect((await QvdDataFrame.fromCsv('__tests__/data/written_streamed.csv')).shape).toEqual([10000, 2]);
+
+  fs.unlinkSync('__tests__/data/written_streamed.csv');
+});
+
+test('Raise a failed write of a CSV file on the next append', async () => {
+  const writer = new QvdCsvWriter('__tests__/data/missing/written_failed.csv', ['Value']);
+  let pending = null;
+
+  // The rows exceed a single chunk, hence the file is written before the writer is closed
+  for (let index = 0; index < 10000; index++) {
+    pending = writer.append([`Value ${index}`]);
+  }
+
+  await expect(pending).resolves.toBeUndefined();
+  expect(() => writer.append(['Value'])).toThrow(/ENOENT/);
+  await expect(writer.close()).rejects.toThrow(/ENOENT/);
+});
+
+test('Format CSV text in memory', () => {
+  expect(QvdCsvWriter.format(['A', 'B'], [[1, 'x"y']], {quoting: 'all', header: false})).toBe('"1","x""y"\n');
+  expect(() => QvdCsvWriter.format(['A'], [], {quoting: 'sometimes'})).toThrow(/Unknown quoting/);
+});
+
+test('Write and read a single column CSV file with null values', async () => {
+  const df = new QvdDataFrame([[1], [null], [2], [null]], ['a']);
+  const text = QvdCsvWriter.format(df.columns, df.data);
+
+  expect(text).toBe('a\n1\n\n2\n\n');
+  expect((await QvdDataFrame.fromCsv(new TextEncoder().encode(text))).data).toEqual(df.data);
+  expect((await QvdDataFrame.fromCsv(new TextEncoder().encode('a,b\n1,x\n\n2,y\n'))).data).toEqual([
+    [1, 'x'],
+    [2, 'y'],
+  ]);
+});
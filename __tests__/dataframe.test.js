@@ -0,0 +1,228 @@
+import {QvdDataFrame, QvdSymbol} from '../src';
+
+/**
+ * Constructs the data frame of sales used by the tests.
+ *
+ * @return {QvdDataFrame} The data frame.
+ */
+function createSales() {
+  return new QvdDataFrame(
+    [
+      [1, 'North', 120.5, new Date(Date.UTC(2024, 0, 2))],
+      [2, 'South', null, new Date(Date.UTC(2024, 0, 1))],
+      [3, 'North', 80, new Date(Date.UTC(2024, 0, 3))],
+      [4, null, 200, new Date(Date.UTC(2024, 0, 1))],
+      [5, 'South', 80, new Date(Date.UTC(2024, 0, 2))],
+    ],
+    ['Id', 'Region', 'Amount', 'Date'],
+  );
+}
+
+test('Filter the rows of a data frame', () => {
+  const df = createSales().filter((record, index) => record.Region === 'North' || index === 3);
+
+  expect(df.data.map((row) => row[0])).toEqual([1, 3, 4]);
+  expect(df.columns).toEqual(['Id', 'Region', 'Amount', 'Date']);
+});
+
+test('Sort a data frame by one or multiple columns', () => {
+  const df = createSales();
+
+  expect(df.sort('Amount').data.map((row) => row[0])).toEqual([3, 5, 1, 4, 2]);
+  expect(df.sort('Amount', 'desc').data.map((row) => row[0])).toEqual([4, 1, 3, 5, 2]);
+  expect(df.sort(['Region', 'Date'], ['asc', 'desc']).data.map((row) => row[0])).toEqual([3, 1, 5, 2, 4]);
+  expect(
+    new QvdDataFrame([['b'], [2], [QvdSymbol.fromDualIntValue(1, 'a')], [1]], ['Mixed']).sort('Mixed').data,
+  ).toEqual([[1], [2], [QvdSymbol.fromDualIntValue(1, 'a')], ['b']]);
+  expect(() => df.sort('Unknown')).toThrow(/'Unknown' does not exist/);
+  expect(() => df.sort('Id', 'up')).toThrow(/Unknown sort order/);
+});
+
+test('Add, replace, drop and rename columns of a data frame', () => {
+  const df = createSales()
+    .withColumn('Net', (record) => (record.Amount === null ? null : record.Amount / 1.2))
+    .withColumn('Id', (_, index) => `S${index}`)
+    .drop('Date')
+    .rename({Amount: 'Gross'});
+
+  expect(df.columns).toEqual(['Id', 'Region', 'Gross', 'Net']);
+  expect(df.data[2]).toEqual(['S2', 'North', 80, 80 / 1.2]);
+  expect(() => df.drop('Unknown')).toThrow(/'Unknown' does not exist/);
+  expect(() => df.rename({Id: 'Net'})).toThrow(/'Net' multiple times/);
+});
+
+test('Remove duplicate rows of a data frame', () => {
+  const df = createSales().select('Region', 'Date').distinct();
+
+  expect(df.shape).toEqual([5, 2]);
+  expect(createSales().select('Region').distinct().data).toEqual([['North'], ['South'], [null]]);
+  expect(new QvdDataFrame([[1], ['1'], [1], [null]], ['Value']).distinct().data).toEqual([[1], ['1'], [null]]);
+});
+
+test('Persist a transformed data frame including its field metadata', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+  const transformedDf = df
+    .filter((record) => record.Color !== 'NA')
+    .sort('ListPrice', 'desc')
+    .rename({ProductKey: 'Key'})
+    .withColumn('Discounted', (record) => (typeof record.ListPrice === 'number' ? record.ListPrice * 0.9 : null));
+
+  const writtenDf = await QvdDataFrame.fromBuffer(await transformedDf.toBuffer());
+
+  expect(writtenDf.columns).toEqual(transformedDf.columns);
+  expect(writtenDf.data).toEqual(transformedDf.data);
+  expect(writtenDf.metadata.Fields[0].FieldName).toBe('Key');
+  expect(writtenDf.metadata.Fields[0].NumberFormat).toEqual(df.metadata.Fields[0].NumberFormat);
+});
+
+test('Aggregate the groups of a data frame', () => {
+  const df = createSales()
+    .groupBy('Region')
+    .agg({
+      Amount: 'sum',
+      Average: ['Amount', 'avg'],
+      Orders: ['*', 'count'],
+      Amounts: ['Amount', 'countDistinct'],
+      FirstDate: ['Date', 'min'],
+      LastId: ['Id', 'max'],
+      Ids: ['Id', (values) => values.join('|')],
+    });
+
+  expect(df.columns).toEqual(['Region', 'Amount', 'Average', 'Orders', 'Amounts', 'FirstDate', 'LastId', 'Ids']);
+  expect(df.data).toEqual([
+    ['North', 200.5, 100.25, 2, 2, new Date(Date.UTC(2024, 0, 2)), 3, '1|3'],
+    ['South', 80, 80, 2, 1, new Date(Date.UTC(2024, 0, 1)), 5, '2|5'],
+    [null, 200, 200, 1, 1, new Date(Date.UTC(2024, 0, 1)), 4, '4'],
+  ]);
+});
+
+test('Aggregate the groups of multiple columns or all rows of a data frame', () => {
+  const df = createSales();
+
+  expect(df.groupBy('Region', 'Amount').agg({Count: ['*', 'count']}).shape).toEqual([5, 3]);
+  expect(df.groupBy().agg({Total: ['Amount', 'sum'], Last: ['Region', 'last']}).data).toEqual([[480.5, 'South']]);
+  expect(
+    df
+      .filter(() => false)
+      .groupBy()
+      .agg({Total: ['Amount', 'sum'], Count: ['Id', 'count']}).data,
+  ).toEqual([[null, 0]]);
+  expect(() => df.groupBy('Region').agg({Region: 'count'})).toThrow(/grouping column/);
+  expect(() => df.groupBy('Region').agg({Amount: 'median'})).toThrow(/Unknown aggregation/);
+  expect(() => df.groupBy('Unknown')).toThrow(/'Unknown' does not exist/);
+});
+
+test('Aggregate a QVD file and persist the result', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/large.qvd');
+  const column = df.columns[1];
+  const aggregations = {Rows: ['*', 'count'], MaxKey: [df.columns[0], 'max']};
+  const groupedDf = df.groupBy(column).agg(aggregations);
+
+  // The columns are aggregated as they are stored, without expanding the data frame to rows
+  expect(df._data).toBeNull();
+  expect(groupedDf.data).toEqual(new QvdDataFrame(df.data, df.columns).groupBy(column).agg(aggregations).data);
+  expect(groupedDf.data.reduce((sum, row) => sum + row[1], 0)).toBe(df.shape[0]);
+  expect(groupedDf.shape[0]).toBe(df.select(column).distinct().shape[0]);
+
+  const writtenDf = await QvdDataFrame.fromBuffer(await groupedDf.toBuffer());
+
+  expect(writtenDf.data).toEqual(groupedDf.data);
+});
+
+test('Concatenate data frames with differing columns', () => {
+  const df = QvdDataFrame.concat(
+    new QvdDataFrame([[1, 'A']], ['Key', 'Value']),
+    new QvdDataFrame([['B', 2, true]], ['Value', 'Key', 'Flag']),
+    new QvdDataFrame([], ['Other']),
+  );
+
+  expect(df.columns).toEqual(['Key', 'Value', 'Flag', 'Other']);
+  expect(df.data).toEqual([
+    [1, 'A', null, null],
+    [2, 'B', true, null],
+  ]);
+  expect(QvdDataFrame.concat().shape).toEqual([0, 0]);
+});
+
+test('Join data frames', () => {
+  const sales = createSales();
+  const regions = new QvdDataFrame(
+    [
+      ['North', 'Anna'],
+      ['West', 'Ben'],
+      ['South', 'Cleo'],
+      ['South', 'Dan'],
+    ],
+    ['Region', 'Manager'],
+  );
+
+  const inner = sales.join(regions, 'Region');
+
+  expect(inner.columns).toEqual(['Id', 'Region', 'Amount', 'Date', 'Manager']);
+  expect(inner.data.map((row) => [row[0], row[4]])).toEqual([
+    [1, 'Anna'],
+    [2, 'Cleo'],
+    [2, 'Dan'],
+    [3, 'Anna'],
+    [5, 'Cleo'],
+    [5, 'Dan'],
+  ]);
+
+  // The key columns default to the columns both data frames have in common
+  expect(sales.join(regions).data).toEqual(inner.data);
+
+  expect(sales.join(regions, 'Region', 'left').data.map((row) => [row[0], row[4]])).toContainEqual([4, null]);
+  expect(sales.join(regions, ['Region'], 'right').data.slice(-1)).toEqual([[null, 'West', null, null, 'Ben']]);
+
+  const outer = sales.join(regions, 'Region', 'outer');
+
+  expect(outer.shape).toEqual([8, 5]);
+  expect(outer.data.filter((row) => row[1] === null)).toEqual([[4, null, 200, new Date(Date.UTC(2024, 0, 1)), null]]);
+
+  expect(() => sales.join(regions, 'Region', 'cross')).toThrow(/Unknown join/);
+  expect(() => sales.join(new QvdDataFrame([], ['Other']))).toThrow(/in common/);
+  expect(() => sales.join(sales, 'Id')).toThrow(/'Region' is contained in both/);
+});
+
+test('Persist concatenated and joined QVD files including their field metadata', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+  const colors = df
+    .select('Color')
+    .distinct()
+    .withColumn('ColorCode', (_, index) => index);
+  const joinedDf = QvdDataFrame.concat(df.head(10), df.tail(10)).join(colors, 'Color', 'left');
+
+  expect(joinedDf.shape).toEqual([20, df.columns.length + 1]);
+
+  const writtenDf = await QvdDataFrame.fromBuffer(await joinedDf.toBuffer());
+
+  expect(writtenDf.columns).toEqual(joinedDf.columns);
+  expect(writtenDf.data).toEqual(joinedDf.data);
+  expect(writtenDf.metadata.Lineage).toEqual(df.metadata.Lineage);
+});
+
+test('Count the null values of each column of a data frame', async () => {
+  const df = new QvdDataFrame(
+    [
+      [1, ''],
+      [undefined, null],
+      [3, null],
+    ],
+    ['Key', 'Value'],
+  );
+
+  expect(df.nullCounts()).toEqual({Key: 1, Value: 2});
+  expect((await QvdDataFrame.fromBuffer(await df.toBuffer())).nullCounts()).toEqual({Key: 1, Value: 2});
+});
+
+test('Reject unknown columns of row and columnar data frames alike', async () => {
+  const df = createSales();
+  const columnarDf = await QvdDataFrame.fromBuffer(await df.toBuffer());
+
+  for (const frame of [df, columnarDf]) {
+    expect(frame.at(0, 'Region')).toBe('North');
+    expect(frame.select('Region', 'Id').data[3]).toEqual([null, 4]);
+    expect(() => frame.at(0, 'Unknown')).toThrow("The column 'Unknown' does not exist in the data frame.");
+    expect(() => frame.select('Id', 'Unknown')).toThrow("The column 'Unknown' does not exist in the data frame.");
+  }
+});
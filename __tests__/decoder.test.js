@@ -0,0 +1,37 @@
+import {QvdFileReader} from '../src';
+import {loadIndexTable, parseIndexRecordByBitString} from '../bench/reference';
+
+describe.each(['small.qvd', 'medium.qvd', 'large.qvd'])('Decoding the index table of %s', (name) => {
+  test('should yield the same symbol indices as the bit string decoder', async () => {
+    const {indexTable, metadata} = await loadIndexTable(name);
+    const recordSize = metadata.RecordByteSize;
+    const layout = QvdFileReader._buildIndexLayout(metadata.Fields);
+
+    const recordOffsets = Array.from({length: metadata.NoOfRecords}, (_, recordIndex) => recordIndex * recordSize);
+
+    expect(
+      recordOffsets.map((recordOffset) => QvdFileReader._parseIndexRecord(indexTable, recordOffset, layout)),
+    ).toEqual(
+      recordOffsets.map((recordOffset) =>
+        parseIndexRecordByBitString(indexTable.subarray(recordOffset, recordOffset + recordSize), metadata.Fields),
+      ),
+    );
+  }, 30000);
+});
+
+test('Decoding symbol indices wider than 32 bits should not lose precision', () => {
+  const fields = [
+    {BitOffset: 0, BitWidth: 3, Bias: 0},
+    {BitOffset: 3, BitWidth: 40, Bias: -2},
+    {BitOffset: 43, BitWidth: 32, Bias: 0},
+  ];
+  const layout = QvdFileReader._buildIndexLayout(fields);
+
+  // Pack the indices into a little endian bit stream of 75 bits, i.e. 10 bytes
+  const values = [5n, 2n ** 40n - 1n, 2n ** 32n - 1n];
+  const packed = values.reduce((bits, value, index) => bits | (value << BigInt(fields[index].BitOffset)), 0n);
+  const bytes = Uint8Array.from({length: 10}, (_, index) => Number((packed >> BigInt(index * 8)) & 0xffn));
+
+  expect(QvdFileReader._parseIndexRecord(bytes, 0, layout)).toEqual([5, 2 ** 40 - 3, 2 ** 32 - 1]);
+  expect(parseIndexRecordByBitString(bytes, fields)).toEqual([5, 2 ** 40 - 3, 2 ** 32 - 1]);
+});
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import {Readable} from 'stream';
+import {pipeline} from 'stream/promises';
+import {QvdDataFrame, QvdNdjsonReader, QvdNdjsonWriter, QvdSymbol} from '../src';
+
+test('Convert a data frame to records and back', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+  const records = await df.toRecords();
+
+  expect(records).toHaveLength(606);
+  expect(Object.keys(records[0])).toEqual(df.columns);
+  expect(records[0].ProductKey).toBe(df.at(0, 'ProductKey'));
+
+  const recordsDf = await QvdDataFrame.fromRecords(JSON.parse(JSON.stringify(records)));
+
+  expect(recordsDf.columns).toEqual(df.columns);
+  expect(recordsDf.data).toEqual(df.data);
+});
+
+test('Construct a data frame from records with differing keys', async () => {
+  const df = await QvdDataFrame.fromRecords([{Key: 1}, {Key: 2, Value: 'B'}]);
+
+  expect(df.columns).toEqual(['Key', 'Value']);
+  expect(df.data).toEqual([
+    [1, null],
+    [2, 'B'],
+  ]);
+  expect((await QvdDataFrame.fromRecords([{Key: 1, Value: 'A'}], ['Value'])).data).toEqual([['A']]);
+});
+
+test('Convert a QVD file to a NDJSON file and back', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+
+  await df.toNdjson('__tests__/data/written.ndjson');
+
+  const lines = fs.readFileSync('__tests__/data/written.ndjson', 'utf-8').trimEnd().split('\n');
+
+  expect(lines).toHaveLength(606);
+  expect(JSON.parse(lines[0])).toEqual((await df.toRecords())[0]);
+  expect((await QvdDataFrame.fromNdjson('__tests__/data/written.ndjson')).data).toEqual(df.data);
+
+  fs.unlinkSync('__tests__/data/written.ndjson');
+});
+
+test('Write symbols and dates to NDJSON as plain JSON values', () => {
+  const text = QvdNdjsonWriter.format(
+    ['Symbol', 'Date', 'Missing'],
+    [[QvdSymbol.fromDualIntValue(7, '007'), new Date(Date.UTC(2024, 0, 31)), undefined]],
+  );
+
+  expect(text).toBe('{"Symbol":"007","Date":"2024-01-31T00:00:00.000Z","Missing":null}\n');
+});
+
+test('Read a NDJSON file from a stream of arbitrarily split chunks', async () => {
+  const bytes = new TextEncoder().encode('{"Key":1,"Value":"ä"}\r\n\n{"Key":2}\n{"Value":"€","Key":3}');
+  const chunks = Array.from({length: bytes.length}, (_, index) => bytes.subarray(index, index + 1));
+  const reader = new QvdNdjsonReader(Readable.from(chunks));
+  const rows = [];
+
+  for await (const row of reader.rows()) {
+    rows.push(row);
+  }
+
+  expect(reader.columns).toEqual(['Key', 'Value']);
+  expect(rows).toEqual([
+    [1, 'ä'],
+    [2, null],
+    [3, '€'],
+  ]);
+});
+
+test('Reject NDJSON files with malformed lines or undeclared columns', async () => {
+  const encoder = new TextEncoder();
+
+  await expect(QvdDataFrame.fromNdjson(encoder.encode('{"Key":1}\n{"Key":'))).rejects.toThrow(/line 2/);
+  await expect(QvdDataFrame.fromNdjson(encoder.encode('[1, 2]'))).rejects.toThrow(/does not contain an object/);
+  await expect(QvdDataFrame.fromNdjson(encoder.encode('{"Key":1}\n{"Other":2}'), {columns: ['Key']})).rejects.toThrow(
+    /'Other'/,
+  );
+
+  // Streamed rows are yielded before later records are known, hence their columns are the keys of the first record
+  const rows = new QvdNdjsonReader(encoder.encode('{"Key":1}\n{"Other":2}')).rows();
+
+  await rows.next();
+  await expect(rows.next()).rejects.toThrow(/'Other'/);
+});
+
+test('Load NDJSON files with differing keys like records', async () => {
+  const records = [{Key: 1}, {Other: 2, Key: 3}];
+  const text = records.map((record) => JSON.stringify(record)).join('\n');
+  const df = await QvdDataFrame.fromNdjson(new TextEncoder().encode(text));
+
+  expect(df.columns).toEqual(['Key', 'Other']);
+  expect(df.data).toEqual((await QvdDataFrame.fromRecords(records)).data);
+});
+
+test('Write a NDJSON file from a stream of rows', async () => {
+  const writer = new QvdNdjsonWriter('__tests__/data/written_streamed.ndjson', ['Key', 'Value']);
+  const rows = Array.from({length: 10000}, (_, index) => ({Key: index, Value: `Value ${index}`}));
+
+  await pipeline(Readable.from(rows), writer.stream());
+
+  const df = await QvdDataFrame.fromNdjson('__tests__/data/written_streamed.ndjson');
+
+  expect(df.shape).toEqual([10000, 2]);
+  expect(df.data[9999]).toEqual([9999, 'Value 9999']);
+
+  fs.unlinkSync('__tests__/data/written_streamed.ndjson');
+});
@@ -1,5 +1,30 @@
+import fs from 'fs';
 import path from 'path';
-import {QvdDataFrame} from '../src';
+import {
+  QvdDataFrame,
+  QvdFileReader,
+  QvdFormatError,
+  QvdHeaderError,
+  QvdIndexTableError,
+  QvdSymbolTableError,
+} from '../src';
+
+/**
+ * Reads a QVD file of the test data directory and replaces a part of its XML header.
+ *
+ * @param {string} name The name of the QVD file.
+ * @param {string} search The part of the header to replace.
+ * @param {string} replacement The replacement of the same length, hence all offsets are kept.
+ * @return {Uint8Array} The bytes of the modified QVD file.
+ */
+function readModifiedQvd(name, search, replacement) {
+  const bytes = fs.readFileSync(path.join(__dirname, 'data', name));
+  const index = bytes.indexOf(search);
+
+  bytes.write(replacement, index);
+
+  return new Uint8Array(bytes);
+}
 
 test('Parsing a QVD file with ~1000 rows should take less than 250ms', async () => {
   const start = Date.now();
@@ -55,3 +80,259 @@ test('Parsing a QVD file with ~60000 rows should take less than 5000ms', async (
 test('Parsing a damaged QVD file should throw an error', async () => {
   await expect(QvdDataFrame.fromQvd(path.join(__dirname, 'data/damaged.qvd'))).rejects.toThrow();
 });
+
+test('Iterating lazily over a QVD file should yield the same rows as loading it', async () => {
+  const df = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'));
+  const rows = [];
+
+  for await (const row of new QvdFileReader(path.join(__dirname, 'data/small.qvd')).rows()) {
+    rows.push(row);
+  }
+
+  expect(rows.length).toBe(606);
+  expect(rows).toEqual(df.data);
+});
+
+test('Selecting and persisting a loaded QVD file should work on its columns without expanding them', async () => {
+  const source = path.join(__dirname, 'data/small.qvd');
+  const target = path.join(__dirname, 'data/written_columnar.qvd');
+  const rows = (await QvdDataFrame.fromQvd(source)).data;
+  const symbols = (await QvdDataFrame.fromQvd(source, {preserveSymbols: true})).data;
+  const df = await QvdDataFrame.fromQvd(source, {preserveSymbols: true});
+  const selected = df.select('ProductKey', 'Color').tail(10).rows(0, 2, 9);
+
+  expect(selected.shape).toEqual([3, 2]);
+  expect(selected.at(1, 'Color')).toEqual(symbols[598][3]);
+  expect(df.head(3).at(2, 'ProductKey')).toEqual(symbols[2][0]);
+
+  // The symbols are persisted as they are, hence the types of the original symbols are kept
+  await df.toQvd(target);
+
+  expect((await QvdDataFrame.fromQvd(target, {preserveSymbols: true})).data).toEqual(symbols);
+  expect(df._data).toBeNull();
+
+  await selected.toQvd(target);
+
+  expect((await QvdDataFrame.fromQvd(target)).data).toEqual(
+    [596, 598, 605].map((index) => [rows[index][0], rows[index][3]]),
+  );
+
+  fs.unlinkSync(target);
+});
+
+test('Streaming a QVD file should emit each row as an object', async () => {
+  const stream = new QvdFileReader(path.join(__dirname, 'data/small.qvd')).stream();
+  let count = 0;
+
+  for await (const row of stream) {
+    expect(row.length).toBe(8);
+    count++;
+  }
+
+  expect(count).toBe(606);
+});
+
+test('Streaming a damaged QVD file should emit an error', async () => {
+  const stream = new QvdFileReader(path.join(__dirname, 'data/damaged.qvd')).stream();
+
+  await expect(async () => {
+    for await (const row of stream) {
+      expect(row).toBeDefined();
+    }
+  }).rejects.toThrow();
+});
+
+test('Parsing a QVD file with a column selection should load only the selected columns', async () => {
+  const df = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'));
+  const projectedDf = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'), {
+    columns: ['Color', 'ProductKey'],
+  });
+
+  expect(projectedDf.shape).toEqual([606, 2]);
+  expect(projectedDf.columns).toEqual(['Color', 'ProductKey']);
+  expect(projectedDf.data).toEqual(df.select('Color', 'ProductKey').data);
+});
+
+test('Parsing a QVD file with a row range should load only the selected rows', async () => {
+  const df = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'));
+  const rangedDf = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'), {offset: 100, limit: 10});
+
+  expect(rangedDf.shape).toEqual([10, 8]);
+  expect(rangedDf.data).toEqual(df.data.slice(100, 110));
+
+  const tailDf = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'), {offset: 600, limit: 10});
+
+  expect(tailDf.shape).toEqual([6, 8]);
+  expect(tailDf.data).toEqual(df.tail(6).data);
+});
+
+test('Parsing a QVD file with an unknown column should throw an error', async () => {
+  await expect(
+    QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'), {columns: ['DoesNotExist']}),
+  ).rejects.toThrow();
+});
+
+test('Reading the metadata of a QVD file should return the normalized header', async () => {
+  const metadata = await QvdFileReader.readMetadata(path.join(__dirname, 'data/small.qvd'));
+
+  expect(metadata.TableName).toBe('Products');
+  expect(metadata.NoOfRecords).toBe(606);
+  expect(metadata.RecordByteSize).toBe(7);
+  expect(metadata.Fields.length).toBe(8);
+  expect(metadata.Fields[0].FieldName).toBe('ProductKey');
+  expect(metadata.Fields[0].NoOfSymbols).toBe(606);
+  expect(metadata.Fields[0].NumberFormat.Type).toBe('UNKNOWN');
+  expect(metadata.Fields[0].Tags).toEqual([]);
+  expect(metadata.Lineage.length).toBe(4);
+  expect(metadata.Lineage[1].Discriminator).toMatch(/customers\.qvd/);
+});
+
+test('Reading the metadata of a damaged QVD file should throw an error', async () => {
+  await expect(QvdFileReader.readMetadata(path.join(__dirname, 'data/damaged.qvd'))).rejects.toThrow(QvdHeaderError);
+});
+
+test('Parsing the bytes of a QVD file should yield the same data frame as parsing the file', async () => {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'data/small.qvd')));
+  const df = await QvdDataFrame.fromBuffer(bytes);
+  const expected = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'));
+
+  expect(df.columns).toEqual(expected.columns);
+  expect(df.data).toEqual(expected.data);
+
+  const metadata = await QvdFileReader.readMetadata(bytes);
+
+  expect(metadata.TableName).toBe('Products');
+  expect(metadata.NoOfRecords).toBe(606);
+});
+
+test('Parsing a QVD file with an inconsistent header should throw a header error', async () => {
+  const bytes = readModifiedQvd('small.qvd', '<RecordByteSize>7', '<RecordByteSize>8');
+
+  await expect(QvdDataFrame.fromBuffer(bytes)).rejects.toThrow(QvdHeaderError);
+  await expect(QvdDataFrame.fromBuffer(bytes)).rejects.toThrow(/does not match 606 records of 8 bytes/);
+});
+
+test('Parsing a QVD file with a wrong number of symbols should throw a symbol table error', async () => {
+  const bytes = readModifiedQvd('small.qvd', '<NoOfSymbols>606', '<NoOfSymbols>605');
+  const error = await QvdDataFrame.fromBuffer(bytes).catch((err) => err);
+
+  expect(error).toBeInstanceOf(QvdSymbolTableError);
+  expect(error).toBeInstanceOf(QvdFormatError);
+  expect(error.field).toBe('ProductKey');
+  expect(error.offset).toBe(bytes.indexOf(0) + 1);
+});
+
+test('Parsing a QVD file with an unterminated string symbol should throw a symbol table error', async () => {
+  const df = await QvdDataFrame.fromDict({columns: ['Name'], data: [['A'], ['B']]});
+  const bytes = await df.toBuffer();
+
+  // The last byte of the symbol table terminates the last string symbol
+  const symbolTableEnd = bytes.length - (await QvdFileReader.readMetadata(bytes)).Length;
+  bytes[symbolTableEnd - 1] = 0x43;
+
+  const error = await QvdDataFrame.fromBuffer(bytes).catch((err) => err);
+
+  expect(error).toBeInstanceOf(QvdSymbolTableError);
+  expect(error.field).toBe('Name');
+  expect(error.offset).toBe(symbolTableEnd - 2);
+});
+
+test('Parsing a QVD file with an out-of-range symbol index should throw an index table error', async () => {
+  const df = await QvdDataFrame.fromDict({columns: ['Name'], data: [['A'], ['B'], ['C']]});
+  const bytes = await df.toBuffer();
+
+  // Each record consists of a single byte, the symbol index 3 exceeds the three symbols
+  bytes[bytes.length - 1] = 3;
+
+  const error = await QvdDataFrame.fromBuffer(bytes).catch((err) => err);
+
+  expect(error).toBeInstanceOf(QvdIndexTableError);
+  expect(error.field).toBe('Name');
+  expect(error.offset).toBe(bytes.length - 1);
+});
+
+test('Parsing a truncated QVD file should throw an index table error', async () => {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'data/small.qvd'))).subarray(0, -10);
+  const error = await QvdDataFrame.fromBuffer(bytes).catch((err) => err);
+
+  expect(error).toBeInstanceOf(QvdIndexTableError);
+  expect(error.offset).toBe(bytes.length);
+});
+
+test('Parsing a damaged QVD file leniently should recover its header and report the skipped parts', async () => {
+  const reader = new QvdFileReader(path.join(__dirname, 'data/damaged.qvd'), {lenient: true});
+  const df = await reader.load();
+
+  expect(df.columns).toEqual(['ProductName', 'Color', 'ListPrice', 'Size', 'Weight', 'DaysToManufacture']);
+  expect(df.shape).toEqual([0, 6]);
+  expect(reader.report.issues[0]).toBeInstanceOf(QvdHeaderError);
+  expect(reader.report.skippedFields).toEqual(df.columns);
+  expect(reader.report.skippedRecords).toBe(606);
+});
+
+test('Parsing a truncated QVD file leniently should load all complete records', async () => {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'data/small.qvd'))).subarray(0, -10);
+  const reader = new QvdFileReader(bytes, {lenient: true});
+  const df = await reader.load();
+  const expected = await QvdDataFrame.fromQvd(path.join(__dirname, 'data/small.qvd'));
+
+  expect(df.shape).toEqual([604, 8]);
+  expect(df.data).toEqual(expected.data.slice(0, 604));
+  expect(reader.report.issues.length).toBe(1);
+  expect(reader.report.issues[0]).toBeInstanceOf(QvdIndexTableError);
+  expect(reader.report.skippedFields).toEqual([]);
+  expect(reader.report.skippedRecords).toBe(2);
+});
+
+test('Parsing a QVD file with an out-of-range symbol index leniently should replace it by null', async () => {
+  const df = await QvdDataFrame.fromDict({columns: ['Name'], data: [['A'], ['B'], ['C']]});
+  const bytes = await df.toBuffer();
+
+  bytes[bytes.length - 1] = 3;
+
+  const reader = new QvdFileReader(bytes, {lenient: true});
+  const readDf = await reader.load();
+
+  expect(readDf.data).toEqual([['A'], ['B'], [null]]);
+  expect(reader.report.nullifiedIndices).toEqual({Name: 1});
+  expect(reader.report.skippedRecords).toBe(0);
+});
+
+test('Parsing a QVD file should distinguish null values from empty texts and replace them on demand', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Name', 'Code'],
+    data: [
+      ['A', ''],
+      [null, ' '],
+      ['', null],
+    ],
+  });
+  const bytes = await df.toBuffer();
+
+  expect((await QvdDataFrame.fromBuffer(bytes)).data).toEqual([
+    ['A', ''],
+    [null, ' '],
+    ['', null],
+  ]);
+  expect(await QvdFileReader.readNullCounts(bytes)).toEqual({Name: 1, Code: 1});
+  expect(await QvdFileReader.readNullCounts(bytes, {columns: ['Code']})).toEqual({Code: 1});
+
+  const replacedDf = await QvdDataFrame.fromBuffer(bytes, {nullAsValue: ['Code'], nullValue: '<NULL>'});
+  const rows = [];
+
+  for await (const row of new QvdFileReader(bytes, {nullAsValue: true}).rows()) {
+    rows.push(row);
+  }
+
+  expect(replacedDf.data).toEqual([
+    ['A', ''],
+    [null, ' '],
+    ['', '<NULL>'],
+  ]);
+  expect(replacedDf.nullCounts()).toEqual({Name: 1, Code: 0});
+  expect(rows).toEqual([
+    ['A', ''],
+    ['', ' '],
+    ['', ''],
+  ]);
+});
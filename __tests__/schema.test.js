@@ -0,0 +1,83 @@
+import {QvdDataFrame, QvdFileReader, QvdSchemaMerger, QvdSymbol} from '../src';
+
+/**
+ * Serializes the partitions used by the tests, whose fields have been added, removed and retyped over time.
+ *
+ * @return {Promise<Array<Uint8Array>>} The bytes of the QVD files.
+ */
+async function createPartitions() {
+  const first = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Amount', 'Legacy'],
+    data: [
+      [1, 10, 'x'],
+      [2, 20, null],
+    ],
+  });
+  const second = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Amount', 'Code', 'Date'],
+    data: [
+      [3, 1.5, 7, new Date(Date.UTC(2024, 0, 1))],
+      [4, null, 'A', new Date(Date.UTC(2024, 0, 2, 12))],
+    ],
+  });
+
+  return [await first.toBuffer({compact: true}), await second.toBuffer()];
+}
+
+test('Compute the unified schema of QVD files with differing fields', async () => {
+  const sources = await createPartitions();
+
+  expect(await new QvdSchemaMerger(sources).readSchema()).toEqual({
+    columns: ['Key', 'Amount', 'Legacy', 'Code', 'Date'],
+    types: {Key: 'dualInteger', Amount: 'dualDouble', Legacy: 'string', Code: 'string', Date: 'timestamp'},
+    sources: [
+      {missingColumns: ['Code', 'Date'], droppedColumns: [], castColumns: ['Key', 'Amount']},
+      {missingColumns: ['Legacy'], droppedColumns: [], castColumns: []},
+    ],
+  });
+
+  const intersection = await new QvdSchemaMerger(sources, {mode: 'intersection'}).readSchema();
+
+  expect(intersection.columns).toEqual(['Key', 'Amount']);
+  expect(intersection.sources[1].droppedColumns).toEqual(['Code', 'Date']);
+
+  expect(() => new QvdSchemaMerger(sources, {mode: 'outer'})).toThrow(/Unknown schema mode 'outer'/);
+});
+
+test('Load QVD files with differing fields onto their unified schema and persist them', async () => {
+  const sources = await createPartitions();
+  const df = await QvdDataFrame.fromQvds(sources, {convertDates: true});
+
+  expect(df.columns).toEqual(['Key', 'Amount', 'Legacy', 'Code', 'Date']);
+  expect(df.data).toEqual([
+    [1, 10, 'x', null, null],
+    [2, 20, null, null, null],
+    [3, 1.5, null, '7', new Date(Date.UTC(2024, 0, 1))],
+    [4, null, null, 'A', new Date(Date.UTC(2024, 0, 2, 12))],
+  ]);
+
+  const frames = [];
+
+  for await (const frame of new QvdSchemaMerger(sources, {mode: 'intersection'}).frames()) {
+    frames.push(frame);
+  }
+
+  expect(frames.map((frame) => frame.data)).toEqual([
+    [
+      [1, 10],
+      [2, 20],
+    ],
+    [
+      [3, 1.5],
+      [4, null],
+    ],
+  ]);
+
+  // The cast symbols are persisted as they are, hence the unified storage types are kept
+  const bytes = await df.toBuffer();
+  const persistedDf = await QvdDataFrame.fromBuffer(bytes, {preserveSymbols: true});
+
+  expect(persistedDf.at(0, 'Amount')).toEqual(QvdSymbol.fromDualDoubleValue(10, '10'));
+  expect(persistedDf.at(2, 'Code')).toEqual(QvdSymbol.fromStringValue('7'));
+  expect((await QvdFileReader.readMetadata(bytes)).Fields[4].NumberFormat.Type).toBe('TIMESTAMP');
+});
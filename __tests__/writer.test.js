@@ -1,5 +1,8 @@
 import fs from 'fs';
-import {QvdDataFrame} from '../src';
+import os from 'os';
+import {Readable} from 'stream';
+import {pipeline} from 'stream/promises';
+import {QvdDataFrame, QvdFileReader, QvdFileStreamWriter, QvdSymbol} from '../src';
 
 test('Write QVD file successfully to disk', async () => {
   const rawDf = {
@@ -32,3 +35,601 @@ test('Write QVD file successfully to disk', async () => {
 
   fs.unlinkSync('__tests__/data/written.qvd');
 });
+
+test('Write QVD file incrementally to disk', async () => {
+  const writer = new QvdFileStreamWriter('__tests__/data/written_incrementally.qvd', ['Key', 'Value', 'Optional']);
+
+  for (let index = 0; index < 1000; index++) {
+    await writer.append([index, `Value ${index % 10}`, index % 3 === 0 ? null : index / 2]);
+  }
+
+  await writer.close();
+
+  const df = await QvdDataFrame.fromQvd('__tests__/data/written_incrementally.qvd');
+
+  expect(df.shape).toEqual([1000, 3]);
+  expect(df.columns).toEqual(['Key', 'Value', 'Optional']);
+  expect(df.data[0]).toEqual([0, 'Value 0', null]);
+  expect(df.data[1]).toEqual([1, 'Value 1', 0.5]);
+  expect(df.data[999]).toEqual([999, 'Value 9', null]);
+
+  fs.unlinkSync('__tests__/data/written_incrementally.qvd');
+});
+
+test('Write QVD file from a stream of rows to disk', async () => {
+  const writer = new QvdFileStreamWriter('__tests__/data/written_streamed.qvd', ['Key', 'Value']);
+  const rows = Array.from({length: 100}, (_, index) => ({Key: index, Value: String.fromCharCode(65 + (index % 26))}));
+
+  await pipeline(Readable.from(rows), writer.stream());
+
+  const df = await QvdDataFrame.fromQvd('__tests__/data/written_streamed.qvd');
+
+  expect(df.shape).toEqual([100, 2]);
+  expect(df.data[27]).toEqual([27, 'B']);
+
+  fs.unlinkSync('__tests__/data/written_streamed.qvd');
+});
+
+test('Raise a failed spill of an incremental QVD file writer on the next append', async () => {
+  const writer = new QvdFileStreamWriter('__tests__/data/written_failed.qvd', ['Key']);
+
+  // The spill file cannot be created, as its directory does not exist
+  const tmpdir = jest.spyOn(os, 'tmpdir').mockReturnValue('__tests__/data/missing');
+
+  try {
+    let pending = null;
+
+    for (let index = 0; index < writer._spillChunkRecordCount; index++) {
+      pending = writer.append([index]);
+    }
+
+    // The chunk has been spilled by the last append, whose promise does not reject even if it is not awaited
+    await expect(pending).resolves.toBeUndefined();
+    expect(() => writer.append([0])).toThrow(/ENOENT/);
+    await expect(writer.close()).rejects.toThrow(/ENOENT/);
+    expect(fs.existsSync('__tests__/data/written_failed.qvd')).toBe(false);
+  } finally {
+    tmpdir.mockRestore();
+  }
+});
+
+test('Convert symbols to their byte representation as buffers', () => {
+  const bytes = QvdSymbol.fromDualIntValue(7, '007').toByteRepresentation();
+
+  expect(bytes).toBeInstanceOf(Buffer);
+  expect(bytes).toEqual(Buffer.from([5, 7, 0, 0, 0, 0x30, 0x30, 0x37, 0]));
+});
+
+test('Write QVD file with preserved symbols losslessly to disk', async () => {
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd', {preserveSymbols: true});
+
+  expect(df.data[0][0]).toBeInstanceOf(QvdSymbol);
+
+  await df.toQvd('__tests__/data/written_symbols.qvd');
+
+  const writtenDf = await QvdDataFrame.fromQvd('__tests__/data/written_symbols.qvd', {preserveSymbols: true});
+
+  expect(writtenDf.shape).toEqual(df.shape);
+  writtenDf.data.forEach((row, rowIndex) => {
+    row.forEach((symbol, columnIndex) => {
+      const originalSymbol = df.data[rowIndex][columnIndex];
+      expect(symbol === originalSymbol || symbol.equals(originalSymbol)).toBe(true);
+    });
+  });
+
+  fs.unlinkSync('__tests__/data/written_symbols.qvd');
+});
+
+test('Write QVD file with dual and zero-padded values losslessly to disk', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Date', 'Id', 'Empty'],
+    data: [
+      [QvdSymbol.fromDualIntValue(20240101, '2024-01-01'), QvdSymbol.fromStringValue('00123'), ''],
+      [QvdSymbol.fromDualIntValue(0, 'zero'), QvdSymbol.fromIntValue(0), ''],
+    ],
+  });
+
+  await df.toQvd('__tests__/data/written_duals.qvd');
+
+  const writtenDf = await QvdDataFrame.fromQvd('__tests__/data/written_duals.qvd', {preserveSymbols: true});
+
+  expect(writtenDf.data[0][0].equals(QvdSymbol.fromDualIntValue(20240101, '2024-01-01'))).toBe(true);
+  expect(writtenDf.data[0][1].equals(QvdSymbol.fromStringValue('00123'))).toBe(true);
+  expect(writtenDf.data[0][2].equals(QvdSymbol.fromStringValue(''))).toBe(true);
+  expect(writtenDf.data[1][0].equals(QvdSymbol.fromDualIntValue(0, 'zero'))).toBe(true);
+  expect(writtenDf.data[1][1].equals(QvdSymbol.fromIntValue(0))).toBe(true);
+
+  fs.unlinkSync('__tests__/data/written_duals.qvd');
+});
+
+test('Write QVD file with dates and timestamps to disk', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Date', 'Timestamp', 'Value'],
+    data: [
+      [new Date('2024-01-01'), new Date('2024-01-01T12:00:00Z'), 1],
+      [new Date('1899-12-30'), new Date('2024-01-02T00:00:00Z'), 2],
+      [null, null, 3],
+    ],
+  });
+
+  expect(QvdSymbol.fromDateValue(new Date('2024-01-01')).intValue).toBe(45292);
+  expect(QvdSymbol.fromDateValue(new Date('2024-01-01T12:00:00Z')).doubleValue).toBe(45292.5);
+  expect(QvdSymbol.fromDateValue(new Date('2024-01-01T18:30:00Z'), false)).toEqual(
+    QvdSymbol.fromDualIntValue(45292, '2024-01-01'),
+  );
+  expect(QvdSymbol.fromDateValue(new Date('1899-12-29T06:00:00Z'), false)).toEqual(
+    QvdSymbol.fromDualIntValue(-1, '1899-12-29'),
+  );
+
+  await df.toQvd('__tests__/data/written_dates.qvd');
+
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_dates.qvd');
+
+  expect(metadata.Fields.map((field) => field.NumberFormat.Type)).toEqual(['DATE', 'TIMESTAMP', 'UNKNOWN']);
+  expect(metadata.Fields[0].NumberFormat.Fmt).toBe('YYYY-MM-DD');
+
+  const rawDf = await QvdDataFrame.fromQvd('__tests__/data/written_dates.qvd');
+
+  expect(rawDf.data[0]).toEqual(['2024-01-01', '2024-01-01 12:00:00', 1]);
+
+  const writtenDf = await QvdDataFrame.fromQvd('__tests__/data/written_dates.qvd', {convertDates: true});
+
+  expect(writtenDf.data).toEqual(df.data);
+
+  fs.unlinkSync('__tests__/data/written_dates.qvd');
+});
+
+test('Write QVD file with a declared schema to disk', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Amount', 'Id', 'Day'],
+    data: [
+      [1, 123, new Date('2024-01-01T00:00:00Z')],
+      [1.5, 456, new Date('2024-01-02T00:00:00Z')],
+    ],
+  });
+
+  await df.toQvd('__tests__/data/written_schema.qvd', {
+    schema: {
+      Amount: {type: 'double', comment: 'The amount', tags: ['$numeric']},
+      Id: {type: 'string', tags: ['$key', '$text']},
+      Day: {type: 'timestamp', numberFormat: {Fmt: 'DD.MM.YYYY hh:mm'}},
+    },
+  });
+
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_schema.qvd');
+
+  expect(metadata.Fields[0].Comment).toBe('The amount');
+  expect(metadata.Fields[0].Tags).toEqual(['$numeric']);
+  expect(metadata.Fields[1].Tags).toEqual(['$key', '$text']);
+  expect(metadata.Fields[2].NumberFormat.Type).toBe('TIMESTAMP');
+  expect(metadata.Fields[2].NumberFormat.Fmt).toBe('DD.MM.YYYY hh:mm');
+
+  const writtenDf = await QvdDataFrame.fromQvd('__tests__/data/written_schema.qvd', {preserveSymbols: true});
+
+  expect(writtenDf.data[0][0].equals(QvdSymbol.fromDoubleValue(1))).toBe(true);
+  expect(writtenDf.data[1][0].equals(QvdSymbol.fromDoubleValue(1.5))).toBe(true);
+  expect(writtenDf.data[0][1].equals(QvdSymbol.fromStringValue('123'))).toBe(true);
+  expect(writtenDf.data[0][2].equals(QvdSymbol.fromDualDoubleValue(45292, '2024-01-01 00:00:00'))).toBe(true);
+
+  fs.unlinkSync('__tests__/data/written_schema.qvd');
+});
+
+test('Write QVD file with values not matching the declared schema should throw an error', async () => {
+  const df = await QvdDataFrame.fromDict({columns: ['Key'], data: [[1], [1.5]]});
+
+  await expect(df.toQvd('__tests__/data/written_invalid.qvd', {schema: {Key: {type: 'integer'}}})).rejects.toThrow(
+    /does not match the declared type/,
+  );
+  await expect(
+    df.toQvd('__tests__/data/written_invalid.qvd', {schema: {Unknown: {type: 'integer'}}}),
+  ).rejects.toThrow();
+
+  const writer = new QvdFileStreamWriter('__tests__/data/written_invalid.qvd', ['Key'], {
+    schema: {Key: {type: 'dualInteger'}},
+  });
+
+  expect(() => writer.append(['A'])).toThrow(/does not match the declared type/);
+  expect(fs.existsSync('__tests__/data/written_invalid.qvd')).toBe(false);
+});
+
+test('Write QVD file with preserved header metadata to disk', async () => {
+  const originalMetadata = await QvdFileReader.readMetadata('__tests__/data/small.qvd');
+  const df = await QvdDataFrame.fromQvd('__tests__/data/small.qvd');
+
+  expect(df.metadata.TableName).toBe('Products');
+
+  await df.select('ProductKey', 'Color').toQvd('__tests__/data/written_metadata.qvd');
+
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_metadata.qvd');
+
+  expect(metadata.TableName).toBe(originalMetadata.TableName);
+  expect(metadata.QvBuildNo).toBe(originalMetadata.QvBuildNo);
+  expect(metadata.CreatorDoc).toBe(originalMetadata.CreatorDoc);
+  expect(metadata.Lineage).toEqual(originalMetadata.Lineage);
+  expect(metadata.Fields.map((field) => field.FieldName)).toEqual(['ProductKey', 'Color']);
+  expect(metadata.Fields[1].NumberFormat).toEqual(originalMetadata.Fields[3].NumberFormat);
+
+  fs.unlinkSync('__tests__/data/written_metadata.qvd');
+});
+
+test('Write QVD file with custom header metadata to disk', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [1, 'A'],
+      [2, 'B'],
+    ],
+    metadata: {
+      TableName: 'Lookup',
+      Comment: 'A lookup table',
+      TableTags: ['$lookup'],
+      Lineage: [{Discriminator: 'DSN=lookup.csv;', Statement: 'LOAD * FROM lookup.csv;'}],
+      Fields: [{FieldName: 'Key', Comment: 'The key', Tags: ['$key', '$numeric']}],
+    },
+  });
+
+  await df.toQvd('__tests__/data/written_custom_metadata.qvd');
+
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_custom_metadata.qvd');
+
+  expect(metadata.TableName).toBe('Lookup');
+  expect(metadata.Comment).toBe('A lookup table');
+  expect(metadata.TableTags).toEqual(['$lookup']);
+  expect(metadata.Lineage).toEqual([{Discriminator: 'DSN=lookup.csv;', Statement: 'LOAD * FROM lookup.csv;'}]);
+  expect(metadata.Fields[0].Comment).toBe('The key');
+  expect(metadata.Fields[0].Tags).toEqual(['$key', '$numeric']);
+  expect(metadata.Fields[1].Comment).toBe('');
+  expect(metadata.Fields[1].Tags).toEqual([]);
+
+  fs.unlinkSync('__tests__/data/written_custom_metadata.qvd');
+});
+
+test('Write QVD file to in-memory bytes', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [1, 'A'],
+      [2, null],
+      [3, 'C'],
+    ],
+  });
+
+  const bytes = await df.toBuffer();
+
+  expect(bytes).toBeInstanceOf(Uint8Array);
+
+  const readDf = await QvdDataFrame.fromBuffer(bytes);
+
+  expect(readDf.columns).toEqual(['Key', 'Value']);
+  expect(readDf.data).toEqual(df.data);
+  expect(readDf.metadata.TableName).toBe('Table');
+});
+
+test('Write QVD file with compact symbols and sorted symbol areas to disk', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Amount', 'Constant', 'Missing', 'Large'],
+    data: Array.from({length: 100}, (_, index) => [(index % 7) * 1.5, 'X', null, 3000000000 + (index % 3)]),
+  });
+
+  const defaultStatistics = await df.toQvd('__tests__/data/written_default.qvd');
+  const statistics = await df.toQvd('__tests__/data/written_compact.qvd', {compact: true, symbolOrder: 'ascending'});
+
+  expect(statistics.fileSize).toBe(fs.statSync('__tests__/data/written_compact.qvd').size);
+  expect(statistics.symbolTableSize).toBeLessThan(defaultStatistics.symbolTableSize);
+  expect(statistics.recordByteSize).toBe(1);
+  expect(statistics.fields.map(({bitWidth, bias}) => [bitWidth, bias])).toEqual([
+    [3, 0],
+    [0, 0],
+    [0, -2],
+    [2, 0],
+  ]);
+
+  const preservedDf = await QvdDataFrame.fromQvd('__tests__/data/written_compact.qvd', {preserveSymbols: true});
+  const amounts = await QvdDataFrame.fromQvd('__tests__/data/written_compact.qvd');
+
+  expect(preservedDf.at(1, 'Amount')).toEqual(QvdSymbol.fromDoubleValue(1.5));
+  expect(preservedDf.at(0, 'Large')).toEqual(QvdSymbol.fromDoubleValue(3000000000));
+  expect(amounts.data).toEqual(df.data);
+
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_compact.qvd');
+  const reader = new QvdFileReader('__tests__/data/written_compact.qvd', {preserveSymbols: true});
+
+  await reader._openFile();
+  await reader._parseHeader();
+  await reader._parseSymbolTable();
+  await reader._closeFile();
+
+  expect(metadata.Fields[0].NoOfSymbols).toBe(7);
+  expect(reader._symbolTable[0].map((symbol) => symbol.toPrimaryValue())).toEqual([0, 1.5, 3, 4.5, 6, 7.5, 9]);
+
+  // Data frames loaded from a QVD file are compacted alike, solely dual symbols with a custom text are kept
+  const loadedDf = await QvdDataFrame.fromQvd('__tests__/data/written_default.qvd');
+  const loadedStatistics = await loadedDf.toQvd('__tests__/data/written_compact.qvd', {compact: true});
+  const compactedDf = await QvdDataFrame.fromQvd('__tests__/data/written_compact.qvd', {preserveSymbols: true});
+
+  expect(loadedStatistics.symbolTableSize).toBe(statistics.symbolTableSize);
+  expect(compactedDf.at(0, 'Amount')).toEqual(QvdSymbol.fromIntValue(0));
+  expect(compactedDf.at(1, 'Amount')).toEqual(QvdSymbol.fromDoubleValue(1.5));
+
+  const codes = await QvdDataFrame.fromBuffer(
+    await new QvdDataFrame([[QvdSymbol.fromDualIntValue(123, '00123')], [7]], ['Code']).toBuffer(),
+  );
+  const compactedCodes = await QvdDataFrame.fromBuffer(await codes.toBuffer({compact: true}), {preserveSymbols: true});
+
+  expect(compactedCodes.data).toEqual([[QvdSymbol.fromDualIntValue(123, '00123')], [QvdSymbol.fromIntValue(7)]]);
+
+  expect(() => new QvdFileStreamWriter('__tests__/data/written_compact.qvd', ['A'], {symbolOrder: 'random'})).toThrow(
+    "Unknown symbol order 'random', expected 'load' or 'ascending'.",
+  );
+
+  fs.unlinkSync('__tests__/data/written_default.qvd');
+  fs.unlinkSync('__tests__/data/written_compact.qvd');
+});
+
+test('Write QVD file of constant and null columns, whose records take no bytes, to disk', async () => {
+  const writer = new QvdFileStreamWriter('__tests__/data/written_constant.qvd', ['Constant', 'Missing'], {
+    compact: true,
+  });
+
+  for (let index = 0; index < 10; index++) {
+    await writer.append(['X', null]);
+  }
+
+  await writer.close();
+
+  expect(writer.statistics.recordByteSize).toBe(0);
+  expect(writer.statistics.indexTableSize).toBe(0);
+
+  const df = await QvdDataFrame.fromQvd('__tests__/data/written_constant.qvd');
+
+  expect(df.shape).toEqual([10, 2]);
+  expect(df.data[9]).toEqual(['X', null]);
+
+  fs.unlinkSync('__tests__/data/written_constant.qvd');
+});
+
+test('Append rows to an existing QVD file', async () => {
+  await fs.promises.copyFile('__tests__/data/small.qvd', '__tests__/data/written_appended.qvd');
+
+  const original = await QvdDataFrame.fromQvd('__tests__/data/written_appended.qvd');
+  const originalMetadata = await QvdFileReader.readMetadata('__tests__/data/written_appended.qvd');
+  const appended = await QvdDataFrame.fromDict({
+    columns: ['ProductKey', 'ProductName', 'Color'],
+    data: [
+      [100000, 'Appended Product', original.data[0][3]],
+      [100001, 'Another Product', 'Ultraviolet'],
+    ],
+  });
+
+  const summary = await appended.appendToQvd('__tests__/data/written_appended.qvd');
+
+  expect(summary.recordCount).toBe(original.shape[0] + 2);
+  expect(summary.appendedRecords).toBe(2);
+  expect(summary.replacedRecords).toBe(0);
+  expect(summary.addedSymbols.ProductKey).toBe(2);
+  expect(summary.addedSymbols.Color).toBe(1);
+  expect(summary.addedSymbols.ListPrice).toBe(0);
+
+  const df = await QvdDataFrame.fromQvd('__tests__/data/written_appended.qvd');
+  const metadata = await QvdFileReader.readMetadata('__tests__/data/written_appended.qvd');
+
+  expect(df.columns).toEqual(original.columns);
+  expect(df.data.slice(0, original.shape[0])).toEqual(original.data);
+  expect(df.at(original.shape[0], 'ProductName')).toBe('Appended Product');
+  expect(df.at(original.shape[0], 'Color')).toBe(original.data[0][3]);
+  expect(df.at(original.shape[0] + 1, 'Color')).toBe('Ultraviolet');
+  expect(df.at(original.shape[0] + 1, 'ListPrice')).toBeNull();
+  expect(metadata.TableName).toBe(originalMetadata.TableName);
+  expect(metadata.Fields.map((field) => field.NumberFormat)).toEqual(
+    originalMetadata.Fields.map((field) => field.NumberFormat),
+  );
+  expect(metadata.Fields[0].NoOfSymbols).toBe(originalMetadata.Fields[0].NoOfSymbols + 2);
+
+  await expect(
+    (await QvdDataFrame.fromDict({columns: ['Unknown'], data: [[1]]})).appendToQvd(
+      '__tests__/data/written_appended.qvd',
+    ),
+  ).rejects.toThrow("The column 'Unknown' does not exist in the QVD file.");
+
+  fs.unlinkSync('__tests__/data/written_appended.qvd');
+});
+
+test('Append rows to an existing QVD file with a field without symbols', async () => {
+  await fs.promises.copyFile(
+    '__tests__/data/compat/sense_no_symbols_field.qvd',
+    '__tests__/data/written_appended_no_symbols.qvd',
+  );
+
+  const appended = await QvdDataFrame.fromDict({columns: ['Key', 'Missing'], data: [[10, 'NEW']]});
+  const summary = await appended.appendToQvd('__tests__/data/written_appended_no_symbols.qvd');
+
+  // The existing records of the field are null, hence they are repacked with a negative bias
+  expect(summary.rewrittenIndexTable).toBe(true);
+  expect((await QvdDataFrame.fromQvd('__tests__/data/written_appended_no_symbols.qvd')).data).toEqual([
+    [10, null],
+    [20, null],
+    [10, null],
+    [10, 'NEW'],
+  ]);
+
+  fs.unlinkSync('__tests__/data/written_appended_no_symbols.qvd');
+});
+
+test('Append rows to an existing QVD file replacing records by primary key', async () => {
+  const initial = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [1, 'A'],
+      [2, 'B'],
+      [3, 'C'],
+    ],
+  });
+
+  await initial.toQvd('__tests__/data/written_upserted.qvd');
+
+  const delta = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [2, 'B2'],
+      [4, null],
+      [5, 'E'],
+      [6, 'F'],
+    ],
+  });
+
+  const summary = await delta.appendToQvd('__tests__/data/written_upserted.qvd', {primaryKey: 'Key'});
+
+  expect(summary.recordCount).toBe(6);
+  expect(summary.replacedRecords).toBe(1);
+  expect(summary.rewrittenIndexTable).toBe(true);
+
+  const df = await QvdDataFrame.fromQvd('__tests__/data/written_upserted.qvd');
+
+  expect(df.data).toEqual([
+    [1, 'A'],
+    [3, 'C'],
+    [2, 'B2'],
+    [4, null],
+    [5, 'E'],
+    [6, 'F'],
+  ]);
+
+  const unchanged = await QvdDataFrame.fromDict({columns: ['Key', 'Value'], data: [[1, 'C']]});
+  const unchangedSummary = await unchanged.appendToQvd('__tests__/data/written_upserted.qvd');
+
+  expect(unchangedSummary.rewrittenIndexTable).toBe(false);
+  expect(unchangedSummary.addedSymbols).toEqual({Key: 0, Value: 0});
+  expect((await QvdDataFrame.fromQvd('__tests__/data/written_upserted.qvd')).data[6]).toEqual([1, 'C']);
+  expect(fs.readdirSync('__tests__/data').filter((file) => file.endsWith('.tmp'))).toEqual([]);
+
+  fs.unlinkSync('__tests__/data/written_upserted.qvd');
+});
+
+test('Append rows with duplicate primary keys, of which the last one wins', async () => {
+  const initial = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [1, 'A'],
+      [2, 'B'],
+    ],
+  });
+
+  await initial.toQvd('__tests__/data/written_deduplicated.qvd');
+
+  const delta = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [2, 'B2'],
+      [3, 'C'],
+      [null, 'X'],
+      [2, 'B3'],
+      [null, 'Y'],
+    ],
+  });
+
+  // The existing records are decoded once, for selecting and repacking them alike
+  const parseIndexTable = jest.spyOn(QvdFileReader.prototype, '_parseIndexTable');
+
+  try {
+    const summary = await delta.appendToQvd('__tests__/data/written_deduplicated.qvd', {primaryKey: 'Key'});
+
+    expect(parseIndexTable).toHaveBeenCalledTimes(1);
+    expect(summary).toMatchObject({recordCount: 5, appendedRecords: 4, replacedRecords: 1});
+  } finally {
+    parseIndexTable.mockRestore();
+  }
+
+  expect((await QvdDataFrame.fromQvd('__tests__/data/written_deduplicated.qvd')).data).toEqual([
+    [1, 'A'],
+    [3, 'C'],
+    [null, 'X'],
+    [2, 'B3'],
+    [null, 'Y'],
+  ]);
+
+  fs.unlinkSync('__tests__/data/written_deduplicated.qvd');
+});
+
+test('Write QVD file with null values as value and the preserved biases of the loaded fields', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Value'],
+    data: [
+      [1, 'A'],
+      [2, null],
+      [3, ''],
+    ],
+  });
+
+  const replacedDf = await QvdDataFrame.fromBuffer(await df.toBuffer({nullAsValue: ['Value']}));
+
+  expect(replacedDf.data).toEqual([
+    [1, 'A'],
+    [2, ''],
+    [3, ''],
+  ]);
+  expect(replacedDf.metadata.Fields.map((field) => [field.NoOfSymbols, field.Bias])).toEqual([
+    [3, 0],
+    [2, 0],
+  ]);
+
+  // A bias taken from the header of a loaded QVD file is kept, as long as it represents all values
+  const metadata = {
+    Fields: [
+      {FieldName: 'Key', Bias: -1},
+      {FieldName: 'Value', Bias: 0},
+    ],
+  };
+  const biasedDf = await QvdDataFrame.fromBuffer(await new QvdDataFrame(df.data, df.columns, metadata).toBuffer());
+
+  expect(biasedDf.data).toEqual(df.data);
+  expect(biasedDf.metadata.Fields.map((field) => field.Bias)).toEqual([-1, -2]);
+
+  const rewrittenDf = await QvdDataFrame.fromBuffer(await biasedDf.toBuffer());
+
+  expect(rewrittenDf.metadata.Fields.map((field) => [field.BitWidth, field.Bias])).toEqual([
+    [2, -1],
+    [2, -2],
+  ]);
+
+  const writer = new QvdFileStreamWriter('__tests__/data/written_null_as_value.qvd', ['Key', 'Value'], {
+    nullAsValue: true,
+    nullValue: '-',
+    metadata,
+  });
+
+  await writer.append([1, null]);
+  await writer.append({Key: null, Value: 'B'});
+  await writer.close();
+
+  const streamedDf = await QvdDataFrame.fromQvd('__tests__/data/written_null_as_value.qvd');
+
+  expect(streamedDf.data).toEqual([
+    [1, '-'],
+    ['-', 'B'],
+  ]);
+  expect(streamedDf.metadata.Fields.map((field) => field.Bias)).toEqual([-1, 0]);
+
+  fs.unlinkSync('__tests__/data/written_null_as_value.qvd');
+});
+
+test('Write QVD file with ~1000000 rows and high-cardinality keys should take less than 10000ms', async () => {
+  const df = await QvdDataFrame.fromDict({
+    columns: ['Key', 'Name', 'Amount'],
+    data: Array.from({length: 1000000}, (_, index) => [index, `Name ${index % 1000}`, index % 7 ? index / 4 : null]),
+  });
+
+  const start = Date.now();
+  const bytes = await df.toBuffer();
+  const end = Date.now();
+
+  expect(end - start).toBeLessThan(10000);
+
+  const metadata = await QvdFileReader.readMetadata(bytes);
+
+  expect(metadata.NoOfRecords).toBe(1000000);
+  expect(metadata.Fields.map((field) => field.NoOfSymbols)).toEqual([1000000, 1000, 857142]);
+
+  const readDf = await QvdDataFrame.fromBuffer(bytes, {offset: 999990});
+
+  expect(readDf.data).toEqual(df.data.slice(999990));
+}, 30000);
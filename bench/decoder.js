@@ -0,0 +1,53 @@
+import {QvdFileReader} from '../src';
+import {loadIndexTable, parseIndexRecordByBitString} from './reference';
+
+/**
+ * Measures the time of decoding all records of an index table, after a warm up run that lets the JIT compiler
+ * optimize the decoder beforehand.
+ *
+ * @param {number} recordCount The number of records to decode.
+ * @param {function(number): any} decode Decodes the record of the given index.
+ * @return {number} The elapsed time in milliseconds.
+ */
+function measure(recordCount, decode) {
+  for (let recordIndex = 0; recordIndex < Math.min(recordCount, 500); recordIndex++) {
+    decode(recordIndex);
+  }
+
+  const start = performance.now();
+
+  for (let recordIndex = 0; recordIndex < recordCount; recordIndex++) {
+    decode(recordIndex);
+  }
+
+  return performance.now() - start;
+}
+
+/**
+ * Times the bitwise decoder against the bit string reference on each QVD file of the test data directory and
+ * prints the speedup. The timings depend on the machine, hence nothing is asserted.
+ */
+async function main() {
+  for (const name of ['small.qvd', 'medium.qvd', 'large.qvd']) {
+    const {indexTable, metadata} = await loadIndexTable(name);
+    const recordSize = metadata.RecordByteSize;
+    const layout = QvdFileReader._buildIndexLayout(metadata.Fields);
+
+    const reference = measure(metadata.NoOfRecords, (recordIndex) =>
+      parseIndexRecordByBitString(
+        indexTable.subarray(recordIndex * recordSize, (recordIndex + 1) * recordSize),
+        metadata.Fields,
+      ),
+    );
+    const bitwise = measure(metadata.NoOfRecords, (recordIndex) =>
+      QvdFileReader._parseIndexRecord(indexTable, recordIndex * recordSize, layout),
+    );
+
+    console.log(
+      `${name} (${metadata.NoOfRecords} records): bit string ${reference.toFixed(1)} ms, ` +
+        `bitwise ${bitwise.toFixed(1)} ms, ${(reference / bitwise).toFixed(1)}x faster`,
+    );
+  }
+}
+
+main();
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import {QvdFileReader} from '../src';
+
+/**
+ * Reference decoder of a single index table record, which converts the record to a string of bits
+ * and sums up the bits of each symbol index. It is the decoder used prior to the bitwise one.
+ *
+ * @param {Uint8Array} recordBuffer The bytes of the record.
+ * @param {Array<{BitOffset: number, BitWidth: number, Bias: number}>} fields The headers of the fields.
+ * @return {Array<number>} The symbol indices of the record.
+ */
+export function parseIndexRecordByBitString(recordBuffer, fields) {
+  const bytes = new Int32Array(recordBuffer);
+  bytes.reverse();
+
+  const mask = bytes
+    .reduce((bits, byte) => bits + ('00000000' + byte.toString(2)).slice(-8), '')
+    .split('')
+    .reverse()
+    .map((bit) => parseInt(bit));
+
+  return fields.map(({BitOffset, BitWidth, Bias}) => {
+    const bits = mask.slice(BitOffset, BitOffset + BitWidth);
+    const symbolIndex = bits.reduce((value, bit, index) => (value += bit * Math.pow(2, index)), 0);
+
+    return symbolIndex + Bias;
+  });
+}
+
+/**
+ * Loads the index table of a QVD file of the test data directory, including the headers of its fields.
+ *
+ * @param {string} name The name of the QVD file within the test data directory.
+ * @return {Promise<{indexTable: Uint8Array, metadata: object}>} The index table and the header.
+ */
+export async function loadIndexTable(name) {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, '..', '__tests__', 'data', name)));
+  const metadata = await QvdFileReader.readMetadata(bytes);
+  const symbolTableOffset = Buffer.from(bytes.buffer).indexOf('\r\n\0') + 3;
+  const indexTableOffset = symbolTableOffset + metadata.Offset;
+
+  return {indexTable: bytes.subarray(indexTableOffset, indexTableOffset + metadata.Length), metadata};
+}
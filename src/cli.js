@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// @ts-check
+
+import {run} from './commands';
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,603 @@
+// @ts-check
+
+import fs from 'fs';
+import path from 'path';
+import {once} from 'events';
+import {parseArgs} from 'util';
+import {QvdDataFrame, QvdFileReader, QvdFileStreamWriter} from './qvd';
+import {QvdCsvReader, QvdCsvWriter} from './csv';
+import {QvdNdjsonReader, QvdNdjsonWriter, replaceValue} from './json';
+import {QvdFormatError} from './errors';
+
+/**
+ * The usage information of the command line interface.
+ */
+const USAGE = `Usage: qvd4js <command> [options]
+
+Commands:
+  info <file>                Prints the header metadata of a QVD file.
+  schema <file>              Prints the fields of a QVD file, including their number formats and tags.
+  head <file>                Prints the first rows of a QVD file.
+  tail <file>                Prints the last rows of a QVD file.
+  validate <file>            Validates a QVD file, or reports the recoverable damages if lenient.
+  convert <input> <output>   Converts between QVD, CSV, JSON and NDJSON files.
+
+Options:
+  -c, --columns <names>      Comma separated names of the columns to select.
+  -n, --rows <count>         The number of rows to print (head, tail), defaults to 10.
+      --offset <index>       The index of the first row to convert (convert).
+      --limit <count>        The maximum number of rows to convert (convert).
+      --from <format>        The format of the input file (convert), inferred from the extension by default.
+      --to <format>          The format of the output file (convert), inferred from the extension by default.
+  -f, --format <format>      The output format, either table, csv, json or ndjson (head, tail),
+                             or text or json (info, schema). Defaults to table and text respectively.
+      --lenient              Loads everything recoverable from a damaged QVD file.
+  -h, --help                 Prints this usage information.
+`;
+
+/**
+ * The file formats supported by the convert command.
+ */
+const FILE_FORMATS = ['qvd', 'csv', 'json', 'ndjson'];
+
+/**
+ * The output formats of rows printed by the head and tail commands.
+ */
+const ROW_FORMATS = ['table', 'csv', 'json', 'ndjson'];
+
+/**
+ * Raised if the command line arguments are invalid.
+ */
+class UsageError extends Error {}
+
+/**
+ * Runs the command line interface.
+ *
+ * @param {Array<string>} args The command line arguments, excluding the executable and the script.
+ * @param {Object} [streams] The streams to print to.
+ * @param {{write: function(string): any}} [streams.stdout] The stream to print the output to.
+ * @param {{write: function(string): any}} [streams.stderr] The stream to print errors to.
+ * @return {Promise<number>} The exit code, 0 on success, 1 on failure and 2 on invalid arguments.
+ */
+export async function run(args, streams = {}) {
+  const stdout = streams.stdout ?? process.stdout;
+  const stderr = streams.stderr ?? process.stderr;
+
+  try {
+    const {values: options, positionals} = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        columns: {type: 'string', short: 'c'},
+        rows: {type: 'string', short: 'n'},
+        offset: {type: 'string'},
+        limit: {type: 'string'},
+        from: {type: 'string'},
+        to: {type: 'string'},
+        format: {type: 'string', short: 'f'},
+        lenient: {type: 'boolean'},
+        help: {type: 'boolean', short: 'h'},
+      },
+    });
+
+    const [command, ...files] = positionals;
+
+    if (options.help || !command) {
+      stdout.write(USAGE);
+      return options.help ? 0 : 2;
+    }
+
+    const readerOptions = {
+      columns: options.columns?.split(',').map((column) => column.trim()),
+      lenient: options.lenient,
+    };
+
+    switch (command) {
+      case 'info':
+        return await info(requireFiles(files, 1)[0], readerOptions, options.format ?? 'text', stdout);
+      case 'schema':
+        return await schema(requireFiles(files, 1)[0], readerOptions, options.format ?? 'text', stdout);
+      case 'head':
+      case 'tail':
+        return await print(
+          command,
+          requireFiles(files, 1)[0],
+          readerOptions,
+          parseCount(options.rows, 'rows') ?? 10,
+          options.format ?? 'table',
+          stdout,
+        );
+      case 'validate':
+        return await validate(requireFiles(files, 1)[0], readerOptions, stdout);
+      case 'convert': {
+        const [input, output] = requireFiles(files, 2);
+
+        return await convert(input, output, {
+          ...readerOptions,
+          offset: parseCount(options.offset, 'offset'),
+          limit: parseCount(options.limit, 'limit'),
+          from: options.from ?? inferFileFormat(input),
+          to: options.to ?? inferFileFormat(output),
+        });
+      }
+      default:
+        throw new UsageError(`Unknown command '${command}'.`);
+    }
+  } catch (err) {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    stderr.write(`${err.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Ensures that the expected number of files has been passed.
+ *
+ * @param {Array<string>} files The passed files.
+ * @param {number} count The expected number of files.
+ * @return {Array<string>} The passed files.
+ */
+function requireFiles(files, count) {
+  if (files.length !== count) {
+    throw new UsageError(`Expected ${count} file argument(s), got ${files.length}.`);
+  }
+
+  return files;
+}
+
+/**
+ * Parses a non-negative integer argument.
+ *
+ * @param {string|undefined} value The raw argument.
+ * @param {string} name The name of the argument.
+ * @return {number|undefined} The parsed argument, undefined if omitted.
+ */
+function parseCount(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const count = Number(value);
+
+  if (!Number.isInteger(count) || count < 0) {
+    throw new UsageError(`The option '--${name}' must be a non-negative integer, got '${value}'.`);
+  }
+
+  return count;
+}
+
+/**
+ * Infers the format of a file from its extension.
+ *
+ * @param {string} file The path to the file.
+ * @return {string} The format of the file.
+ */
+function inferFileFormat(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+
+  if (!FILE_FORMATS.includes(format)) {
+    throw new UsageError(`The format of '${file}' cannot be inferred, use --from or --to.`);
+  }
+
+  return format;
+}
+
+/**
+ * Ensures that a format is one of the supported ones.
+ *
+ * @param {string} format The format.
+ * @param {Array<string>} formats The supported formats.
+ */
+function requireFormat(format, formats) {
+  if (!formats.includes(format)) {
+    throw new UsageError(`Unknown format '${format}', expected one of ${formats.join(', ')}.`);
+  }
+}
+
+/**
+ * Prints the header metadata of a QVD file.
+ *
+ * @param {string} file The path to the QVD file.
+ * @param {Object} readerOptions The options of the reader.
+ * @param {string} format The output format, either text or json.
+ * @param {{write: function(string): any}} stdout The stream to print to.
+ * @return {Promise<number>} The exit code.
+ */
+async function info(file, readerOptions, format, stdout) {
+  requireFormat(format, ['text', 'json']);
+
+  const metadata = await QvdFileReader.readMetadata(file, readerOptions);
+
+  if (format === 'json') {
+    stdout.write(JSON.stringify(metadata, null, 2) + '\n');
+    return 0;
+  }
+
+  const properties = [
+    ['Table', metadata.TableName],
+    ['Records', metadata.NoOfRecords],
+    ['Fields', metadata.Fields.length],
+    ['Record size', `${metadata.RecordByteSize} bytes`],
+    ['Symbol table', `${metadata.Offset} bytes`],
+    ['Index table', `${metadata.Length} bytes`],
+    ['Created', metadata.CreateUtcTime],
+    ['Build', metadata.QvBuildNo],
+    ['Creator', metadata.CreatorDoc],
+    ['Comment', metadata.Comment],
+    ['Tags', metadata.TableTags.join(', ')],
+    ...metadata.Lineage.map((lineage) => ['Lineage', lineage.Discriminator.replace(/\s+/g, ' ')]),
+  ];
+
+  stdout.write(properties.map(([name, value]) => `${(name + ':').padEnd(14)}${value ?? ''}`.trimEnd()).join('\n'));
+  stdout.write('\n');
+
+  return 0;
+}
+
+/**
+ * Prints the fields of a QVD file, including their number formats and tags.
+ *
+ * @param {string} file The path to the QVD file.
+ * @param {Object} readerOptions The options of the reader.
+ * @param {string} format The output format, either text or json.
+ * @param {{write: function(string): any}} stdout The stream to print to.
+ * @return {Promise<number>} The exit code.
+ */
+async function schema(file, readerOptions, format, stdout) {
+  requireFormat(format, ['text', 'json']);
+
+  const metadata = await QvdFileReader.readMetadata(file, readerOptions);
+  const columns = readerOptions.columns ?? metadata.Fields.map((field) => field.FieldName);
+
+  const fields = columns.map((column) => {
+    const field = metadata.Fields.find((field) => field.FieldName === column);
+
+    if (!field) {
+      throw new Error(`The column '${column}' does not exist in the QVD file.`);
+    }
+
+    return {
+      name: field.FieldName,
+      numberFormat: field.NumberFormat.Type,
+      symbols: field.NoOfSymbols,
+      bitWidth: field.BitWidth,
+      tags: field.Tags,
+      comment: field.Comment,
+    };
+  });
+
+  if (format === 'json') {
+    stdout.write(JSON.stringify(fields, null, 2) + '\n');
+    return 0;
+  }
+
+  stdout.write(
+    formatTable(
+      ['Field', 'Format', 'Symbols', 'Bits', 'Tags', 'Comment'],
+      fields.map((field) => [
+        field.name,
+        field.numberFormat,
+        field.symbols,
+        field.bitWidth,
+        field.tags.join(', '),
+        field.comment,
+      ]),
+    ),
+  );
+
+  return 0;
+}
+
+/**
+ * Prints the first or last rows of a QVD file. Only the printed rows are read from the file.
+ *
+ * @param {string} command Either head or tail.
+ * @param {string} file The path to the QVD file.
+ * @param {Object} readerOptions The options of the reader.
+ * @param {number} count The number of rows to print.
+ * @param {string} format The output format, either table, csv, json or ndjson.
+ * @param {{write: function(string): any}} stdout The stream to print to.
+ * @return {Promise<number>} The exit code.
+ */
+async function print(command, file, readerOptions, count, format, stdout) {
+  requireFormat(format, ROW_FORMATS);
+
+  let df;
+
+  if (command === 'head') {
+    df = (await QvdDataFrame.fromQvd(file, {...readerOptions, limit: count})).head(count);
+  } else {
+    const metadata = await QvdFileReader.readMetadata(file, readerOptions);
+    const offset = Math.max(0, metadata.NoOfRecords - count);
+
+    df = (await QvdDataFrame.fromQvd(file, {...readerOptions, offset})).tail(count);
+  }
+
+  if (format === 'table') {
+    stdout.write(formatTable(df.columns, df.data));
+  } else {
+    stdout.write(formatRows(df.columns, df.data, format));
+  }
+
+  return 0;
+}
+
+/**
+ * Validates a QVD file by parsing it completely. Strictly, the first violation of the QVD file format
+ * is printed, leniently, all recovered violations are printed.
+ *
+ * @param {string} file The path to the QVD file.
+ * @param {Object} readerOptions The options of the reader.
+ * @param {{write: function(string): any}} stdout The stream to print to.
+ * @return {Promise<number>} The exit code, 1 if the QVD file is invalid.
+ */
+async function validate(file, readerOptions, stdout) {
+  const reader = new QvdFileReader(file, readerOptions);
+  let recordCount = 0;
+
+  try {
+    // The rows are iterated, hence large files are validated without loading them into memory
+    const rows = reader.rows();
+
+    while (!(await rows.next()).done) {
+      recordCount++;
+    }
+  } catch (err) {
+    if (!(err instanceof QvdFormatError)) {
+      throw err;
+    }
+
+    stdout.write(`${file}: invalid, ${err.name}: ${err.message}\n`);
+    return 1;
+  }
+
+  const issues = reader.report?.issues ?? [];
+
+  if (issues.length > 0) {
+    stdout.write(`${file}: invalid, ${recordCount} records recoverable\n`);
+    issues.forEach((issue) => stdout.write(`  ${issue.name}: ${issue.message}\n`));
+    return 1;
+  }
+
+  stdout.write(`${file}: valid, ${recordCount} records\n`);
+  return 0;
+}
+
+/**
+ * Converts a file between the QVD, CSV, JSON and NDJSON formats. QVD files are read and written row by row.
+ * Converting a QVD file to a QVD file preserves its table and field metadata, e.g. the table name, tags and
+ * number formats.
+ *
+ * @param {string} input The path to the input file.
+ * @param {string} output The path to the output file.
+ * @param {Object} options The options of the conversion.
+ * @param {Array<string>} [options.columns] The names of the columns to select.
+ * @param {number} [options.offset] The index of the first row to convert.
+ * @param {number} [options.limit] The maximum number of rows to convert.
+ * @param {boolean} [options.lenient] Whether to load everything recoverable from a damaged QVD file.
+ * @param {string} options.from The format of the input file.
+ * @param {string} options.to The format of the output file.
+ * @return {Promise<number>} The exit code.
+ */
+async function convert(input, output, options) {
+  requireFormat(options.from, FILE_FORMATS);
+  requireFormat(options.to, FILE_FORMATS);
+
+  const {columns, rows, metadata} = await readRows(input, options);
+
+  if (options.to === 'json') {
+    const stream = fs.createWriteStream(output);
+
+    try {
+      let index = 0;
+
+      // Respect the backpressure of the file, hence large files are converted with bounded memory
+      for await (const row of rows) {
+        if (!stream.write(formatJsonRecord(columns, row, index++))) {
+          await once(stream, 'drain');
+        }
+      }
+
+      stream.write(formatJsonEnd(index));
+    } finally {
+      stream.end();
+      await once(stream, 'close');
+    }
+  } else {
+    const writers = {qvd: QvdFileStreamWriter, csv: QvdCsvWriter, ndjson: QvdNdjsonWriter};
+    const writer = new writers[options.to](output, columns, options.to === 'qvd' && metadata ? {metadata} : {});
+
+    for await (const row of rows) {
+      await writer.append(row);
+    }
+
+    await writer.close();
+  }
+
+  return 0;
+}
+
+/**
+ * Reads the rows of a file in any of the supported formats. The column selection and the row range are
+ * pushed down to QVD files. CSV and NDJSON files are read row by row, JSON files are read completely.
+ *
+ * @param {string} file The path to the file.
+ * @param {Object} options The options of the conversion, see {@link convert}.
+ * @return {Promise<{columns: Array<string>, rows: AsyncIterable<Array<any>>, metadata: ?Object}>}
+ * The columns, the rows and, for QVD files, the header metadata.
+ */
+async function readRows(file, options) {
+  if (options.from === 'qvd') {
+    const metadata = await QvdFileReader.readMetadata(file, options);
+    const reader = new QvdFileReader(file, options);
+
+    return {
+      columns: options.columns ?? metadata.Fields.map((field) => field.FieldName),
+      rows: reader.rows(),
+      metadata,
+    };
+  }
+
+  let columns;
+  let rows;
+
+  if (options.from === 'csv' || options.from === 'ndjson') {
+    const reader = options.from === 'csv' ? new QvdCsvReader(file) : new QvdNdjsonReader(file);
+    const iterator = reader.rows();
+
+    // The columns are known as soon as the first row has been read
+    const first = await iterator.next();
+
+    columns = reader.columns;
+    rows = (async function* () {
+      if (!first.done) {
+        yield first.value;
+        yield* iterator;
+      }
+    })();
+  } else {
+    const parsed = JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+
+    // JSON files contain either records or a dictionary, see QvdDataFrame.toRecords and QvdDataFrame.toDict
+    const df = Array.isArray(parsed) ? await QvdDataFrame.fromRecords(parsed) : await QvdDataFrame.fromDict(parsed);
+
+    columns = df.columns;
+    rows = df.data;
+  }
+
+  const selectedColumns = options.columns ?? columns;
+  const missingColumns = selectedColumns.filter((column) => !columns.includes(column));
+
+  if (missingColumns.length > 0) {
+    throw new Error(`The column(s) ${missingColumns.map((column) => `'${column}'`).join(', ')} do not exist.`);
+  }
+
+  return {
+    columns: selectedColumns,
+    rows: selectRows(
+      rows,
+      selectedColumns.map((column) => columns.indexOf(column)),
+      options,
+    ),
+    metadata: null,
+  };
+}
+
+/**
+ * Selects columns and a range of rows lazily.
+ *
+ * @param {AsyncIterable<Array<any>>|Iterable<Array<any>>} rows The rows to select from.
+ * @param {Array<number>} indices The indices of the columns to select.
+ * @param {Object} options The options of the conversion, see {@link convert}.
+ * @return {AsyncGenerator<Array<any>>} The selected rows.
+ */
+async function* selectRows(rows, indices, options) {
+  const offset = options.offset ?? 0;
+  const end = options.limit !== undefined ? offset + options.limit : Infinity;
+  let index = 0;
+
+  if (end === 0) {
+    return;
+  }
+
+  for await (const row of rows) {
+    if (index >= offset) {
+      yield indices.map((columnIndex) => row[columnIndex]);
+    }
+
+    if (++index >= end) {
+      break;
+    }
+  }
+}
+
+/**
+ * Formats a value as text, null values are empty.
+ *
+ * @param {any} value The value to format.
+ * @return {string} The formatted value.
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Formats a single row as a record of a JSON array. The first record is preceded by the opening bracket.
+ *
+ * @param {Array<string>} columns The names of the columns.
+ * @param {Array<any>} row The values of the row.
+ * @param {number} index The index of the row.
+ * @return {string} The formatted record.
+ */
+function formatJsonRecord(columns, row, index) {
+  return (index === 0 ? '[\n  ' : ',\n  ') + JSON.stringify(toRecord(columns, row), replaceValue);
+}
+
+/**
+ * Formats the end of a JSON array, following the last record.
+ *
+ * @param {number} count The number of formatted records.
+ * @return {string} The end of the JSON array.
+ */
+function formatJsonEnd(count) {
+  return count === 0 ? '[]\n' : '\n]\n';
+}
+
+/**
+ * Formats rows in the given format.
+ *
+ * @param {Array<string>} columns The names of the columns.
+ * @param {Array<Array<any>>} rows The rows.
+ * @param {string} format Either csv, json or ndjson.
+ * @return {string} The formatted rows.
+ */
+function formatRows(columns, rows, format) {
+  if (format === 'csv') {
+    return QvdCsvWriter.format(columns, rows);
+  } else if (format === 'ndjson') {
+    return QvdNdjsonWriter.format(columns, rows);
+  }
+
+  return rows.map((row, index) => formatJsonRecord(columns, row, index)).join('') + formatJsonEnd(rows.length);
+}
+
+/**
+ * Converts a row to a record, keyed by the column names.
+ *
+ * @param {Array<string>} columns The names of the columns.
+ * @param {Array<any>} row The values of the row.
+ * @return {Object<string, any>} The record.
+ */
+function toRecord(columns, row) {
+  return Object.fromEntries(columns.map((column, index) => [column, row[index]]));
+}
+
+/**
+ * Formats rows as a text table, whose columns are aligned.
+ *
+ * @param {Array<string>} columns The names of the columns.
+ * @param {Array<Array<any>>} rows The rows.
+ * @return {string} The formatted table.
+ */
+function formatTable(columns, rows) {
+  const cells = rows.map((row) => row.map((value) => formatValue(value).replace(/\s+/g, ' ')));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((row) => row[index].length)));
+
+  const formatLine = (values) =>
+    values
+      .map((value, index) => value.padEnd(widths[index]))
+      .join(' | ')
+      .trimEnd();
+
+  return [formatLine(columns), widths.map((width) => '-'.repeat(width)).join('-+-'), ...cells.map(formatLine)]
+    .map((line) => line + '\n')
+    .join('');
+}
@@ -0,0 +1,482 @@
+// @ts-check
+
+import {QvdDataFrame, QvdSymbol} from './qvd';
+import {createReadable, createWritable} from './io';
+import {readText, TextFileSink} from './text';
+
+/**
+ * The pattern of a cell that represents a number, as written by {@link Number#toString} or in common notations.
+ */
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * The state of the CSV parser at the start of a cell.
+ */
+const CELL_START = 0;
+
+/**
+ * The state of the CSV parser within an unquoted cell.
+ */
+const UNQUOTED = 1;
+
+/**
+ * The state of the CSV parser within a quoted cell.
+ */
+const QUOTED = 2;
+
+/**
+ * The state of the CSV parser after a quote within a quoted cell, which either closes the cell or is escaped.
+ */
+const QUOTE_IN_QUOTED = 3;
+
+/**
+ * Validates the options shared by the CSV reader and writer.
+ *
+ * @param {Object} options The options to validate, see {@link QvdCsvReader} and {@link QvdCsvWriter}.
+ * @return {{delimiter: string, quote: string, header: boolean, encoding: string, nullValue: string}} The options,
+ * including the defaults.
+ */
+function normalizeOptions(options) {
+  const normalized = {
+    delimiter: options.delimiter ?? ',',
+    quote: options.quote ?? '"',
+    header: options.header ?? true,
+    encoding: options.encoding ?? 'utf-8',
+    nullValue: options.nullValue ?? '',
+  };
+
+  if (normalized.delimiter.length !== 1 || normalized.quote.length !== 1) {
+    throw new Error('The delimiter and the quote must be single characters.');
+  }
+
+  if (['\r', '\n'].includes(normalized.delimiter) || normalized.delimiter === normalized.quote) {
+    throw new Error('The delimiter must neither be a line break nor the quote.');
+  }
+
+  return normalized;
+}
+
+/**
+ * Reads CSV files row by row. The CSV file is parsed in chunks, hence CSV files of any size are read
+ * with bounded memory.
+ */
+export class QvdCsvReader {
+  /**
+   * Constructs a new CSV file reader.
+   *
+   * Unquoted cells are converted to the values the QVD file writer stores as the matching symbol types:
+   * Cells that equal the null representation become null, integers and decimal numbers become numbers,
+   * hence they are stored as integer and double symbols respectively, and numbers in any other notation,
+   * e.g. with leading zeros or trailing decimal zeros, become dual {@link QvdSymbol} instances that keep
+   * the original text. Quoted cells are always strings. Empty lines are skipped, unless the CSV file has a
+   * single column, whose empty lines are empty cells, e.g. null values.
+   *
+   * @param {string|Uint8Array|AsyncIterable<Uint8Array|string>|Iterable<Uint8Array|string>} source The path to
+   * the CSV file, the bytes of the CSV file itself or an iterable of chunks, e.g. a readable stream.
+   * @param {Object} [options] The options of the reader.
+   * @param {string} [options.delimiter] The delimiter of the cells, defaults to a comma.
+   * @param {string} [options.quote] The quote character, defaults to a double quote.
+   * @param {boolean} [options.header] Whether the first line contains the column names, defaults to true.
+   * @param {Array<string>} [options.columns] The names of the columns if the CSV file has no header line,
+   * defaults to @1, @2, etc.
+   * @param {string} [options.encoding] The character encoding, defaults to UTF-8.
+   * @param {string} [options.nullValue] The representation of null values, defaults to an empty cell.
+   * @param {boolean} [options.inferTypes] Whether to infer the values of unquoted cells, defaults to true.
+   * Otherwise, all non-null values are strings.
+   */
+  constructor(source, options = {}) {
+    this._source = source;
+    this._options = normalizeOptions(options);
+    this._inferTypes = options.inferTypes ?? true;
+    this._columns = options.columns ?? null;
+  }
+
+  /**
+   * Returns the names of the columns, available as soon as the first row has been read.
+   *
+   * @return {Array<string>|null} The names of the columns.
+   */
+  get columns() {
+    return this._columns;
+  }
+
+  /**
+   * Parses the lines of the CSV file into raw cells. Line breaks are either LF, CRLF or CR, empty
+   * lines do not contain any cell.
+   *
+   * @return {AsyncGenerator<Array<{text: string, quoted: boolean}>>} The cells of each line.
+   */
+  async *_parseLines() {
+    const {delimiter, quote} = this._options;
+
+    let state = CELL_START;
+    let text = '';
+    let quoted = false;
+    let line = [];
+    let skipLineFeed = false;
+
+    for await (const chunk of readText(this._source, this._options.encoding)) {
+      const lines = [];
+
+      for (let index = 0; index < chunk.length; index++) {
+        const char = chunk[index];
+
+        if (state === QUOTE_IN_QUOTED) {
+          if (char === quote) {
+            text += quote;
+            state = QUOTED;
+            continue;
+          }
+
+          state = UNQUOTED;
+        }
+
+        if (skipLineFeed) {
+          skipLineFeed = false;
+
+          if (char === '\n') {
+            continue;
+          }
+        }
+
+        if (state === QUOTED) {
+          if (char === quote) {
+            state = QUOTE_IN_QUOTED;
+          } else {
+            text += char;
+          }
+        } else if (char === delimiter) {
+          line.push({text, quoted});
+          state = CELL_START;
+          text = '';
+          quoted = false;
+        } else if (char === '\n' || char === '\r') {
+          // Empty lines do not contain any cell, their meaning depends on the number of columns
+          if (state !== CELL_START || line.length > 0) {
+            line.push({text, quoted});
+          }
+
+          lines.push(line);
+
+          state = CELL_START;
+          text = '';
+          quoted = false;
+          line = [];
+          skipLineFeed = char === '\r';
+        } else if (char === quote && state === CELL_START) {
+          state = QUOTED;
+          quoted = true;
+        } else {
+          text += char;
+          state = UNQUOTED;
+        }
+      }
+
+      yield* lines;
+    }
+
+    if (state === QUOTED) {
+      throw new Error('The CSV file ends within a quoted cell.');
+    }
+
+    if (state !== CELL_START || line.length > 0) {
+      line.push({text, quoted});
+      yield line;
+    }
+  }
+
+  /**
+   * Iterates over the rows of the CSV file, the header line is not included. Values are in the same
+   * order as the columns.
+   *
+   * @return {AsyncGenerator<Array<any>>} The rows of the CSV file.
+   */
+  async *rows() {
+    let lineIndex = 0;
+    let isHeaderPending = this._options.header;
+
+    for await (const line of this._parseLines()) {
+      lineIndex++;
+
+      // The empty line of a single column is an empty cell, e.g. a null value, empty lines are skipped otherwise
+      if (line.length === 0) {
+        if (isHeaderPending || this._columns?.length !== 1) {
+          continue;
+        }
+
+        line.push({text: '', quoted: false});
+      }
+
+      if (isHeaderPending) {
+        this._columns = line.map((cell) => cell.text);
+        isHeaderPending = false;
+        continue;
+      }
+
+      if (!this._columns) {
+        this._columns = line.map((_, index) => `@${index + 1}`);
+      }
+
+      if (line.length > this._columns.length) {
+        throw new Error(
+          `The line ${lineIndex} of the CSV file contains ${line.length} cells, ` +
+            `but ${this._columns.length} columns are defined.`,
+        );
+      }
+
+      // Missing trailing cells are null
+      yield this._columns.map((_, index) => (index < line.length ? this._convertCell(line[index]) : null));
+    }
+
+    if (!this._columns) {
+      this._columns = [];
+    }
+  }
+
+  /**
+   * Converts a raw cell to its value, see {@link QvdCsvReader} for details.
+   *
+   * @param {{text: string, quoted: boolean}} cell The raw cell.
+   * @return {any} The value of the cell.
+   */
+  _convertCell(cell) {
+    if (cell.quoted) {
+      return cell.text;
+    }
+
+    if (cell.text === this._options.nullValue) {
+      return null;
+    }
+
+    return this._inferTypes ? QvdCsvReader._inferValue(cell.text) : cell.text;
+  }
+
+  /**
+   * Infers the value of an unquoted cell, see {@link QvdCsvReader} for details.
+   *
+   * @param {string} text The text of the cell.
+   * @return {number|string|QvdSymbol} The inferred value.
+   */
+  static _inferValue(text) {
+    if (!NUMBER_PATTERN.test(text)) {
+      return text;
+    }
+
+    const value = Number(text);
+
+    if (String(value) === text) {
+      return value;
+    }
+
+    // Numbers in any other notation are kept as dual values, hence writing them to CSV again is lossless
+    return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff
+      ? QvdSymbol.fromDualIntValue(value, text)
+      : QvdSymbol.fromDualDoubleValue(value, text);
+  }
+
+  /**
+   * Creates a readable stream in object mode, that emits the rows of the CSV file one by one.
+   * See {@link QvdCsvReader#rows} for details.
+   *
+   * @return {Readable} The stream of rows.
+   */
+  stream() {
+    return createReadable(this.rows());
+  }
+
+  /**
+   * Loads the CSV file into memory.
+   *
+   * @return {Promise<QvdDataFrame>} The loaded CSV file.
+   */
+  async load() {
+    const data = [];
+
+    for await (const row of this.rows()) {
+      data.push(row);
+    }
+
+    return new QvdDataFrame(data, this._columns ?? []);
+  }
+}
+
+/**
+ * Writes CSV files row by row. Rows are buffered and written in chunks, hence CSV files of any size
+ * are written with bounded memory.
+ */
+export class QvdCsvWriter {
+  /**
+   * Constructs a new CSV file writer.
+   *
+   * The quoting option controls which cells are quoted: With minimal quoting, the default, only cells that
+   * would not be read back as the same value are quoted, i.e. strings that contain the delimiter, the quote
+   * or a line break, strings that look like numbers and strings that equal the null representation.
+   * All non-null cells are quoted with 'all', all non-numeric cells with 'nonnumeric' and no cell
+   * with 'none'. Null values are never quoted.
+   *
+   * @param {string|null} path The path to the CSV file to write, or null if the CSV text is solely formatted,
+   * see {@link QvdCsvWriter.format}.
+   * @param {Array<string>} columns The columns of the rows to write.
+   * @param {Object} [options] The options of the writer.
+   * @param {string} [options.delimiter] The delimiter of the cells, defaults to a comma.
+   * @param {string} [options.quote] The quote character, defaults to a double quote.
+   * @param {string} [options.quoting] The quoting of cells, either 'minimal', 'all', 'nonnumeric' or 'none',
+   * defaults to 'minimal'.
+   * @param {boolean} [options.header] Whether to write the column names as first line, defaults to true.
+   * @param {string} [options.encoding] The character encoding, defaults to UTF-8.
+   * @param {string} [options.nullValue] The representation of null values, defaults to an empty cell.
+   * @param {string} [options.lineTerminator] The line terminator, defaults to LF.
+   */
+  constructor(path, columns, options = {}) {
+    this._columns = columns;
+    this._options = normalizeOptions(options);
+    this._quoting = options.quoting ?? 'minimal';
+    this._lineTerminator = options.lineTerminator ?? '\n';
+    this._sink = path !== null ? new TextFileSink(path, this._options.encoding) : null;
+    this._closed = false;
+
+    if (!['minimal', 'all', 'nonnumeric', 'none'].includes(this._quoting)) {
+      throw new Error(`Unknown quoting '${this._quoting}', expected 'minimal', 'all', 'nonnumeric' or 'none'.`);
+    }
+
+    if (this._sink && this._options.header) {
+      this._sink.write(this._formatHeader());
+    }
+  }
+
+  /**
+   * Formats the header line, or returns an empty string if the header is disabled.
+   *
+   * @return {string} The formatted header line.
+   */
+  _formatHeader() {
+    return this._options.header ? this._formatLine(this._columns.map(String)) : '';
+  }
+
+  /**
+   * Formats a single cell.
+   *
+   * @param {any} value The value of the cell.
+   * @return {string} The formatted cell.
+   */
+  _formatCell(value) {
+    const {delimiter, quote, nullValue} = this._options;
+
+    if (value === null || value === undefined) {
+      return nullValue;
+    }
+
+    let text;
+    let numeric;
+
+    if (value instanceof QvdSymbol) {
+      text = String(value.stringValue ?? value.intValue ?? value.doubleValue);
+      numeric = value.stringValue === null || NUMBER_PATTERN.test(text);
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+      numeric = false;
+    } else {
+      text = String(value);
+      numeric = typeof value === 'number';
+    }
+
+    let quoted;
+
+    switch (this._quoting) {
+      case 'all':
+        quoted = true;
+        break;
+      case 'nonnumeric':
+        quoted = !numeric;
+        break;
+      case 'none':
+        quoted = false;
+        break;
+      default:
+        quoted =
+          text === nullValue ||
+          (!numeric && NUMBER_PATTERN.test(text)) ||
+          text.includes(delimiter) ||
+          text.includes(quote) ||
+          text.includes('\n') ||
+          text.includes('\r');
+    }
+
+    return quoted ? quote + text.replaceAll(quote, quote + quote) + quote : text;
+  }
+
+  /**
+   * Formats a single line, including the line terminator.
+   *
+   * @param {Array<any>} values The values of the line.
+   * @return {string} The formatted line.
+   */
+  _formatLine(values) {
+    return values.map((value) => this._formatCell(value)).join(this._options.delimiter) + this._lineTerminator;
+  }
+
+  /**
+   * Appends a single row to the CSV file. The row is either an array of values, in the same order as the
+   * columns, or an object keyed by the column names. The returned promise resolves as soon as the row
+   * has been buffered or written, it is not required to wait for it before appending the next row.
+   *
+   * @param {Array<any>|Object<string, any>} row The row to append.
+   * @return {Promise<void>}
+   */
+  append(row) {
+    if (this._closed) {
+      throw new Error('The CSV file writer has already been closed.');
+    }
+
+    const values = Array.isArray(row) ? row : this._columns.map((column) => row[column]);
+
+    if (values.length !== this._columns.length) {
+      throw new Error(`The row contains ${values.length} values, but ${this._columns.length} columns are defined.`);
+    }
+
+    if (!this._sink) {
+      throw new Error('The CSV file writer solely formats CSV text, it does not have a path to write to.');
+    }
+
+    return this._sink.write(this._formatLine(values));
+  }
+
+  /**
+   * Finalizes the CSV file. No rows can be appended afterwards.
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    await this._sink?.close();
+  }
+
+  /**
+   * Formats rows as CSV text in memory, without accessing the file system.
+   *
+   * @param {Array<string>} columns The columns of the rows.
+   * @param {Array<Array<any>>} rows The rows to format.
+   * @param {Object} [options] The options of the writer, see {@link QvdCsvWriter}.
+   * @return {string} The CSV text.
+   */
+  static format(columns, rows, options = {}) {
+    const writer = new QvdCsvWriter(null, columns, options);
+
+    return writer._formatHeader() + rows.map((row) => writer._formatLine(row)).join('');
+  }
+
+  /**
+   * Creates a writable stream in object mode, that appends each written row to the CSV file.
+   * The CSV file is finalized as soon as the stream ends. See {@link QvdCsvWriter#append} for details.
+   *
+   * @return {Writable} The stream of rows.
+   */
+  stream() {
+    return createWritable(
+      (row) => this.append(row),
+      () => this.close(),
+    );
+  }
+}
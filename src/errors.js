@@ -0,0 +1,43 @@
+// @ts-check
+
+/**
+ * Raised if a QVD file does not comply with the QVD file format, e.g. because it is damaged or truncated.
+ * The error locates the violation within the file, as far as possible.
+ */
+export class QvdFormatError extends Error {
+  /**
+   * Constructs a new format error.
+   *
+   * @param {string} message The description of the violation.
+   * @param {Object} [location] The location of the violation within the QVD file.
+   * @param {number} [location.offset] The absolute byte offset of the violation within the QVD file.
+   * @param {string} [location.field] The name of the field/column the violation refers to.
+   */
+  constructor(message, location = {}) {
+    const details = [
+      location.field !== undefined ? `field '${location.field}'` : null,
+      location.offset !== undefined ? `byte offset ${location.offset}` : null,
+    ].filter((detail) => detail !== null);
+
+    super(details.length > 0 ? `${message} (${details.join(', ')})` : message);
+
+    this.name = this.constructor.name;
+    this.offset = location.offset ?? null;
+    this.field = location.field ?? null;
+  }
+}
+
+/**
+ * Raised if the XML header of a QVD file is missing, malformed or inconsistent.
+ */
+export class QvdHeaderError extends QvdFormatError {}
+
+/**
+ * Raised if the symbol table of a QVD file is malformed or does not match its declaration in the header.
+ */
+export class QvdSymbolTableError extends QvdFormatError {}
+
+/**
+ * Raised if the index table of a QVD file is malformed or does not match its declaration in the header.
+ */
+export class QvdIndexTableError extends QvdFormatError {}
@@ -1,3 +1,15 @@
 // @ts-check
 
-export {QvdSymbol, QvdDataFrame, QvdFileReader, QvdFileWriter} from './qvd';
+export {
+  QvdSymbol,
+  QvdDataFrame,
+  QvdGroupBy,
+  QvdFileReader,
+  QvdFileWriter,
+  QvdFileStreamWriter,
+  QvdFileAppender,
+  QvdSchemaMerger,
+} from './qvd';
+export {QvdCsvReader, QvdCsvWriter} from './csv';
+export {QvdNdjsonReader, QvdNdjsonWriter} from './json';
+export {QvdFormatError, QvdHeaderError, QvdSymbolTableError, QvdIndexTableError} from './errors';
@@ -0,0 +1,303 @@
+// @ts-check
+
+/*
+ * Browser counterpart of the Node.js specific input/output operations. Browsers neither provide a file
+ * system nor Node.js streams, hence QVD files must be read from and written to in-memory bytes instead.
+ */
+
+/**
+ * Raises an error, stating that the requested operation requires Node.js.
+ *
+ * @param {string} operation The name of the requested operation.
+ */
+function unsupported(operation) {
+  throw new Error(`The operation '${operation}' requires Node.js, use in-memory bytes instead.`);
+}
+
+/**
+ * Opens a file for random access, which is not supported in browsers.
+ */
+export async function openFile() {
+  unsupported('openFile');
+}
+
+/**
+ * Writes a file synchronously, which is not supported in browsers.
+ */
+export function writeFileSync() {
+  unsupported('writeFileSync');
+}
+
+/**
+ * Removes a file, which is not supported in browsers.
+ */
+export async function removeFile() {
+  unsupported('removeFile');
+}
+
+/**
+ * Renames a file, which is not supported in browsers.
+ */
+export async function renameFile() {
+  unsupported('renameFile');
+}
+
+/**
+ * Creates the path of a unique temporary file, which is not supported in browsers.
+ */
+export function createTempPath() {
+  unsupported('createTempPath');
+}
+
+/**
+ * Generates a random UUID, using the Web Crypto API.
+ *
+ * @return {string} The generated UUID.
+ */
+export function randomUUID() {
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Encodes text in the given character encoding, browsers solely support UTF-8.
+ *
+ * @param {string} text The text to encode.
+ * @param {string} encoding The character encoding.
+ * @return {Uint8Array} The encoded text.
+ */
+export function encodeText(text, encoding) {
+  if (!['utf-8', 'utf8'].includes(encoding.toLowerCase())) {
+    throw new Error(`The character encoding '${encoding}' is not supported in browsers, use UTF-8 instead.`);
+  }
+
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Creates a readable stream, which is not supported in browsers.
+ */
+export function createReadable() {
+  unsupported('createReadable');
+}
+
+/**
+ * Creates a writable stream, which is not supported in browsers.
+ */
+export function createWritable() {
+  unsupported('createWritable');
+}
+
+/**
+ * Wraps bytes in the native binary type of the platform, which is Uint8Array in browsers.
+ *
+ * @param {Uint8Array} bytes The bytes to wrap.
+ * @return {Uint8Array} The bytes themselves.
+ */
+export function toNativeBytes(bytes) {
+  return bytes;
+}
+
+/**
+ * The predefined entities of XML.
+ */
+const XML_ENTITIES = new Map([
+  ['lt', '<'],
+  ['gt', '>'],
+  ['amp', '&'],
+  ['quot', '"'],
+  ['apos', "'"],
+]);
+
+/**
+ * Matches the next token of XML text, i.e. a comment, a processing instruction, a document type declaration,
+ * a CDATA section, a closing tag, an opening or self-closing tag, text or a dangling less-than sign.
+ */
+const XML_TOKEN_PATTERN = new RegExp(
+  [
+    '<!--[\\s\\S]*?-->',
+    '<\\?[\\s\\S]*?\\?>',
+    '<!DOCTYPE[^>]*>',
+    '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+    '<\\/([^\\s<>]+)\\s*>',
+    '<([^\\s<>/!?]+)((?:\\s+[^\\s<>/=]+\\s*=\\s*(?:"[^"<]*"|\'[^\'<]*\'))*)\\s*(\\/?)>',
+    '([^<]+)',
+    '<',
+  ].join('|'),
+  'y',
+);
+
+/**
+ * Matches a single attribute of an opening tag.
+ */
+const XML_ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replaces the entity and character references of XML text by the characters they refer to.
+ *
+ * @param {string} text The XML text.
+ * @return {string} The decoded text.
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);|&/g, (reference, entity) => {
+    if (entity?.startsWith('#')) {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    } else if (XML_ENTITIES.has(entity)) {
+      return /** @type {string} */ (XML_ENTITIES.get(entity));
+    }
+
+    throw new Error(`Invalid character entity '${reference}'.`);
+  });
+}
+
+/**
+ * Escapes text for XML, either as the content of an element or as the value of an attribute.
+ *
+ * @param {string} text The text to escape.
+ * @param {boolean} attribute Whether the text is the value of an attribute.
+ * @return {string} The escaped text.
+ */
+function encodeXmlText(text, attribute) {
+  const references = attribute
+    ? {'&': '&amp;', '<': '&lt;', '"': '&quot;', '\t': '&#x9;', '\n': '&#xA;', '\r': '&#xD;'}
+    : {'&': '&amp;', '<': '&lt;', '>': '&gt;', '\r': '&#xD;'};
+
+  return text.replace(attribute ? /[&<"\t\n\r]/g : /[&<>\r]/g, (character) => references[character]);
+}
+
+/**
+ * Parses XML text into plain objects, structured like the ones of the Node.js counterpart. Browsers provide
+ * the DOMParser, which however is missing in web workers, hence the XML text is tokenized right here.
+ *
+ * @param {string} text The XML text.
+ * @return {Promise<any>} The parsed XML, or null if the text is empty.
+ */
+export async function parseXml(text) {
+  /** @type {Array<{name: string, object: Object<string, any>, text: string, cdata: boolean}>} */
+  const stack = [];
+  let root = null;
+
+  /**
+   * Closes the innermost open element and adds its value to its parent element, or makes it the root.
+   */
+  const closeElement = () => {
+    const element = /** @type {(typeof stack)[number]} */ (stack.pop());
+
+    if (element.cdata || !/^\s*$/.test(element.text)) {
+      element.object['_'] = element.text;
+    }
+
+    const keys = Object.keys(element.object);
+    const value = keys.length === 0 || (keys.length === 1 && keys[0] === '_') ? element.text : element.object;
+
+    if (stack.length === 0) {
+      root = {[element.name]: value};
+    } else {
+      const parent = stack[stack.length - 1].object;
+
+      if (!(element.name in parent)) {
+        parent[element.name] = value;
+      } else if (Array.isArray(parent[element.name])) {
+        parent[element.name].push(value);
+      } else {
+        parent[element.name] = [parent[element.name], value];
+      }
+    }
+  };
+
+  XML_TOKEN_PATTERN.lastIndex = 0;
+
+  while (XML_TOKEN_PATTERN.lastIndex < text.length) {
+    const match = /** @type {RegExpExecArray} */ (XML_TOKEN_PATTERN.exec(text));
+    const [token, cdata, closingName, openingName, attributes, selfClosing, content] = match;
+
+    if (token === '<') {
+      throw new Error(`Malformed tag at position ${match.index}.`);
+    } else if (cdata !== undefined || content !== undefined) {
+      if (stack.length > 0) {
+        stack[stack.length - 1].text += cdata ?? decodeXmlText(content);
+        stack[stack.length - 1].cdata ||= cdata !== undefined;
+      } else if (cdata !== undefined || !/^\s*$/.test(content)) {
+        throw new Error(`Non-whitespace outside of the root element at position ${match.index}.`);
+      }
+    } else if (openingName !== undefined) {
+      if (root) {
+        throw new Error(`Unexpected element after the root element at position ${match.index}.`);
+      }
+
+      /** @type {Object<string, any>} */
+      const object = {};
+
+      for (const [, name, doubleQuoted, singleQuoted] of attributes.matchAll(XML_ATTRIBUTE_PATTERN)) {
+        object['$'] = {...object['$'], [name]: decodeXmlText(doubleQuoted ?? singleQuoted)};
+      }
+
+      stack.push({name: openingName, object, text: '', cdata: false});
+
+      if (selfClosing) {
+        closeElement();
+      }
+    } else if (closingName !== undefined) {
+      if (stack.length === 0 || stack[stack.length - 1].name !== closingName) {
+        throw new Error(`Unexpected close tag '${closingName}' at position ${match.index}.`);
+      }
+
+      closeElement();
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed tag '${stack[stack.length - 1].name}'.`);
+  }
+
+  return root;
+}
+
+/**
+ * Builds the lines of an element and its child elements, or of multiple elements if the value is an array.
+ *
+ * @param {string} name The name of the element.
+ * @param {any} value The value of the element, i.e. an object, an array or a primitive value.
+ * @param {string} indent The indentation of the element.
+ * @return {Array<string>} The lines of the element.
+ */
+function buildXmlElement(name, value, indent) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => buildXmlElement(name, item, indent));
+  }
+
+  if (null == value || typeof value !== 'object') {
+    const text = encodeXmlText(String(value ?? ''), false);
+
+    return [text ? `${indent}<${name}>${text}</${name}>` : `${indent}<${name}/>`];
+  }
+
+  const attributes = Object.entries(value['$'] ?? {})
+    .map(([attributeName, attributeValue]) => ` ${attributeName}="${encodeXmlText(String(attributeValue), true)}"`)
+    .join('');
+  const text = encodeXmlText(String(value['_'] ?? ''), false);
+  const children = Object.entries(value).filter(([childName]) => childName !== '$' && childName !== '_');
+
+  if (children.length === 0) {
+    return [text ? `${indent}<${name}${attributes}>${text}</${name}>` : `${indent}<${name}${attributes}/>`];
+  }
+
+  return [
+    `${indent}<${name}${attributes}>`,
+    ...(text ? [`${indent}  ${text}`] : []),
+    ...children.flatMap(([childName, childValue]) => buildXmlElement(childName, childValue, `${indent}  `)),
+    `${indent}</${name}>`,
+  ];
+}
+
+/**
+ * Builds pretty printed XML text, including the XML declaration, from plain objects structured like the
+ * ones returned by {@link parseXml}.
+ *
+ * @param {Object} object The object to build, its only property is the root element.
+ * @return {string} The XML text.
+ */
+export function buildXml(object) {
+  const [[name, value]] = Object.entries(object);
+
+  return ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', ...buildXmlElement(name, value, '')].join('\r\n');
+}
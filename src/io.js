@@ -0,0 +1,199 @@
+// @ts-check
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import {Readable, Writable} from 'stream';
+import xml from 'xml2js';
+
+/*
+ * This module encapsulates all Node.js specific input/output operations, the remaining library solely works
+ * on in-memory bytes. Bundlers that target browsers replace this module by its browser counterpart, which
+ * is declared in the browser field of the package manifest.
+ */
+
+/**
+ * A handle of an opened file, that allows random access reads and writes.
+ *
+ * @typedef {Object} QvdFileHandle
+ * @property {function(number, number): Promise<Uint8Array>} read Reads the given number of bytes from the given
+ * position. The returned bytes are fewer than requested if the end of the file is reached.
+ * @property {function(Uint8Array, number): Promise<void>} write Writes the given bytes to the given position.
+ * @property {function(): Promise<void>} close Closes the file.
+ */
+
+/**
+ * Opens a file for random access.
+ *
+ * @param {string} filePath The path to the file.
+ * @param {string} flags The file system flags, e.g. 'r' for reading or 'w+' for reading and writing.
+ * @return {Promise<QvdFileHandle>} The handle of the opened file.
+ */
+export async function openFile(filePath, flags = 'r') {
+  const fd = await fs.promises.open(filePath, flags);
+
+  return {
+    read: async (position, length) => {
+      const bytes = new Uint8Array(length);
+      const {bytesRead} = await fd.read(bytes, 0, length, position);
+
+      return bytes.subarray(0, bytesRead);
+    },
+    write: async (bytes, position) => {
+      await fd.write(bytes, 0, bytes.length, position);
+    },
+    close: async () => {
+      await fd.close();
+    },
+  };
+}
+
+/**
+ * Writes a file synchronously, the file is overwritten if it exists.
+ *
+ * @param {string} filePath The path to the file.
+ * @param {Array<Uint8Array>} chunks The consecutive chunks of bytes to write.
+ */
+export function writeFileSync(filePath, chunks) {
+  const fd = fs.openSync(filePath, 'w');
+
+  try {
+    let position = 0;
+
+    chunks.forEach((chunk) => {
+      fs.writeSync(fd, chunk, 0, chunk.length, position);
+      position += chunk.length;
+    });
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Removes a file.
+ *
+ * @param {string} filePath The path to the file.
+ */
+export async function removeFile(filePath) {
+  await fs.promises.unlink(filePath);
+}
+
+/**
+ * Renames a file, the destination is replaced if it exists.
+ *
+ * @param {string} fromPath The current path of the file.
+ * @param {string} toPath The new path of the file.
+ */
+export async function renameFile(fromPath, toPath) {
+  await fs.promises.rename(fromPath, toPath);
+}
+
+/**
+ * Creates the path of a unique temporary file.
+ *
+ * @return {string} The path of the temporary file.
+ */
+export function createTempPath() {
+  return path.join(os.tmpdir(), `qvd4js-${crypto.randomUUID()}.tmp`);
+}
+
+/**
+ * Generates a random UUID.
+ *
+ * @return {string} The generated UUID.
+ */
+export function randomUUID() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Encodes text in the given character encoding.
+ *
+ * @param {string} text The text to encode.
+ * @param {string} encoding The character encoding, e.g. 'utf-8', 'utf-16le' or 'latin1'.
+ * @return {Uint8Array} The encoded text.
+ */
+export function encodeText(text, encoding) {
+  if (!Buffer.isEncoding(encoding)) {
+    throw new Error(`The character encoding '${encoding}' is not supported.`);
+  }
+
+  const buffer = Buffer.from(text, /** @type {BufferEncoding} */ (encoding));
+
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+}
+
+/**
+ * Parses XML text into plain objects. Elements are mapped to properties named by their tag, repeated elements
+ * to arrays, attributes to the '$' property and text to a string, or to the '_' property if the element also
+ * has child elements or attributes.
+ *
+ * @param {string} text The XML text.
+ * @return {Promise<any>} The parsed XML, or null if the text is empty.
+ */
+export async function parseXml(text) {
+  return await xml.parseStringPromise(text, {explicitArray: false});
+}
+
+/**
+ * Builds pretty printed XML text, including the XML declaration, from plain objects structured like the
+ * ones returned by {@link parseXml}.
+ *
+ * @param {Object} object The object to build, its only property is the root element.
+ * @return {string} The XML text.
+ */
+export function buildXml(object) {
+  const builder = new xml.Builder({
+    renderOpts: {
+      pretty: true,
+      newline: '\r\n',
+      indent: '  ',
+    },
+  });
+
+  return builder.buildObject(object);
+}
+
+/**
+ * Wraps bytes in the native binary type of the platform, i.e. a Buffer sharing the same memory.
+ *
+ * @param {Uint8Array} bytes The bytes to wrap.
+ * @return {Buffer} The wrapped bytes.
+ */
+export function toNativeBytes(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+}
+
+/**
+ * Creates a readable stream in object mode from an async iterable.
+ *
+ * @param {AsyncIterable<any>} iterable The iterable to read from.
+ * @return {Readable} The readable stream.
+ */
+export function createReadable(iterable) {
+  return Readable.from(iterable, {objectMode: true});
+}
+
+/**
+ * Creates a writable stream in object mode.
+ *
+ * @param {function(any): Promise<void>} write Handles a single written object.
+ * @param {function(): Promise<void>} final Handles the end of the stream.
+ * @return {Writable} The writable stream.
+ */
+export function createWritable(write, final) {
+  return new Writable({
+    objectMode: true,
+    write: (object, _, callback) => {
+      try {
+        write(object).then(() => callback(), callback);
+      } catch (err) {
+        callback(err);
+      }
+    },
+    final: (callback) => {
+      final().then(() => callback(), callback);
+    },
+  });
+}
@@ -0,0 +1,273 @@
+// @ts-check
+
+import {QvdDataFrame, QvdSymbol} from './qvd';
+import {createReadable, createWritable} from './io';
+import {readText, TextFileSink} from './text';
+
+/**
+ * Converts a value to its JSON representation. Symbols are represented by their primary value and
+ * dates by their ISO 8601 representation.
+ *
+ * @param {string} _ The key of the value, unused.
+ * @param {any} value The value to convert.
+ * @return {any} The JSON representation of the value.
+ */
+export function replaceValue(_, value) {
+  return value instanceof QvdSymbol ? value.toPrimaryValue() : value;
+}
+
+/**
+ * Reads NDJSON files, i.e. a JSON object per line, row by row. The NDJSON file is parsed in chunks,
+ * hence NDJSON files of any size are read with bounded memory.
+ */
+export class QvdNdjsonReader {
+  /**
+   * Constructs a new NDJSON file reader.
+   *
+   * Each line contains a single record, an object keyed by the column names. Keys that are missing in a record
+   * are null. Unless declared, loading the NDJSON file as a whole determines the columns like
+   * {@link QvdDataFrame.fromRecords}, i.e. the keys of all records in order of their first occurrence. Rows are
+   * streamed before later records are known, hence streaming determines the columns by the keys of the first
+   * record instead. Keys that are not among the columns are rejected.
+   *
+   * @param {string|Uint8Array|AsyncIterable<Uint8Array|string>|Iterable<Uint8Array|string>} source The path to
+   * the NDJSON file, the bytes of the NDJSON file itself or an iterable of chunks, e.g. a readable stream.
+   * @param {Object} [options] The options of the reader.
+   * @param {Array<string>} [options.columns] The names of the columns, defaults to the keys of the records.
+   * @param {string} [options.encoding] The character encoding, defaults to UTF-8.
+   */
+  constructor(source, options = {}) {
+    this._source = source;
+    this._columns = options.columns ?? null;
+    this._encoding = options.encoding ?? 'utf-8';
+  }
+
+  /**
+   * Returns the names of the columns, available as soon as the first row has been read.
+   *
+   * @return {Array<string>|null} The names of the columns.
+   */
+  get columns() {
+    return this._columns;
+  }
+
+  /**
+   * Parses the records of the NDJSON file. Empty lines are skipped.
+   *
+   * @return {AsyncGenerator<Object<string, any>>} The records.
+   */
+  async *_parseRecords() {
+    let rest = '';
+    let lineIndex = 0;
+
+    /**
+     * Parses a single line.
+     *
+     * @param {string} line The line.
+     * @return {Object<string, any>|null} The record, or null if the line is empty.
+     */
+    const parseLine = (line) => {
+      lineIndex++;
+
+      if (line.trim() === '') {
+        return null;
+      }
+
+      let record;
+
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`The line ${lineIndex} of the NDJSON file is malformed: ${err.message}`);
+      }
+
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`The line ${lineIndex} of the NDJSON file does not contain an object.`);
+      }
+
+      return record;
+    };
+
+    for await (const chunk of readText(this._source, this._encoding)) {
+      const lines = (rest + chunk).split('\n');
+
+      rest = lines.pop() ?? '';
+
+      const records = lines.map(parseLine).filter((record) => record !== null);
+
+      yield* records;
+    }
+
+    const record = parseLine(rest);
+
+    if (record !== null) {
+      yield record;
+    }
+  }
+
+  /**
+   * Iterates over the rows of the NDJSON file. Values are in the same order as the columns.
+   *
+   * @return {AsyncGenerator<Array<any>>} The rows of the NDJSON file.
+   */
+  async *rows() {
+    for await (const record of this._parseRecords()) {
+      if (!this._columns) {
+        this._columns = Object.keys(record);
+      }
+
+      const columns = this._columns;
+      const unknownKeys = Object.keys(record).filter((key) => !columns.includes(key));
+
+      if (unknownKeys.length > 0) {
+        throw new Error(
+          `The NDJSON file contains the undeclared column(s) ${unknownKeys.map((key) => `'${key}'`).join(', ')}, ` +
+            'declare all columns upfront or load the NDJSON file as a whole.',
+        );
+      }
+
+      yield columns.map((column) => record[column] ?? null);
+    }
+
+    if (!this._columns) {
+      this._columns = [];
+    }
+  }
+
+  /**
+   * Creates a readable stream in object mode, that emits the rows of the NDJSON file one by one.
+   * See {@link QvdNdjsonReader#rows} for details.
+   *
+   * @return {Readable} The stream of rows.
+   */
+  stream() {
+    return createReadable(this.rows());
+  }
+
+  /**
+   * Loads the NDJSON file into memory. Unless declared, the columns are the keys of all records.
+   *
+   * @return {Promise<QvdDataFrame>} The loaded NDJSON file.
+   */
+  async load() {
+    if (!this._columns) {
+      const records = [];
+
+      for await (const record of this._parseRecords()) {
+        records.push(record);
+      }
+
+      const df = await QvdDataFrame.fromRecords(records);
+
+      this._columns = df.columns;
+
+      return df;
+    }
+
+    const data = [];
+
+    for await (const row of this.rows()) {
+      data.push(row);
+    }
+
+    return new QvdDataFrame(data, this._columns);
+  }
+}
+
+/**
+ * Writes NDJSON files, i.e. a JSON object per line, row by row. Rows are buffered and written in chunks,
+ * hence NDJSON files of any size are written with bounded memory.
+ */
+export class QvdNdjsonWriter {
+  /**
+   * Constructs a new NDJSON file writer. Symbols are written as their primary value and dates in their
+   * ISO 8601 representation.
+   *
+   * @param {string|null} path The path to the NDJSON file to write, or null if the NDJSON text is solely
+   * formatted, see {@link QvdNdjsonWriter.format}.
+   * @param {Array<string>} columns The columns of the rows to write.
+   * @param {Object} [options] The options of the writer.
+   * @param {string} [options.encoding] The character encoding, defaults to UTF-8.
+   */
+  constructor(path, columns, options = {}) {
+    this._columns = columns;
+    this._sink = path !== null ? new TextFileSink(path, options.encoding ?? 'utf-8') : null;
+    this._closed = false;
+  }
+
+  /**
+   * Formats a single line, including the line terminator.
+   *
+   * @param {Array<any>} values The values of the line.
+   * @return {string} The formatted line.
+   */
+  _formatLine(values) {
+    const record = Object.fromEntries(this._columns.map((column, index) => [column, values[index] ?? null]));
+
+    return JSON.stringify(record, replaceValue) + '\n';
+  }
+
+  /**
+   * Appends a single row to the NDJSON file. The row is either an array of values, in the same order as the
+   * columns, or an object keyed by the column names. The returned promise resolves as soon as the row
+   * has been buffered or written, it is not required to wait for it before appending the next row.
+   *
+   * @param {Array<any>|Object<string, any>} row The row to append.
+   * @return {Promise<void>}
+   */
+  append(row) {
+    if (this._closed) {
+      throw new Error('The NDJSON file writer has already been closed.');
+    }
+
+    const values = Array.isArray(row) ? row : this._columns.map((column) => row[column]);
+
+    if (values.length !== this._columns.length) {
+      throw new Error(`The row contains ${values.length} values, but ${this._columns.length} columns are defined.`);
+    }
+
+    if (!this._sink) {
+      throw new Error('The NDJSON file writer solely formats NDJSON text, it does not have a path to write to.');
+    }
+
+    return this._sink.write(this._formatLine(values));
+  }
+
+  /**
+   * Finalizes the NDJSON file. No rows can be appended afterwards.
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    await this._sink?.close();
+  }
+
+  /**
+   * Formats rows as NDJSON text in memory, without accessing the file system.
+   *
+   * @param {Array<string>} columns The columns of the rows.
+   * @param {Array<Array<any>>} rows The rows to format.
+   * @return {string} The NDJSON text.
+   */
+  static format(columns, rows) {
+    const writer = new QvdNdjsonWriter(null, columns);
+
+    return rows.map((row) => writer._formatLine(row)).join('');
+  }
+
+  /**
+   * Creates a writable stream in object mode, that appends each written row to the NDJSON file.
+   * The NDJSON file is finalized as soon as the stream ends. See {@link QvdNdjsonWriter#append} for details.
+   *
+   * @return {Writable} The stream of rows.
+   */
+  stream() {
+    return createWritable(
+      (row) => this.append(row),
+      () => this.close(),
+    );
+  }
+}
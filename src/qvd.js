@@ -1,10 +1,406 @@
 // @ts-check
 
-import fs from 'fs';
-import path from 'path';
-import crypto from 'crypto';
-import xml from 'xml2js';
-import assert from 'assert';
+import {QvdHeaderError, QvdSymbolTableError, QvdIndexTableError} from './errors';
+import {QvdCsvReader, QvdCsvWriter} from './csv';
+import {QvdNdjsonReader, QvdNdjsonWriter} from './json';
+import {
+  openFile,
+  writeFileSync,
+  removeFile,
+  renameFile,
+  createTempPath,
+  randomUUID,
+  createReadable,
+  createWritable,
+  parseXml,
+  buildXml,
+  toNativeBytes,
+} from './io';
+
+/**
+ * The number format of a field, stored in a QVD file header.
+ *
+ * @typedef {Object} QvdNumberFormat
+ * @property {string} Type The type of the number format, e.g. UNKNOWN, DATE, TIMESTAMP, INTEGER or REAL.
+ * @property {number|null} nDec The number of decimals.
+ * @property {number|null} UseThou Whether a thousands separator is used.
+ * @property {string} Fmt The format pattern.
+ * @property {string} Dec The decimal separator.
+ * @property {string} Thou The thousands separator.
+ */
+
+/**
+ * The header of a field, stored in a QVD file header.
+ *
+ * @typedef {Object} QvdFieldHeader
+ * @property {string} FieldName The name of the field.
+ * @property {number} BitOffset The offset of the field's index within a record of the index table in bits.
+ * @property {number} BitWidth The width of the field's index within a record of the index table in bits.
+ * @property {number} Bias The bias that is added to the field's index.
+ * @property {QvdNumberFormat} NumberFormat The number format of the field.
+ * @property {number} NoOfSymbols The number of distinct symbols of the field.
+ * @property {number} Offset The offset of the field's symbol area, relative to the begin of the symbol table.
+ * @property {number} Length The length of the field's symbol area in bytes.
+ * @property {string} Comment The comment of the field.
+ * @property {Array<string>} Tags The tags of the field, e.g. $numeric or $key.
+ */
+
+/**
+ * The declaration of a field/column to write.
+ *
+ * @typedef {Object} QvdFieldSchema
+ * @property {string} [type] The storage type of the field's symbols, either integer, double, string, dualInteger,
+ * dualDouble, date or timestamp. Inferred from each value if omitted.
+ * @property {Partial<QvdNumberFormat>} [numberFormat] The number format of the field.
+ * @property {string} [comment] The comment of the field.
+ * @property {Array<string>} [tags] The tags of the field, e.g. $numeric or $key.
+ */
+
+/**
+ * A lineage entry, stored in a QVD file header.
+ *
+ * @typedef {Object} QvdLineageInfo
+ * @property {string} Discriminator The source of the data.
+ * @property {string} Statement The statement that loaded the data.
+ */
+
+/**
+ * The header of a table, stored in a QVD file header.
+ *
+ * @typedef {Object} QvdTableHeader
+ * @property {number|null} QvBuildNo The build number of the creator.
+ * @property {string} CreatorDoc The identifier of the creating document.
+ * @property {string} CreateUtcTime The creation time of the file.
+ * @property {string} SourceCreateUtcTime The creation time of the source.
+ * @property {string} SourceFileUtcTime The modification time of the source.
+ * @property {number|null} SourceFileSize The size of the source in bytes.
+ * @property {string} StaleUtcTime The time the data becomes stale.
+ * @property {string} TableName The name of the table.
+ * @property {Array<QvdFieldHeader>} Fields The headers of the fields.
+ * @property {string} Compression The compression of the file.
+ * @property {number} RecordByteSize The size of a single record of the index table in bytes.
+ * @property {number} NoOfRecords The number of records.
+ * @property {number} Offset The offset of the index table, relative to the begin of the symbol table.
+ * @property {number} Length The length of the index table in bytes.
+ * @property {string} Comment The comment of the table.
+ * @property {string} EncryptionInfo The encryption information.
+ * @property {Array<string>} TableTags The tags of the table.
+ * @property {string} ProfilingData The profiling data.
+ * @property {Array<QvdLineageInfo>} Lineage The lineage of the data.
+ */
+
+/**
+ * The report of a lenient load, listing the violations of the QVD file format that have been recovered from.
+ *
+ * @typedef {Object} QvdRecoveryReport
+ * @property {Array<QvdFormatError>} issues The recovered violations, in order of occurrence.
+ * @property {Array<string>} skippedFields The fields/columns, whose symbol area could not be read, hence all
+ * their values are null.
+ * @property {number} skippedRecords The number of selected records that could not be read.
+ * @property {Object<string, number>} nullifiedIndices The number of out-of-range symbol indices, that have been
+ * replaced by null, keyed by the field name.
+ */
+
+/**
+ * The summary of an append to an existing QVD file, see {@link QvdFileAppender#append}.
+ *
+ * @typedef {Object} QvdAppendSummary
+ * @property {number} recordCount The number of records of the QVD file after the append.
+ * @property {number} appendedRecords The number of appended records.
+ * @property {number} replacedRecords The number of existing records, that have been replaced by appended records
+ * with the same primary key.
+ * @property {Object<string, number>} addedSymbols The number of added symbols, keyed by the field name.
+ * @property {boolean} rewrittenIndexTable Whether the existing records have been repacked, because the bit layout
+ * of the index table changed or records have been replaced, instead of being copied byte by byte.
+ */
+
+/**
+ * The unified schema of multiple QVD files, see {@link QvdSchemaMerger#readSchema}.
+ *
+ * @typedef {Object} QvdUnifiedSchema
+ * @property {Array<string>} columns The columns of the unified schema.
+ * @property {Object<string, string|null>} types The widened storage type of each column, keyed by the column name,
+ * either integer, double, dualInteger, dualDouble, date, timestamp or string. Null if the column solely contains
+ * null values.
+ * @property {Array<{missingColumns: Array<string>, droppedColumns: Array<string>, castColumns: Array<string>}>}
+ * sources The deviations of each QVD file from the unified schema: The columns it lacks, hence they are null, the
+ * fields it has in excess, hence they are not loaded, and the columns whose storage type is widened.
+ */
+
+/**
+ * The size statistics of a written QVD file, see {@link QvdFileWriter#statistics}.
+ *
+ * @typedef {Object} QvdWriteStatistics
+ * @property {number} fileSize The size of the QVD file in bytes.
+ * @property {number} headerSize The size of the XML header in bytes, including its terminating null byte.
+ * @property {number} symbolTableSize The size of the symbol table in bytes.
+ * @property {number} indexTableSize The size of the index table in bytes.
+ * @property {number} recordCount The number of records.
+ * @property {number} recordByteSize The size of a single record of the index table in bytes.
+ * @property {Array<{name: string, symbolCount: number, symbolTableSize: number, bitWidth: number, bias: number}>}
+ * fields The number of symbols, the size of the symbol area in bytes, the bit width and the bias of each
+ * field/column.
+ */
+
+/**
+ * A single column in columnar representation, see {@link QvdDataFrame#toColumnar}.
+ *
+ * @typedef {Object} QvdColumnVector
+ * @property {string} name The name of the column.
+ * @property {string} type The type of the column, either int32, float64, timestamp or dictionary.
+ * @property {Int32Array|Float64Array} values The values of the column, the milliseconds since the Unix epoch
+ * for timestamp columns and the indices into the dictionary for dictionary columns. Null values are 0.
+ * @property {Array<string|number>|null} dictionary The distinct values of a dictionary column, in order of
+ * their first occurrence, or null for other columns.
+ * @property {Uint8Array|null} validity The validity bitmap, whose least significant bit first order bits are
+ * set for non-null values, or null if the column does not contain null values.
+ * @property {number} nullCount The number of null values.
+ */
+
+/**
+ * A data frame in columnar representation, see {@link QvdDataFrame#toColumnar}.
+ *
+ * @typedef {Object} QvdColumnarData
+ * @property {number} length The number of rows.
+ * @property {Array<QvdColumnVector>} columns The columns.
+ */
+
+/**
+ * The begin of the Qlik date serial numbers, i.e. the date represented by 0, in milliseconds since the Unix epoch.
+ */
+const QLIK_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * The number of milliseconds of a day.
+ */
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The storage types of symbols that can be declared for a field/column.
+ */
+const QVD_STORAGE_TYPES = ['integer', 'double', 'string', 'dualInteger', 'dualDouble', 'date', 'timestamp'];
+
+/**
+ * Encodes strings to UTF-8 bytes.
+ */
+const TEXT_ENCODER = new TextEncoder();
+
+/**
+ * Decodes UTF-8 bytes to strings.
+ */
+const TEXT_DECODER = new TextDecoder('utf-8');
+
+/**
+ * Converts the primary value of a symbol to the value it is loaded as. Numeric texts are loaded as numbers,
+ * whereas empty and blank texts remain texts, hence they stay distinct from zero and from null values.
+ *
+ * @param {any} value The primary value of the symbol.
+ * @return {any} The loaded value.
+ */
+function toLoadedValue(value) {
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * Determines the value that replaces the null values of a field/column, like Qlik's NullAsValue statement does.
+ *
+ * @param {Object} options The options of the reader or writer.
+ * @param {boolean|Array<string>} [options.nullAsValue] The fields/columns, whose null values are replaced.
+ * @param {string} [options.nullValue] The value that replaces null values, defaults to an empty text.
+ * @param {string} column The name of the field/column.
+ * @return {string|null} The replacing value, or null if null values are kept.
+ */
+function getNullReplacement(options, column) {
+  const nullAsValue = options.nullAsValue ?? false;
+  const applies = Array.isArray(nullAsValue) ? nullAsValue.includes(column) : nullAsValue;
+
+  return applies ? options.nullValue ?? '' : null;
+}
+
+/**
+ * Converts a value to a number for aggregation, symbols are represented by their numeric value.
+ * Values without numeric representation are ignored by the numeric aggregations.
+ *
+ * @param {any} value The value to convert.
+ * @return {number|null} The numeric value, or null if there is none.
+ */
+function toAggregationNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  return value instanceof QvdSymbol ? value.intValue ?? value.doubleValue : null;
+}
+
+/**
+ * The built-in aggregations of {@link QvdGroupBy#agg}, keyed by their name. Each aggregation reduces the
+ * values of a single column within a group, null values are ignored.
+ *
+ * @type {Object<string, function(Array<any>): any>}
+ */
+const AGGREGATIONS = {
+  sum: (values) => {
+    const numbers = values.map(toAggregationNumber).filter((value) => value !== null);
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) : null;
+  },
+  avg: (values) => {
+    const numbers = values.map(toAggregationNumber).filter((value) => value !== null);
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+  },
+  min: (values) =>
+    values.reduce(
+      (min, value) =>
+        value !== null && (min === null || QvdDataFrame._compareValues(value, min, false) < 0) ? value : min,
+      null,
+    ),
+  max: (values) =>
+    values.reduce(
+      (max, value) =>
+        value !== null && (max === null || QvdDataFrame._compareValues(value, max, false) > 0) ? value : max,
+      null,
+    ),
+  count: (values) => values.filter((value) => value !== null).length,
+  countDistinct: (values) =>
+    new Set(values.filter((value) => value !== null).map((value) => QvdDataFrame._convertValuesToKey([value]))).size,
+  first: (values) => values.find((value) => value !== null) ?? null,
+  last: (values) => values.findLast((value) => value !== null) ?? null,
+};
+
+/**
+ * Concatenates multiple byte arrays to a single one.
+ *
+ * @param {Array<Uint8Array>} chunks The byte arrays to concatenate.
+ * @return {Uint8Array} The concatenated bytes.
+ */
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return bytes;
+}
+
+/**
+ * A growable buffer, that serializes values to consecutive bytes. It avoids allocating a byte array
+ * per value when serializing large numbers of symbols.
+ */
+class ByteBuffer {
+  /**
+   * Constructs a new, empty buffer.
+   *
+   * @param {number} [capacity] The initial capacity in bytes.
+   */
+  constructor(capacity = 1024) {
+    this._bytes = new Uint8Array(Math.max(16, capacity));
+    this._view = new DataView(this._bytes.buffer);
+    this._length = 0;
+  }
+
+  /**
+   * Returns the number of written bytes.
+   *
+   * @return {number} The number of written bytes.
+   */
+  get length() {
+    return this._length;
+  }
+
+  /**
+   * Ensures that the given number of bytes can be written without exceeding the capacity.
+   *
+   * @param {number} length The number of bytes to write.
+   */
+  _reserve(length) {
+    if (this._length + length <= this._bytes.length) {
+      return;
+    }
+
+    const bytes = new Uint8Array(Math.max(this._bytes.length * 2, this._length + length));
+    bytes.set(this._bytes.subarray(0, this._length));
+
+    this._bytes = bytes;
+    this._view = new DataView(bytes.buffer);
+  }
+
+  /**
+   * Writes a single unsigned byte.
+   *
+   * @param {number} value The byte to write.
+   */
+  writeUint8(value) {
+    this._reserve(1);
+    this._bytes[this._length++] = value;
+  }
+
+  /**
+   * Writes a 32-bit integer in little endian byte order.
+   *
+   * @param {number} value The integer to write.
+   */
+  writeInt32(value) {
+    this._reserve(4);
+    this._view.setInt32(this._length, value, true);
+    this._length += 4;
+  }
+
+  /**
+   * Writes a 64-bit floating point number in little endian byte order.
+   *
+   * @param {number} value The number to write.
+   */
+  writeFloat64(value) {
+    this._reserve(8);
+    this._view.setFloat64(this._length, value, true);
+    this._length += 8;
+  }
+
+  /**
+   * Writes a UTF-8 encoded, null terminated string.
+   *
+   * @param {string} value The string to write.
+   */
+  writeString(value) {
+    // Each UTF-16 code unit is encoded to three bytes at most
+    this._reserve(value.length * 3 + 1);
+    this._length += TEXT_ENCODER.encodeInto(value, this._bytes.subarray(this._length)).written;
+    this._bytes[this._length++] = 0;
+  }
+
+  /**
+   * Returns the written bytes.
+   *
+   * @return {Uint8Array} The written bytes, sharing the memory of the buffer.
+   */
+  toBytes() {
+    return this._bytes.subarray(0, this._length);
+  }
+}
+
+/**
+ * Searches the first occurrence of a byte sequence within a byte array.
+ *
+ * @param {Uint8Array} bytes The byte array to search in.
+ * @param {Array<number>} sequence The byte sequence to search for.
+ * @param {number} fromIndex The index to start searching at.
+ * @return {number} The index of the first occurrence or -1 if there is none.
+ */
+function indexOfBytes(bytes, sequence, fromIndex = 0) {
+  for (let index = bytes.indexOf(sequence[0], fromIndex); index !== -1; index = bytes.indexOf(sequence[0], index + 1)) {
+    if (index + sequence.length > bytes.length) {
+      return -1;
+    }
+
+    if (sequence.every((byte, offset) => bytes[index + offset] === byte)) {
+      return index;
+    }
+  }
+
+  return -1;
+}
 
 /**
  * Represents a Qlik symbol/value, stored in a QVD file.
@@ -71,39 +467,57 @@ export class QvdSymbol {
   }
 
   /**
-   * Converts the symbol to its byte representation.
+   * Interprets the numeric value of this symbol as Qlik date serial number, i.e. the number of days
+   * since 1899-12-30, and converts it to a date. Dates are interpreted in UTC.
    *
-   * @return {Buffer} The byte representation of the symbol.
+   * @return {Date|null} The date or null if the symbol has no numeric value.
    */
-  toByteRepresentation() {
-    if (this._intValue && this._stringValue) {
-      const intBuffer = Buffer.alloc(4);
-      intBuffer.writeInt32LE(this._intValue);
-
-      const stringBuffer = Buffer.concat([Buffer.from(this._stringValue, 'utf-8'), Buffer.from([0])]);
+  toDateValue() {
+    const value = null != this._intValue ? this._intValue : this._doubleValue;
 
-      return Buffer.concat([Buffer.from([5]), intBuffer, stringBuffer]);
-    } else if (this._doubleValue && this._stringValue) {
-      const floatBuffer = Buffer.alloc(8);
-      floatBuffer.writeDoubleLE(this._doubleValue);
+    if (null == value) {
+      return null;
+    }
 
-      const stringBuffer = Buffer.concat([Buffer.from(this._stringValue, 'utf-8'), Buffer.from([0])]);
+    return new Date(Math.round(QLIK_EPOCH + value * MILLISECONDS_PER_DAY));
+  }
 
-      return Buffer.concat([Buffer.from([6]), floatBuffer, stringBuffer]);
-    } else if (this._intValue) {
-      const buffer = Buffer.alloc(4);
-      buffer.writeInt32LE(this._intValue);
+  /**
+   * Converts the symbol to its byte representation.
+   *
+   * @return {Buffer|Uint8Array} The byte representation of the symbol, a Buffer in Node.js.
+   */
+  toByteRepresentation() {
+    const buffer = new ByteBuffer(16);
 
-      return Buffer.concat([Buffer.from([1]), buffer]);
-    } else if (this._doubleValue) {
-      const buffer = Buffer.alloc(8);
-      buffer.writeDoubleLE(this._doubleValue);
+    this._writeByteRepresentation(buffer);
 
-      return Buffer.concat([Buffer.from([2]), buffer]);
-    } else if (this._stringValue) {
-      const buffer = Buffer.concat([Buffer.from(this._stringValue, 'utf-8'), Buffer.from([0])]);
+    return toNativeBytes(buffer.toBytes().slice());
+  }
 
-      return Buffer.concat([Buffer.from([4]), buffer]);
+  /**
+   * Writes the byte representation of the symbol to a buffer, i.e. the type byte followed by the value.
+   *
+   * @param {ByteBuffer} buffer The buffer to write to.
+   */
+  _writeByteRepresentation(buffer) {
+    if (null != this._intValue && null != this._stringValue) {
+      buffer.writeUint8(5);
+      buffer.writeInt32(this._intValue);
+      buffer.writeString(this._stringValue);
+    } else if (null != this._doubleValue && null != this._stringValue) {
+      buffer.writeUint8(6);
+      buffer.writeFloat64(this._doubleValue);
+      buffer.writeString(this._stringValue);
+    } else if (null != this._intValue) {
+      buffer.writeUint8(1);
+      buffer.writeInt32(this._intValue);
+    } else if (null != this._doubleValue) {
+      buffer.writeUint8(2);
+      buffer.writeFloat64(this._doubleValue);
+    } else if (null != this._stringValue) {
+      buffer.writeUint8(4);
+      buffer.writeString(this._stringValue);
     } else {
       throw new Error('The symbol does not contain any value.');
     }
@@ -178,26 +592,195 @@ export class QvdSymbol {
   static fromDualDoubleValue(doubleValue, stringValue) {
     return new QvdSymbol(null, doubleValue, stringValue);
   }
+
+  /**
+   * Constructs a dual value symbol from a date. The numeric value is the Qlik date serial number, i.e.
+   * the number of days since 1899-12-30, with the time of day as fraction. Dates without a time of day
+   * are stored as dual integer (YYYY-MM-DD), all others as dual double (YYYY-MM-DD hh:mm:ss). Dates are
+   * interpreted in UTC.
+   *
+   * @param {Date} dateValue The date value.
+   * @param {boolean} [timestamp] Whether to store the date as dual double including the time of day,
+   * inferred from the date if omitted. If false, the time of day is truncated.
+   * @return {QvdSymbol} The constructed value symbol.
+   */
+  static fromDateValue(dateValue, timestamp = undefined) {
+    const milliseconds = dateValue.getTime() - QLIK_EPOCH;
+    const isoString = dateValue.toISOString();
+
+    if (timestamp === undefined) {
+      timestamp = milliseconds % MILLISECONDS_PER_DAY !== 0;
+    }
+
+    if (!timestamp) {
+      // The time of day is truncated, the serial number must match the day of the textual representation
+      return QvdSymbol.fromDualIntValue(Math.floor(milliseconds / MILLISECONDS_PER_DAY), isoString.slice(0, 10));
+    } else {
+      return QvdSymbol.fromDualDoubleValue(
+        milliseconds / MILLISECONDS_PER_DAY,
+        isoString.slice(0, 19).replace('T', ' '),
+      );
+    }
+  }
+}
+
+/**
+ * A single column of a columnar data frame, i.e. the symbols of a field/column along with the symbol index of
+ * each row, like the symbol and index table of a QVD file. Symbols are decoded lazily on access, each one at most
+ * once. Columns are immutable, hence derived columns share the symbols, the indices and the decoded values.
+ */
+class QvdSymbolColumn {
+  /**
+   * Constructs a new symbol column.
+   *
+   * @param {Array<QvdSymbol>} symbols The symbols of the column.
+   * @param {Int8Array|Int16Array|Int32Array} indices The symbol index of each row, negative for null values.
+   * @param {function(QvdSymbol): any} decode Decodes a single symbol to its value.
+   * @param {Array<any>} [values] The already decoded values, shared with the column this one is derived from.
+   */
+  constructor(symbols, indices, decode, values = new Array(symbols.length)) {
+    this._symbols = symbols;
+    this._indices = indices;
+    this._decode = decode;
+    this._values = values;
+  }
+
+  /**
+   * Returns the symbols of the column, including the ones that are not referenced by any row.
+   */
+  get symbols() {
+    return this._symbols;
+  }
+
+  /**
+   * Returns the symbol index of each row, negative for null values.
+   */
+  get indices() {
+    return this._indices;
+  }
+
+  /**
+   * Returns the value of a single row.
+   *
+   * @param {number} rowIndex The index of the row.
+   * @return {any} The value of the row.
+   */
+  get(rowIndex) {
+    const symbolIndex = this._indices[rowIndex] ?? -1;
+
+    if (symbolIndex < 0) {
+      return null;
+    }
+
+    let value = this._values[symbolIndex];
+
+    if (value === undefined) {
+      value = this._decode(this._symbols[symbolIndex]);
+      this._values[symbolIndex] = value;
+    }
+
+    return value;
+  }
+
+  /**
+   * Returns a contiguous range of rows of the column, without copying the indices.
+   *
+   * @param {number} begin The index of the first row.
+   * @param {number} end The index after the last row.
+   * @return {QvdSymbolColumn} The range of rows.
+   */
+  slice(begin, end) {
+    return new QvdSymbolColumn(this._symbols, this._indices.subarray(begin, end), this._decode, this._values);
+  }
+
+  /**
+   * Returns the selected rows of the column. Indices of non-existing rows select null values.
+   *
+   * @param {Array<number>} rowIndices The indices of the rows.
+   * @return {QvdSymbolColumn} The selected rows.
+   */
+  take(rowIndices) {
+    const indices = QvdSymbolColumn.allocateIndices(rowIndices.length, this._symbols.length);
+
+    rowIndices.forEach((rowIndex, index) => {
+      indices[index] = this._indices[rowIndex] ?? -1;
+    });
+
+    return new QvdSymbolColumn(this._symbols, indices, this._decode, this._values);
+  }
+
+  /**
+   * Allocates the symbol indices of a column, using the narrowest typed array that fits all symbol indices.
+   *
+   * @param {number} length The number of rows.
+   * @param {number} symbolCount The number of symbols.
+   * @return {Int8Array|Int16Array|Int32Array} The allocated symbol indices.
+   */
+  static allocateIndices(length, symbolCount) {
+    if (symbolCount <= 0x7f) {
+      return new Int8Array(length);
+    } else if (symbolCount <= 0x7fff) {
+      return new Int16Array(length);
+    } else {
+      return new Int32Array(length);
+    }
+  }
 }
 
 /**
  * Represents a loaded QVD file.
+ *
+ * The data is either stored row by row, or column by column as it is loaded from a QVD file. The latter keeps
+ * each column as its symbols along with a typed array of symbol indices, and decodes the values lazily. Selecting
+ * columns and rows as well as persisting the data frame to a QVD file work on the columns directly, all other
+ * operations, including the access of {@link QvdDataFrame#data}, expand the columns to rows once.
  */
 export class QvdDataFrame {
   /**
    * Represents the data frame stored inside a QVD file.
    * @param {Array<Array<any>>} data The data of the data frame.
    * @param {Array<string>} columns The columns of the data frame.
+   * @param {Partial<QvdTableHeader>|null} metadata The metadata of the data frame, e.g. the table and field
+   * comments, tags and lineage. Fields are matched by their name.
    */
-  constructor(data, columns) {
+  constructor(data, columns, metadata = null) {
+    /** @type {Array<Array<any>>|null} */
     this._data = data;
     this._columns = columns;
+    this._metadata = metadata;
+    /** @type {{length: number, columns: Array<QvdSymbolColumn>}|null} */
+    this._columnStore = null;
+  }
+
+  /**
+   * Constructs a columnar data frame, see {@link QvdDataFrame} for details.
+   *
+   * @param {number} length The number of rows.
+   * @param {Array<QvdSymbolColumn>} store The symbol column of each column.
+   * @param {Array<string>} columns The columns of the data frame.
+   * @param {Partial<QvdTableHeader>|null} metadata The metadata of the data frame.
+   * @return {QvdDataFrame} The columnar data frame.
+   */
+  static _fromColumnStore(length, store, columns, metadata) {
+    const df = new QvdDataFrame(null, columns, metadata);
+
+    df._columnStore = {length, columns: store};
+
+    return df;
   }
 
   /**
-   * Returns the data of the data frame.
+   * Returns the data of the data frame. The rows of a columnar data frame are expanded on first access.
+   *
+   * @return {Array<Array<any>>} The data of the data frame.
    */
   get data() {
+    if (this._data === null) {
+      const {length, columns} = /** @type {{length: number, columns: Array<QvdSymbolColumn>}} */ (this._columnStore);
+
+      this._data = Array.from({length}, (_, rowIndex) => columns.map((column) => column.get(rowIndex)));
+    }
+
     return this._data;
   }
 
@@ -208,11 +791,18 @@ export class QvdDataFrame {
     return this._columns;
   }
 
+  /**
+   * Returns the metadata of the data frame, e.g. the header of the QVD file it has been loaded from.
+   */
+  get metadata() {
+    return this._metadata;
+  }
+
   /**
    * Returns the shape of the data frame.
    */
   get shape() {
-    return [this._data.length, this._columns.length];
+    return [this._columnStore?.length ?? this.data.length, this._columns.length];
   }
 
   /**
@@ -222,7 +812,11 @@ export class QvdDataFrame {
    * @return {QvdDataFrame} The first n rows of the data frame.
    */
   head(n = 5) {
-    return new QvdDataFrame(this._data.slice(0, n), this._columns);
+    if (this._columnStore) {
+      return this._sliceColumnStore(0, n);
+    }
+
+    return new QvdDataFrame(this.data.slice(0, n), this._columns, this._metadata);
   }
 
   /**
@@ -232,7 +826,33 @@ export class QvdDataFrame {
    * @return {QvdDataFrame} The first n rows of the data frame.
    */
   tail(n = 5) {
-    return new QvdDataFrame(this._data.slice(-n), this._columns);
+    if (this._columnStore) {
+      return this._sliceColumnStore(-n, this._columnStore.length);
+    }
+
+    return new QvdDataFrame(this.data.slice(-n), this._columns, this._metadata);
+  }
+
+  /**
+   * Returns a contiguous range of rows of a columnar data frame, the range behaves like the one of
+   * {@link Array#slice}. The symbol indices are shared with this data frame.
+   *
+   * @param {number} begin The index of the first row, counted from the end if negative.
+   * @param {number} end The index after the last row, counted from the end if negative.
+   * @return {QvdDataFrame} The range of rows.
+   */
+  _sliceColumnStore(begin, end) {
+    const {length, columns} = /** @type {{length: number, columns: Array<QvdSymbolColumn>}} */ (this._columnStore);
+    const normalize = (index) => (index < 0 ? Math.max(0, length + index) : Math.min(index, length));
+    const from = normalize(begin);
+    const to = Math.max(from, normalize(end));
+
+    return QvdDataFrame._fromColumnStore(
+      to - from,
+      columns.map((column) => column.slice(from, to)),
+      this._columns,
+      this._metadata,
+    );
   }
 
   /**
@@ -242,701 +862,4200 @@ export class QvdDataFrame {
    * @return {QvdDataFrame} The selected rows of the data frame.
    */
   rows(...args) {
+    if (this._columnStore) {
+      return QvdDataFrame._fromColumnStore(
+        args.length,
+        this._columnStore.columns.map((column) => column.take(args)),
+        this._columns,
+        this._metadata,
+      );
+    }
+
     return new QvdDataFrame(
-      args.map((index) => this._data[index]),
+      args.map((index) => this.data[index]),
       this._columns,
+      this._metadata,
     );
   }
 
   /**
-   * Returns the value at the specified row and column.
+   * Returns the value at the specified row and column. An unknown column is rejected.
    *
    * @param {number} row The index of the row.
    * @param {string} column The name of the column.
    * @return {any} The value at the specified row and column.
    */
   at(row, column) {
-    return this._data[row][this._columns.indexOf(column)];
+    if (this._columnStore) {
+      return this._columnStore.columns[this._indexOfColumn(column)].get(row);
+    }
+
+    return this.data[row][this._indexOfColumn(column)];
+  }
+
+  /**
+   * Counts the null values of each column. Both null and undefined count as Qlik's NULL, in contrast to empty
+   * texts, which are ordinary values. The columns of a columnar data frame are counted without decoding them.
+   *
+   * @return {Object<string, number>} The number of null values, keyed by the column name.
+   */
+  nullCounts() {
+    if (this._columnStore) {
+      const {length, columns} = this._columnStore;
+
+      return Object.fromEntries(
+        columns.map((symbolColumn, columnIndex) => {
+          let count = 0;
+
+          for (let rowIndex = 0; rowIndex < length; rowIndex++) {
+            if (symbolColumn.indices[rowIndex] < 0) {
+              count++;
+            }
+          }
+
+          return [this._columns[columnIndex], count];
+        }),
+      );
+    }
+
+    return Object.fromEntries(
+      this._columns.map((column, columnIndex) => [
+        column,
+        this.data.reduce((count, row) => (null == row[columnIndex] ? count + 1 : count), 0),
+      ]),
+    );
   }
 
   /**
-   * Selects the specified columns from the data frame.
+   * Selects the specified columns from the data frame. Unknown columns are rejected.
    *
    * @param  {...string} args The names of the columns to select.
    * @return {QvdDataFrame} The selected columns of the data frame.
    */
   select(...args) {
-    const indices = args.map((arg) => this._columns.indexOf(arg));
-    const data = this._data.map((row) => indices.map((index) => row[index]));
+    if (this._columnStore) {
+      const store = this._columnStore.columns;
+      const indices = args.map((arg) => this._indexOfColumn(arg));
+
+      return QvdDataFrame._fromColumnStore(
+        this._columnStore.length,
+        indices.map((index) => store[index]),
+        indices.map((index) => this._columns[index]),
+        this._metadata,
+      );
+    }
+
+    const indices = args.map((arg) => this._indexOfColumn(arg));
+    const data = this.data.map((row) => indices.map((index) => row[index]));
     const columns = indices.map((index) => this._columns[index]);
-    return new QvdDataFrame(data, columns);
+    return new QvdDataFrame(data, columns, this._metadata);
   }
 
   /**
-   * Returns the data frame as a dictionary.
+   * Returns the rows of the data frame that satisfy the predicate.
    *
-   * @return {Promise<{columns: Array<string>, data: Array<Array<any>>}>} The data frame as a dictionary.
+   * @param {function(Object<string, any>, number): boolean} predicate Tests a single row, passed as record keyed
+   * by the column names, along with its index.
+   * @return {QvdDataFrame} The data frame of the satisfying rows.
    */
-  async toDict() {
-    return {columns: this._columns, data: this._data};
+  filter(predicate) {
+    const data = this.data.filter((row, index) => predicate(this._toRecord(row), index));
+    return new QvdDataFrame(data, this._columns, this._metadata);
+  }
+
+  /**
+   * Returns the data frame sorted by one or multiple columns. The sort is stable, null values are sorted last.
+   * Numbers are sorted before strings, dates by their time and symbols by their primary value.
+   *
+   * @param {string|Array<string>} by The name(s) of the column(s) to sort by, in order of precedence.
+   * @param {string|Array<string>} [order] The order, either 'asc' or 'desc', for all or per column,
+   * defaults to 'asc'.
+   * @return {QvdDataFrame} The sorted data frame.
+   */
+  sort(by, order = 'asc') {
+    const columns = Array.isArray(by) ? by : [by];
+    const orders = Array.isArray(order) ? order : columns.map(() => order);
+    const indices = columns.map((column) => this._indexOfColumn(column));
+
+    orders.forEach((order) => {
+      if (order !== 'asc' && order !== 'desc') {
+        throw new Error(`Unknown sort order '${order}', expected 'asc' or 'desc'.`);
+      }
+    });
+
+    const data = [...this.data].sort((left, right) => {
+      for (let index = 0; index < indices.length; index++) {
+        const result = QvdDataFrame._compareValues(
+          left[indices[index]],
+          right[indices[index]],
+          orders[index] === 'desc',
+        );
+
+        if (result !== 0) {
+          return result;
+        }
+      }
+
+      return 0;
+    });
+
+    return new QvdDataFrame(data, this._columns, this._metadata);
+  }
+
+  /**
+   * Returns the data frame with an added or replaced column, whose values are computed per row. The field
+   * metadata of a replaced column is discarded, as it might not describe the computed values anymore.
+   *
+   * @param {string} name The name of the column to add or replace.
+   * @param {function(Object<string, any>, number): any} fn Computes the value of a single row, passed as
+   * record keyed by the column names, along with its index.
+   * @return {QvdDataFrame} The data frame including the column.
+   */
+  withColumn(name, fn) {
+    const columnIndex = this._columns.indexOf(name);
+    const values = this.data.map((row, index) => fn(this._toRecord(row), index));
+
+    if (columnIndex === -1) {
+      return new QvdDataFrame(
+        this.data.map((row, index) => [...row, values[index]]),
+        [...this._columns, name],
+        this._metadata,
+      );
+    }
+
+    return new QvdDataFrame(
+      this.data.map((row, index) =>
+        row.map((value, valueIndex) => (valueIndex === columnIndex ? values[index] : value)),
+      ),
+      this._columns,
+      QvdDataFrame._transformFieldMetadata(this._metadata, (fields) =>
+        fields.filter((field) => field.FieldName !== name),
+      ),
+    );
+  }
+
+  /**
+   * Returns the data frame without the specified columns.
+   *
+   * @param {...string} args The names of the columns to drop.
+   * @return {QvdDataFrame} The data frame without the specified columns.
+   */
+  drop(...args) {
+    args.forEach((column) => this._indexOfColumn(column));
+    return this.select(...this._columns.filter((column) => !args.includes(column)));
+  }
+
+  /**
+   * Returns the data frame with renamed columns. The field metadata of the columns is renamed as well.
+   *
+   * @param {Object<string, string>} mapping The new names of the columns, keyed by their current names.
+   * @return {QvdDataFrame} The data frame with renamed columns.
+   */
+  rename(mapping) {
+    Object.keys(mapping).forEach((column) => this._indexOfColumn(column));
+
+    const columns = this._columns.map((column) => mapping[column] ?? column);
+    const duplicates = columns.filter((column, index) => columns.indexOf(column) !== index);
+
+    if (duplicates.length > 0) {
+      throw new Error(`The renamed data frame contains the column '${duplicates[0]}' multiple times.`);
+    }
+
+    const metadata = QvdDataFrame._transformFieldMetadata(this._metadata, (fields) =>
+      fields.map((field) => (mapping[field.FieldName] ? {...field, FieldName: mapping[field.FieldName]} : field)),
+    );
+
+    if (this._columnStore) {
+      return QvdDataFrame._fromColumnStore(this._columnStore.length, this._columnStore.columns, columns, metadata);
+    }
+
+    return new QvdDataFrame(this.data, columns, metadata);
+  }
+
+  /**
+   * Returns the distinct rows of the data frame, in order of their first occurrence. Rows are compared by
+   * value, i.e. dates by their time and symbols by their values.
+   *
+   * @return {QvdDataFrame} The data frame of distinct rows.
+   */
+  distinct() {
+    const keys = new Set();
+    const data = this.data.filter((row) => {
+      const key = QvdDataFrame._convertValuesToKey(row);
+
+      if (keys.has(key)) {
+        return false;
+      }
+
+      keys.add(key);
+      return true;
+    });
+
+    return new QvdDataFrame(data, this._columns, this._metadata);
+  }
+
+  /**
+   * Joins the data frame with another one on the values of one or multiple key columns. The joined data
+   * frame contains the columns of this data frame followed by the non-key columns of the other one. Rows
+   * whose keys contain null values do not match any row. Matched rows are in order of this data frame,
+   * unmatched rows of the other data frame are appended.
+   *
+   * @param {QvdDataFrame} other The data frame to join with.
+   * @param {string|Array<string>} [on] The name(s) of the key column(s), defaults to the columns both data
+   * frames have in common, like Qlik joins. Non-key columns must not be contained in both data frames.
+   * @param {string} [how] The kind of join, either 'inner', 'left', 'right' or 'outer', defaults to 'inner'.
+   * @return {QvdDataFrame} The joined data frame.
+   */
+  join(other, on = undefined, how = 'inner') {
+    if (!['inner', 'left', 'right', 'outer'].includes(how)) {
+      throw new Error(`Unknown join '${how}', expected 'inner', 'left', 'right' or 'outer'.`);
+    }
+
+    const keys = on === undefined ? this._columns.filter((column) => other.columns.includes(column)) : [on].flat();
+
+    if (keys.length === 0) {
+      throw new Error('The data frames do not have any key columns in common to join on.');
+    }
+
+    const leftKeyIndices = keys.map((key) => this._indexOfColumn(key));
+    const rightKeyIndices = keys.map((key) => other._indexOfColumn(key));
+    const rightIndices = other.columns.flatMap((column, index) => (keys.includes(column) ? [] : [index]));
+    const ambiguousColumn = rightIndices
+      .map((index) => other.columns[index])
+      .find((column) => this._columns.includes(column));
+
+    if (ambiguousColumn !== undefined) {
+      throw new Error(`The column '${ambiguousColumn}' is contained in both data frames, but it is not a key column.`);
+    }
+
+    /**
+     * Converts the key values of a row to a key, or null if any key value is null.
+     *
+     * @param {Array<any>} row The row.
+     * @param {Array<number>} indices The indices of the key columns.
+     * @return {string|null} The key of the row.
+     */
+    const toKey = (row, indices) => {
+      const values = indices.map((index) => row[index]);
+      return values.some((value) => value === null || value === undefined)
+        ? null
+        : QvdDataFrame._convertValuesToKey(values);
+    };
+
+    const rightRowsByKey = new Map();
+
+    other.data.forEach((row, rowIndex) => {
+      const key = toKey(row, rightKeyIndices);
+
+      if (key === null) {
+        return;
+      }
+
+      const rows = rightRowsByKey.get(key);
+
+      if (rows) {
+        rows.push(rowIndex);
+      } else {
+        rightRowsByKey.set(key, [rowIndex]);
+      }
+    });
+
+    const matchedRightRows = new Uint8Array(other.data.length);
+    const data = [];
+
+    this.data.forEach((row) => {
+      const key = toKey(row, leftKeyIndices);
+      const matches = key !== null ? rightRowsByKey.get(key) : undefined;
+
+      if (matches) {
+        matches.forEach((rightRowIndex) => {
+          matchedRightRows[rightRowIndex] = 1;
+          data.push([...row, ...rightIndices.map((index) => other.data[rightRowIndex][index])]);
+        });
+      } else if (how === 'left' || how === 'outer') {
+        data.push([...row, ...rightIndices.map(() => null)]);
+      }
+    });
+
+    if (how === 'right' || how === 'outer') {
+      other.data.forEach((rightRow, rightRowIndex) => {
+        if (matchedRightRows[rightRowIndex]) {
+          return;
+        }
+
+        const row = this._columns.map(() => null);
+        leftKeyIndices.forEach((index, keyIndex) => (row[index] = rightRow[rightKeyIndices[keyIndex]]));
+
+        data.push([...row, ...rightIndices.map((index) => rightRow[index])]);
+      });
+    }
+
+    const columns = [...this._columns, ...rightIndices.map((index) => other.columns[index])];
+
+    return new QvdDataFrame(data, columns, QvdDataFrame._mergeMetadata([this, other], columns));
+  }
+
+  /**
+   * Groups the rows of the data frame by the values of one or multiple columns, see {@link QvdGroupBy}.
+   *
+   * @param {...string} args The names of the columns to group by.
+   * @return {QvdGroupBy} The grouped data frame.
+   */
+  groupBy(...args) {
+    return new QvdGroupBy(this, args);
+  }
+
+  /**
+   * Returns a function that looks up the value of a column by the index of its row, null values are null. The
+   * symbols of a columnar data frame are decoded on access, hence the rows are not expanded.
+   *
+   * @param {number} columnIndex The index of the column.
+   * @return {function(number): any} The lookup of the column's values.
+   */
+  _getColumnGetter(columnIndex) {
+    const column = this._columnStore?.columns[columnIndex];
+
+    if (column) {
+      return (rowIndex) => column.get(rowIndex);
+    }
+
+    const data = this.data;
+
+    return (rowIndex) => data[rowIndex][columnIndex] ?? null;
+  }
+
+  /**
+   * Encodes the values of a column like the symbol table of a QVD file: Each distinct value is stored
+   * once and the rows reference it by index. Null values are encoded as well.
+   *
+   * @param {number} columnIndex The index of the column.
+   * @return {{indices: Int32Array, values: Array<any>}} The indices of all rows and the distinct values.
+   */
+  _encodeColumn(columnIndex) {
+    const indices = new Int32Array(this.shape[0]);
+    const values = [];
+
+    // Primitive values are mapped as they are, dates and symbols by their value
+    const primitiveDictionary = new Map();
+    const objectDictionary = new Map();
+
+    const encode = (value) => {
+      const isObject = typeof value === 'object' && value !== null;
+      const dictionary = isObject ? objectDictionary : primitiveDictionary;
+      const key = isObject ? QvdDataFrame._convertValuesToKey([value]) : value;
+      let index = dictionary.get(key);
+
+      if (index === undefined) {
+        index = values.push(value) - 1;
+        dictionary.set(key, index);
+      }
+
+      return index;
+    };
+
+    const column = this._columnStore?.columns[columnIndex];
+
+    if (column) {
+      // Each symbol is encoded once, distinct symbols might still decode to the same value though
+      const symbolIndices = new Int32Array(column.symbols.length).fill(-1);
+
+      for (let rowIndex = 0; rowIndex < indices.length; rowIndex++) {
+        const symbolIndex = column.indices[rowIndex];
+
+        if (symbolIndex < 0) {
+          indices[rowIndex] = encode(null);
+        } else {
+          if (symbolIndices[symbolIndex] === -1) {
+            symbolIndices[symbolIndex] = encode(column.get(rowIndex));
+          }
+
+          indices[rowIndex] = symbolIndices[symbolIndex];
+        }
+      }
+    } else {
+      this.data.forEach((row, rowIndex) => {
+        indices[rowIndex] = encode(row[columnIndex] ?? null);
+      });
+    }
+
+    return {indices, values};
+  }
+
+  /**
+   * Returns the index of a column, raising an error if the column does not exist.
+   *
+   * @param {string} column The name of the column.
+   * @return {number} The index of the column.
+   */
+  _indexOfColumn(column) {
+    const index = this._columns.indexOf(column);
+
+    if (index === -1) {
+      throw new Error(`The column '${column}' does not exist in the data frame.`);
+    }
+
+    return index;
+  }
+
+  /**
+   * Converts a row to a record, keyed by the column names.
+   *
+   * @param {Array<any>} row The values of the row.
+   * @return {Object<string, any>} The record.
+   */
+  _toRecord(row) {
+    const record = {};
+
+    for (let index = 0; index < this._columns.length; index++) {
+      record[this._columns[index]] = row[index];
+    }
+
+    return record;
+  }
+
+  /**
+   * Transforms the field metadata of the data frame's metadata, if there is any.
+   *
+   * @param {Partial<QvdTableHeader>|null} metadata The metadata of the data frame.
+   * @param {function(Array<QvdFieldHeader>): Array<QvdFieldHeader>} transform Transforms the field metadata.
+   * @return {Partial<QvdTableHeader>|null} The transformed metadata.
+   */
+  static _transformFieldMetadata(metadata, transform) {
+    if (!metadata) {
+      return null;
+    }
+
+    return {...metadata, Fields: transform(metadata.Fields ?? [])};
+  }
+
+  /**
+   * Merges the metadata of multiple data frames. The table metadata is taken from the first data frame that
+   * has any, the field metadata of each column from the first data frame that contains it.
+   *
+   * @param {Array<QvdDataFrame>} frames The data frames.
+   * @param {Array<string>} columns The columns of the merged data frame.
+   * @return {Partial<QvdTableHeader>|null} The merged metadata, or null if none of the data frames has any.
+   */
+  static _mergeMetadata(frames, columns) {
+    const metadata = frames.map((frame) => frame.metadata).filter((metadata) => metadata !== null);
+
+    if (metadata.length === 0) {
+      return null;
+    }
+
+    const fields = columns
+      .map((column) =>
+        metadata.flatMap((metadata) => metadata.Fields ?? []).find((field) => field.FieldName === column),
+      )
+      .filter((field) => field !== undefined);
+
+    return {...metadata[0], Fields: fields};
+  }
+
+  /**
+   * Converts values to a key that is equal for equal values, e.g. to look up rows in hash maps.
+   * Dates are compared by their time and symbols by their values.
+   *
+   * @param {Array<any>} values The values to convert.
+   * @return {string} The key of the values.
+   */
+  static _convertValuesToKey(values) {
+    return JSON.stringify(
+      values.map((value) => {
+        if (value === null || value === undefined) {
+          return null;
+        } else if (value instanceof QvdSymbol) {
+          return ['y', value.intValue, value.doubleValue, value.stringValue];
+        } else if (value instanceof Date) {
+          return ['t', value.getTime()];
+        }
+
+        return [typeof value, String(value)];
+      }),
+    );
+  }
+
+  /**
+   * Compares two values for sorting, see {@link QvdDataFrame#sort}.
+   *
+   * @param {any} left The left value.
+   * @param {any} right The right value.
+   * @param {boolean} descending Whether to sort in descending order, null values are last nevertheless.
+   * @return {number} A negative number if the left value is sorted first, a positive number if the right
+   * value is sorted first, or zero if both are equal.
+   */
+  static _compareValues(left, right, descending) {
+    const normalize = (value) => {
+      if (value instanceof QvdSymbol) {
+        return value.toPrimaryValue();
+      }
+
+      return value instanceof Date ? value.getTime() : value;
+    };
+
+    const leftValue = normalize(left);
+    const rightValue = normalize(right);
+    const isLeftNull = leftValue === null || leftValue === undefined;
+    const isRightNull = rightValue === null || rightValue === undefined;
+
+    if (isLeftNull || isRightNull) {
+      return Number(isLeftNull) - Number(isRightNull);
+    }
+
+    let result;
+
+    if (typeof leftValue !== typeof rightValue) {
+      result = typeof leftValue === 'number' ? -1 : typeof rightValue === 'number' ? 1 : 0;
+    } else {
+      result = leftValue < rightValue ? -1 : leftValue > rightValue ? 1 : 0;
+    }
+
+    return descending ? -result : result;
+  }
+
+  /**
+   * Returns the data frame as a dictionary.
+   *
+   * @return {Promise<{columns: Array<string>, data: Array<Array<any>>}>} The data frame as a dictionary.
+   */
+  async toDict() {
+    return {columns: this._columns, data: this.data};
+  }
+
+  /**
+   * Persists the data frame to a QVD file.
+   *
+   * @param {string} path The path to the QVD file.
+   * @param {Object} [options] The options of the writer, see {@link QvdFileWriter}.
+   * @return {Promise<QvdWriteStatistics>} The size statistics of the written QVD file.
+   */
+  async toQvd(path, options = {}) {
+    return new QvdFileWriter(path, this, options).save();
+  }
+
+  /**
+   * Appends the data frame to an existing QVD file, see {@link QvdFileAppender} for details.
+   *
+   * @param {string} path The path to the existing QVD file.
+   * @param {Object} [options] The options of the appender, see {@link QvdFileAppender}.
+   * @return {Promise<QvdAppendSummary>} The summary of the append.
+   */
+  async appendToQvd(path, options = {}) {
+    return await new QvdFileAppender(path, this, options).append();
+  }
+
+  /**
+   * Serializes the data frame to the bytes of a QVD file, without accessing the file system.
+   *
+   * @param {Object} [options] The options of the writer, see {@link QvdFileWriter}.
+   * @return {Promise<Uint8Array>} The bytes of the QVD file.
+   */
+  async toBuffer(options = {}) {
+    return new QvdFileWriter(null, this, options).toBuffer();
+  }
+
+  /**
+   * Persists the data frame to a CSV file, which is written in chunks.
+   *
+   * @param {string} path The path to the CSV file.
+   * @param {Object} [options] The options of the writer, see {@link QvdCsvWriter}.
+   */
+  async toCsv(path, options = {}) {
+    const writer = new QvdCsvWriter(path, this._columns, options);
+
+    for (const row of this.data) {
+      writer.append(row);
+    }
+
+    await writer.close();
+  }
+
+  /**
+   * Returns the data frame as records, i.e. an object per row keyed by the column names.
+   *
+   * @return {Promise<Array<Object<string, any>>>} The records of the data frame.
+   */
+  async toRecords() {
+    return this.data.map((row) => this._toRecord(row));
+  }
+
+  /**
+   * Persists the data frame to a NDJSON file, i.e. a JSON object per row and line, which is written in chunks.
+   *
+   * @param {string} path The path to the NDJSON file.
+   * @param {Object} [options] The options of the writer, see {@link QvdNdjsonWriter}.
+   */
+  async toNdjson(path, options = {}) {
+    const writer = new QvdNdjsonWriter(path, this._columns, options);
+
+    for (const row of this.data) {
+      writer.append(row);
+    }
+
+    await writer.close();
+  }
+
+  /**
+   * Returns the data frame in columnar representation, as consumed by Apache Arrow like libraries. Columns
+   * that solely contain numbers are stored in typed arrays, 32-bit integers if possible, columns that solely
+   * contain dates are stored as milliseconds since the Unix epoch. All other columns are dictionary encoded,
+   * like the symbol table of a QVD file: The distinct values are stored once, in order of their first
+   * occurrence, and the rows reference them by index. Symbols are represented by their primary value and
+   * dates within dictionary columns by their ISO 8601 representation.
+   *
+   * @return {Promise<QvdColumnarData>} The data frame in columnar representation.
+   */
+  async toColumnar() {
+    const length = this.shape[0];
+
+    // The columns of a columnar data frame are read as they are stored, without expanding them to rows
+    return {
+      length,
+      columns: this._columns.map((column, columnIndex) =>
+        QvdDataFrame._buildColumnVector(column, length, this._getColumnGetter(columnIndex)),
+      ),
+    };
+  }
+
+  /**
+   * Builds the columnar representation of a single column, see {@link QvdDataFrame#toColumnar}.
+   *
+   * @param {string} name The name of the column.
+   * @param {number} length The number of rows.
+   * @param {function(number): any} getValue Returns the value of the column by the index of its row.
+   * @return {QvdColumnVector} The column in columnar representation.
+   */
+  static _buildColumnVector(name, length, getValue) {
+    let type = null;
+    let nullCount = 0;
+
+    for (let rowIndex = 0; rowIndex < length; rowIndex++) {
+      const value = getValue(rowIndex);
+
+      if (value === null || value === undefined) {
+        nullCount++;
+        continue;
+      }
+
+      let valueType = 'dictionary';
+
+      if (typeof value === 'number') {
+        valueType = Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff ? 'int32' : 'float64';
+      } else if (value instanceof Date) {
+        valueType = 'timestamp';
+      }
+
+      if (type === null || type === valueType) {
+        type = valueType;
+      } else if (['int32', 'float64'].includes(type) && ['int32', 'float64'].includes(valueType)) {
+        type = 'float64';
+      } else {
+        // Null values are counted nevertheless, hence the remaining rows are not skipped
+        type = 'dictionary';
+      }
+    }
+
+    type ??= 'dictionary';
+
+    const values = type === 'int32' || type === 'dictionary' ? new Int32Array(length) : new Float64Array(length);
+    const validity = nullCount > 0 ? new Uint8Array(Math.ceil(length / 8)) : null;
+    const dictionary = [];
+    const dictionaryIndices = new Map();
+
+    for (let rowIndex = 0; rowIndex < length; rowIndex++) {
+      let value = getValue(rowIndex);
+
+      if (value === null || value === undefined) {
+        continue;
+      }
+
+      if (validity) {
+        validity[rowIndex >> 3] |= 1 << (rowIndex & 7);
+      }
+
+      if (type === 'timestamp') {
+        values[rowIndex] = value.getTime();
+      } else if (type !== 'dictionary') {
+        values[rowIndex] = value;
+      } else {
+        if (value instanceof QvdSymbol) {
+          value = value.toPrimaryValue();
+        } else if (value instanceof Date) {
+          value = value.toISOString();
+        }
+
+        let index = dictionaryIndices.get(value);
+
+        if (index === undefined) {
+          index = dictionary.push(value) - 1;
+          dictionaryIndices.set(value, index);
+        }
+
+        values[rowIndex] = index;
+      }
+    }
+
+    return {name, type, values, dictionary: type === 'dictionary' ? dictionary : null, validity, nullCount};
+  }
+
+  /**
+   * Loads a QVD file and returns its data frame.
+   *
+   * @param {string} path The path to the QVD file.
+   * @param {Object} [options] The options of the parser, see {@link QvdFileReader}.
+   * @return {Promise<QvdDataFrame>} The data frame of the QVD file.
+   */
+  static async fromQvd(path, options = {}) {
+    return await new QvdFileReader(path, options).load();
+  }
+
+  /**
+   * Loads multiple QVD files with differing fields onto a unified schema and returns their concatenated
+   * data frame, see {@link QvdSchemaMerger} for details.
+   *
+   * @param {Array<string|Uint8Array>} sources The paths to the QVD files or the bytes of the QVD files themselves.
+   * @param {Object} [options] The options of the merger, see {@link QvdSchemaMerger}.
+   * @return {Promise<QvdDataFrame>} The concatenated data frame of the QVD files.
+   */
+  static async fromQvds(sources, options = {}) {
+    return await new QvdSchemaMerger(sources, options).load();
+  }
+
+  /**
+   * Parses the bytes of a QVD file, without accessing the file system, and returns its data frame.
+   *
+   * @param {Uint8Array} bytes The bytes of the QVD file.
+   * @param {Object} [options] The options of the parser, see {@link QvdFileReader}.
+   * @return {Promise<QvdDataFrame>} The data frame of the QVD file.
+   */
+  static async fromBuffer(bytes, options = {}) {
+    return await new QvdFileReader(bytes, options).load();
+  }
+
+  /**
+   * Loads a CSV file and returns its data frame. The values are inferred such that they are stored as
+   * the matching QVD symbol types, see {@link QvdCsvReader} for details.
+   *
+   * @param {string|Uint8Array|AsyncIterable<Uint8Array|string>|Iterable<Uint8Array|string>} source The path to
+   * the CSV file, the bytes of the CSV file itself or an iterable of chunks, e.g. a readable stream.
+   * @param {Object} [options] The options of the reader, see {@link QvdCsvReader}.
+   * @return {Promise<QvdDataFrame>} The data frame of the CSV file.
+   */
+  static async fromCsv(source, options = {}) {
+    return await new QvdCsvReader(source, options).load();
+  }
+
+  /**
+   * Concatenates the rows of multiple data frames, like Qlik concatenates tables. The columns are aligned
+   * by name, in order of their first occurrence, missing columns are filled with null.
+   *
+   * @param {...QvdDataFrame} frames The data frames to concatenate.
+   * @return {QvdDataFrame} The concatenated data frame.
+   */
+  static concat(...frames) {
+    const columns = Array.from(new Set(frames.flatMap((frame) => frame.columns)));
+    const data = frames.flatMap((frame) => {
+      const indices = columns.map((column) => frame.columns.indexOf(column));
+      return frame.data.map((row) => indices.map((index) => (index === -1 ? null : row[index])));
+    });
+
+    return new QvdDataFrame(data, columns, QvdDataFrame._mergeMetadata(frames, columns));
+  }
+
+  /**
+   * Constructs a data frame from records, i.e. an object per row keyed by the column names.
+   *
+   * @param {Array<Object<string, any>>} records The records to construct the data frame from.
+   * @param {Array<string>} [columns] The names of the columns, defaults to the keys of all records, in order
+   * of their first occurrence. Keys that are missing in a record are null.
+   * @return {Promise<QvdDataFrame>} The constructed data frame.
+   */
+  static async fromRecords(records, columns = undefined) {
+    const keys = columns ?? Array.from(new Set(records.flatMap((record) => Object.keys(record))));
+
+    return new QvdDataFrame(
+      records.map((record) => keys.map((key) => record[key] ?? null)),
+      keys,
+    );
+  }
+
+  /**
+   * Loads a NDJSON file, i.e. a JSON object per line, and returns its data frame.
+   *
+   * @param {string|Uint8Array|AsyncIterable<Uint8Array|string>|Iterable<Uint8Array|string>} source The path to
+   * the NDJSON file, the bytes of the NDJSON file itself or an iterable of chunks, e.g. a readable stream.
+   * @param {Object} [options] The options of the reader, see {@link QvdNdjsonReader}.
+   * @return {Promise<QvdDataFrame>} The data frame of the NDJSON file.
+   */
+  static async fromNdjson(source, options = {}) {
+    return await new QvdNdjsonReader(source, options).load();
+  }
+
+  /**
+   * Constructs a data frame from its columnar representation, see {@link QvdDataFrame#toColumnar}.
+   *
+   * @param {QvdColumnarData} columnar The data frame in columnar representation.
+   * @return {Promise<QvdDataFrame>} The constructed data frame.
+   */
+  static async fromColumnar(columnar) {
+    const data = Array.from({length: columnar.length}, () => new Array(columnar.columns.length));
+
+    columnar.columns.forEach(({type, values, dictionary, validity}, columnIndex) => {
+      if (!['int32', 'float64', 'timestamp', 'dictionary'].includes(type)) {
+        throw new Error(`The column type '${type}' is not supported.`);
+      }
+
+      for (let rowIndex = 0; rowIndex < columnar.length; rowIndex++) {
+        if (validity && !((validity[rowIndex >> 3] >> (rowIndex & 7)) & 1)) {
+          data[rowIndex][columnIndex] = null;
+        } else if (type === 'timestamp') {
+          data[rowIndex][columnIndex] = new Date(values[rowIndex]);
+        } else if (type === 'dictionary') {
+          data[rowIndex][columnIndex] = dictionary?.[values[rowIndex]] ?? null;
+        } else {
+          data[rowIndex][columnIndex] = values[rowIndex];
+        }
+      }
+    });
+
+    return new QvdDataFrame(
+      data,
+      columnar.columns.map((column) => column.name),
+    );
+  }
+
+  /**
+   * Constructs a data frame from a dictionary.
+   *
+   * @param {{columns: Array<string>, data: Array<Array<any>>, metadata: (Partial<QvdTableHeader>|undefined)}} data
+   * The dictionary to construct the data frame from, the metadata is optional.
+   * @return {Promise<QvdDataFrame>} The constructed data frame.
+   */
+  static async fromDict(data) {
+    if (!data.columns) {
+      throw new Error('The dictionary to construct the data frame from does not contain any columns.');
+    }
+
+    if (!data.data) {
+      throw new Error('The dictionary to construct the data frame from does not contain any data.');
+    }
+
+    return new QvdDataFrame(data.data, data.columns, data.metadata ?? null);
+  }
+}
+
+/**
+ * A data frame whose rows are grouped by the values of one or multiple columns, see {@link QvdDataFrame#groupBy}.
+ */
+export class QvdGroupBy {
+  /**
+   * Constructs a new grouped data frame.
+   *
+   * @param {QvdDataFrame} df The data frame to group.
+   * @param {Array<string>} columns The names of the columns to group by.
+   */
+  constructor(df, columns) {
+    this._df = df;
+    this._columns = columns;
+    this._columnIndices = columns.map((column) => df._indexOfColumn(column));
+  }
+
+  /**
+   * Assigns the rows to their groups. The grouping columns are dictionary encoded first, hence each row's
+   * group is identified by the combination of small integer indices instead of its values. As long as the
+   * combinations fit into a safe integer, they are combined arithmetically, otherwise they are joined.
+   *
+   * @return {{keys: Array<Array<any>>, rows: Array<Array<number>>}} The values of the grouping columns and the
+   * indices of the rows of each group, in order of the groups' first occurrence.
+   */
+  _groupRows() {
+    const encodedColumns = this._columnIndices.map((columnIndex) => this._df._encodeColumn(columnIndex));
+    const cardinality = encodedColumns.reduce((product, column) => product * column.values.length, 1);
+    const isArithmetic = cardinality <= Number.MAX_SAFE_INTEGER;
+    const groupIndices = new Map();
+    const keys = [];
+    const rows = [];
+
+    for (let rowIndex = 0; rowIndex < this._df.shape[0]; rowIndex++) {
+      let key = isArithmetic ? 0 : '';
+
+      for (const column of encodedColumns) {
+        key = isArithmetic
+          ? key * column.values.length + column.indices[rowIndex]
+          : `${key}${column.indices[rowIndex]},`;
+      }
+
+      let groupIndex = groupIndices.get(key);
+
+      if (groupIndex === undefined) {
+        groupIndex = keys.push(encodedColumns.map((column) => column.values[column.indices[rowIndex]])) - 1;
+        groupIndices.set(key, groupIndex);
+        rows.push([]);
+      }
+
+      rows[groupIndex].push(rowIndex);
+    }
+
+    // Without grouping columns, all rows form a single group, even if there are none
+    if (encodedColumns.length === 0 && keys.length === 0) {
+      keys.push([]);
+      rows.push([]);
+    }
+
+    return {keys, rows};
+  }
+
+  /**
+   * Aggregates the values of each group. The resulting data frame contains a row per group, in order of the
+   * groups' first occurrence, with the grouping columns followed by the aggregated columns.
+   *
+   * Each aggregation is keyed by the name of the resulting column. It is either the name of an aggregation
+   * function, applied to the column of the same name, or a pair of the name of the column to aggregate and
+   * the aggregation function. The built-in functions are sum, avg, min, max, count, countDistinct, first and
+   * last, all of them ignore null values. Custom functions are called with the values of each group.
+   * The column '*' refers to the rows themselves, e.g. to count the rows of each group.
+   *
+   * @param {Object<string, string|function(Array<any>): any|Array<string|function(Array<any>): any>>} aggregations
+   * The aggregations, keyed by the name of the resulting column.
+   * @return {QvdDataFrame} The aggregated data frame.
+   */
+  agg(aggregations) {
+    const specs = Object.entries(aggregations).map(([name, spec]) => {
+      const [column, aggregation] = Array.isArray(spec) ? spec : [name, spec];
+      const aggregate = typeof aggregation === 'function' ? aggregation : AGGREGATIONS[aggregation];
+
+      if (!aggregate) {
+        throw new Error(
+          `Unknown aggregation '${aggregation}', expected one of ${Object.keys(AGGREGATIONS).join(
+            ', ',
+          )} or a function.`,
+        );
+      }
+
+      return {aggregate, columnIndex: column === '*' ? -1 : this._df._indexOfColumn(column)};
+    });
+
+    const conflictingColumn = Object.keys(aggregations).find((name) => this._columns.includes(name));
+
+    if (conflictingColumn !== undefined) {
+      throw new Error(`The aggregated column '${conflictingColumn}' is a grouping column as well.`);
+    }
+
+    // Solely the aggregated columns are accessed, the columns of a columnar data frame are not expanded to rows
+    const getters = specs.map(({columnIndex}) =>
+      columnIndex === -1 ? (rowIndex) => rowIndex : this._df._getColumnGetter(columnIndex),
+    );
+
+    const {keys, rows} = this._groupRows();
+    const data = keys.map((key, groupIndex) => [
+      ...key,
+      ...specs.map(({aggregate}, specIndex) => aggregate(rows[groupIndex].map(getters[specIndex]))),
+    ]);
+
+    return new QvdDataFrame(
+      data,
+      [...this._columns, ...Object.keys(aggregations)],
+      QvdDataFrame._transformFieldMetadata(this._df.metadata, (fields) =>
+        fields.filter((field) => this._columns.includes(field.FieldName)),
+      ),
+    );
+  }
+}
+
+/**
+ * Parses a QVD file and loads it into memory.
+ */
+export class QvdFileReader {
+  /**
+   * Constructs a new QVD file parser.
+   *
+   * The options allow to load only a part of the QVD file. The column selection is pushed down to
+   * the symbol table, hence symbol areas of unselected fields/columns are not read at all. The row
+   * range is pushed down to the index table, hence only the selected records are read.
+   *
+   * @param {string|Uint8Array} source The path to the QVD file to load or the bytes of the QVD file itself.
+   * @param {Object} [options] The options of the parser.
+   * @param {Array<string>} [options.columns] The names of the columns to load, defaults to all columns.
+   * @param {number} [options.offset] The index of the first row to load, defaults to the first row.
+   * @param {number} [options.limit] The maximum number of rows to load, defaults to all remaining rows.
+   * @param {boolean} [options.preserveSymbols] Whether to keep the {@link QvdSymbol} instances as values instead
+   * of converting them to their primary value, defaults to false. This keeps dual values and the original symbol
+   * types, hence persisting the loaded data frame again is lossless.
+   * @param {boolean} [options.convertDates] Whether to convert the values of fields/columns, whose number format
+   * is of type DATE or TIMESTAMP, to {@link Date} instances, defaults to false.
+   * @param {boolean} [options.lenient] Whether to load everything recoverable from a damaged QVD file instead
+   * of rejecting it, defaults to false. See {@link QvdFileReader#report} for details.
+   * @param {boolean|Array<string>} [options.nullAsValue] The fields/columns, whose null values are replaced by
+   * the null value, or true for all fields/columns. Like Qlik's NullAsValue statement, the replacing value is an
+   * ordinary value afterwards. Defaults to none, i.e. null values are loaded as null.
+   * @param {string} [options.nullValue] The value that replaces null values, defaults to an empty text.
+   */
+  constructor(source, options = {}) {
+    this._source = source;
+    this._options = options;
+    this._handle = null;
+    this._headerOffset = null;
+    this._symbolTableOffset = null;
+    this._indexTableOffset = null;
+    this._header = null;
+    this._symbolTable = null;
+    this._nullSymbols = null;
+    this._report = options.lenient ? {issues: [], skippedFields: [], skippedRecords: 0, nullifiedIndices: {}} : null;
+  }
+
+  /**
+   * Returns the report of a lenient load, or null if the reader is not lenient. A lenient reader recovers
+   * from violations of the QVD file format instead of rejecting the file: A malformed XML header is reduced
+   * to its well-formed fields, symbol areas that cannot be read are skipped, hence all values of these fields
+   * are null, out-of-range symbol indices are replaced by null, and incomplete records are skipped. Violations
+   * that leave nothing to recover, e.g. a missing header, are raised nevertheless.
+   *
+   * @return {QvdRecoveryReport|null} The report of the recovered violations.
+   */
+  get report() {
+    return this._report;
+  }
+
+  /**
+   * Handles a violation of the QVD file format. A lenient reader records the violation and continues,
+   * otherwise the violation is raised. This method is part of the parsing process and should not be
+   * called directly.
+   *
+   * @param {QvdFormatError} error The violation.
+   */
+  _recover(error) {
+    if (!this._report) {
+      throw error;
+    }
+
+    this._report.issues.push(error);
+  }
+
+  /**
+   * Opens the QVD file for reading. This method is part of the parsing process
+   * and should not be called directly.
+   */
+  async _openFile() {
+    if (typeof this._source === 'string') {
+      this._handle = await openFile(this._source, 'r');
+    } else {
+      const bytes = this._source;
+
+      // In-memory bytes are accessed the same way as files, hence the parsing process does not differ
+      this._handle = {
+        read: async (position, length) => bytes.subarray(position, position + length),
+        write: async () => {
+          throw new Error('The QVD file is opened read-only.');
+        },
+        close: async () => {},
+      };
+    }
+  }
+
+  /**
+   * Closes the QVD file if it has been opened before. This method is part of the parsing process
+   * and should not be called directly.
+   */
+  async _closeFile() {
+    if (this._handle) {
+      await this._handle.close();
+      this._handle = null;
+    }
+  }
+
+  /**
+   * Reads a range of bytes from the opened QVD file. The returned buffer is shorter than the
+   * requested length if the end of the file is reached.
+   *
+   * @param {number} position The byte position to start reading from.
+   * @param {number} length The number of bytes to read.
+   * @return {Promise<Uint8Array>} The read bytes.
+   */
+  async _readBytes(position, length) {
+    if (!this._handle) {
+      throw new Error('The QVD file has not been opened.');
+    }
+
+    return await this._handle.read(position, length);
+  }
+
+  /**
+   * Parses the XML header of the QVD file. This method is part of the parsing process
+   * and should not be called directly.
+   */
+  async _parseHeader() {
+    const HEADER_DELIMITER = [0x00]; // \0
+    const HEADER_CHUNK_SIZE = 64 * 1024;
+
+    const headerBeginIndex = 0;
+
+    let headerBuffer = new Uint8Array(0);
+    let headerDelimiterIndex = -1;
+
+    // The header's length is unknown upfront, hence it is read chunk-wise until the delimiter shows up. Qlik
+    // terminates the header by \r\n\0, other writers by \n\0 or \0 solely. The XML text itself never contains
+    // a null byte, hence the first one terminates the header, the preceding line break is part of the text.
+    while (headerDelimiterIndex === -1) {
+      const chunk = await this._readBytes(headerBeginIndex + headerBuffer.length, HEADER_CHUNK_SIZE);
+
+      if (chunk.length === 0) {
+        break;
+      }
+
+      // The delimiter might be split across two consecutive chunks
+      const searchIndex = Math.max(0, headerBuffer.length - HEADER_DELIMITER.length + 1);
+
+      headerBuffer = concatBytes([headerBuffer, chunk]);
+      headerDelimiterIndex = indexOfBytes(headerBuffer, HEADER_DELIMITER, searchIndex);
+    }
+
+    if (headerDelimiterIndex === -1) {
+      throw new QvdHeaderError(
+        'The XML header section does not exist or is not properly delimited from the binary data.',
+        {offset: headerBeginIndex + headerBuffer.length},
+      );
+    }
+
+    const headerEndIndex = headerBeginIndex + headerDelimiterIndex + HEADER_DELIMITER.length;
+    headerBuffer = headerBuffer.subarray(0, headerDelimiterIndex + HEADER_DELIMITER.length);
+
+    /*
+     * The following instruction parses the XML header into a JSON object. It is important to
+     * note that the object is a plain JavaScript object and not an instance of representative
+     * class. Hence, types are not casted, therefore all raw values are strings, and child nodes
+     * that contain an array of objects are not represented directly as an array but as an object
+     * with a property, named like the array item tag, that is an array of the actual objects. The
+     * same applies to child nodes that contain a single object and the root node.
+     *
+     * The following XML representation of the QVD header for example...
+     *
+     *  <QvdTableHeader>
+     *    ...
+     *    <Fields>
+     *      <QvdFieldHeader>
+     *        <FieldName>Field1</FieldName>
+     *        ...
+     *      </QvdFieldHeader>
+     *      <QvdFieldHeader>
+     *        <FieldName>Field1</FieldName>
+     *        ...
+     *      </QvdFieldHeader>
+     *    </Fields>
+     *  </QvdTableHeader>
+     *
+     * ...is parsed into the following object:
+     *
+     *  {
+     *    QvdTableHeader: {
+     *      ...,
+     *      Fields: {
+     *        QvdFieldHeader: [
+     *          { FieldName: 'Field1', ...},
+     *          { FieldName: 'Field2', ...}
+     *        ]
+     *      }
+     *    }
+     *  }
+     */
+
+    // A leading byte order mark is skipped by the decoder
+    const headerText = TEXT_DECODER.decode(headerBuffer.subarray(0, headerDelimiterIndex));
+    let rawHeader = null;
+    let parseError = null;
+
+    try {
+      rawHeader = await parseXml(headerText);
+    } catch (err) {
+      parseError = `The XML header could not be parsed: ${err.message.split('\n')[0]}`;
+    }
+
+    // A damaged header might still be well-formed XML, e.g. if a part at its beginning is missing
+    if (!rawHeader || !rawHeader['QvdTableHeader']) {
+      this._recover(
+        new QvdHeaderError(parseError ?? 'The XML header does not contain a QvdTableHeader element.', {
+          offset: headerBeginIndex,
+        }),
+      );
+
+      rawHeader = await QvdFileReader._salvageHeader(headerText, headerBeginIndex);
+    }
+
+    this._header = QvdFileReader._completeHeader(QvdFileReader._normalizeHeader(rawHeader['QvdTableHeader']));
+
+    this._validateHeader();
+
+    /*
+     * Because the three parts of the QVD file, header, symbol and index table, are seamlessly concatenated,
+     * the end of the respective previous part is the beginning of the next part.
+     */
+
+    this._headerOffset = headerBeginIndex;
+    this._symbolTableOffset = headerEndIndex;
+    this._indexTableOffset = this._symbolTableOffset + this._header.Offset;
+  }
+
+  /**
+   * Normalizes the raw, parsed XML header. Numeric values are parsed, and lists of child nodes,
+   * that are represented as nested objects by the XML parser, are flattened to arrays, no matter
+   * how many child nodes exist.
+   *
+   * @param {any} rawHeader The raw table header as parsed from XML.
+   * @return {QvdTableHeader} The normalized table header.
+   */
+  static _normalizeHeader(rawHeader) {
+    /**
+     * Parses a raw numeric value, empty or missing values are represented by null.
+     *
+     * @param {any} value The raw value.
+     * @return {number|null} The parsed value.
+     */
+    const toNumber = (value) => {
+      const text = toText(value).trim();
+
+      return text === '' ? null : Number(text);
+    };
+
+    /**
+     * Parses a raw textual value, missing values are represented by an empty string. The XML parser represents
+     * elements with attributes as objects, whose text is contained in the '_' property.
+     *
+     * @param {any} value The raw value.
+     * @return {string} The parsed value.
+     */
+    const toText = (value) => {
+      const text = value && typeof value === 'object' && !Array.isArray(value) ? value['_'] : value;
+
+      return typeof text === 'string' ? text : '';
+    };
+
+    /**
+     * Flattens a raw list of child nodes, named by the given tag, to an array.
+     *
+     * @param {any} value The raw parent node.
+     * @param {string} tag The tag of the child nodes.
+     * @return {Array<any>} The child nodes.
+     */
+    const toArray = (value, tag) => {
+      if (!value || typeof value !== 'object' || value[tag] === undefined) {
+        return [];
+      }
+
+      return Array.isArray(value[tag]) ? value[tag] : [value[tag]];
+    };
+
+    return {
+      QvBuildNo: toNumber(rawHeader['QvBuildNo']),
+      CreatorDoc: toText(rawHeader['CreatorDoc']),
+      CreateUtcTime: toText(rawHeader['CreateUtcTime']),
+      SourceCreateUtcTime: toText(rawHeader['SourceCreateUtcTime']),
+      SourceFileUtcTime: toText(rawHeader['SourceFileUtcTime']),
+      SourceFileSize: toNumber(rawHeader['SourceFileSize']),
+      StaleUtcTime: toText(rawHeader['StaleUtcTime']),
+      TableName: toText(rawHeader['TableName']),
+      Fields: toArray(rawHeader['Fields'], 'QvdFieldHeader').map((field) => ({
+        FieldName: toText(field['FieldName']),
+        BitOffset: toNumber(field['BitOffset']),
+        BitWidth: toNumber(field['BitWidth']),
+        Bias: toNumber(field['Bias']),
+        NumberFormat: {
+          Type: toText(field['NumberFormat']?.['Type']),
+          nDec: toNumber(field['NumberFormat']?.['nDec']),
+          UseThou: toNumber(field['NumberFormat']?.['UseThou']),
+          Fmt: toText(field['NumberFormat']?.['Fmt']),
+          Dec: toText(field['NumberFormat']?.['Dec']),
+          Thou: toText(field['NumberFormat']?.['Thou']),
+        },
+        NoOfSymbols: toNumber(field['NoOfSymbols']),
+        Offset: toNumber(field['Offset']),
+        Length: toNumber(field['Length']),
+        Comment: toText(field['Comment']),
+        Tags: toArray(field['Tags'], 'String').map(toText),
+      })),
+      Compression: toText(rawHeader['Compression']),
+      RecordByteSize: toNumber(rawHeader['RecordByteSize']),
+      NoOfRecords: toNumber(rawHeader['NoOfRecords']),
+      Offset: toNumber(rawHeader['Offset']),
+      Length: toNumber(rawHeader['Length']),
+      Comment: toText(rawHeader['Comment']),
+      EncryptionInfo: toText(rawHeader['EncryptionInfo']),
+      TableTags: toArray(rawHeader['TableTags'], 'String').map(toText),
+      ProfilingData: toText(rawHeader['ProfilingData']),
+      Lineage: toArray(rawHeader['Lineage'], 'LineageInfo').map((lineage) => ({
+        Discriminator: toText(lineage['Discriminator']),
+        Statement: toText(lineage['Statement']),
+      })),
+    };
+  }
+
+  /**
+   * Completes the layout properties of a normalized header, that some writers omit but that are implied by the
+   * remaining ones: Symbol areas are consecutive, hence a missing offset follows the previous symbol area and a
+   * missing length extends to the next symbol area. The symbol table ends after the last symbol area and the
+   * index table consists of the records. Properties that cannot be derived remain missing.
+   *
+   * @param {QvdTableHeader} header The normalized table header.
+   * @return {QvdTableHeader} The completed table header.
+   */
+  static _completeHeader(header) {
+    let symbolsOffset = 0;
+
+    header.Fields.forEach((field, fieldIndex) => {
+      field.Offset ??= symbolsOffset;
+
+      if (field.Length === null) {
+        const nextOffset = fieldIndex + 1 < header.Fields.length ? header.Fields[fieldIndex + 1].Offset : header.Offset;
+
+        field.Length = field.NoOfSymbols === 0 ? 0 : nextOffset !== null ? nextOffset - field.Offset : null;
+      }
+
+      symbolsOffset = field.Offset + (field.Length ?? NaN);
+
+      // Fields without symbols solely contain null values, hence their symbol indices take no bits
+      if (field.NoOfSymbols === 0) {
+        field.BitWidth ??= 0;
+        field.BitOffset ??= 0;
+        field.Bias ??= 0;
+      }
+    });
+
+    if (header.Offset === null && !isNaN(symbolsOffset)) {
+      header.Offset = symbolsOffset;
+    }
+
+    if (header.Length === null && header.NoOfRecords !== null && header.RecordByteSize !== null) {
+      header.Length = header.NoOfRecords * header.RecordByteSize;
+    }
+
+    return header;
+  }
+
+  /**
+   * Salvages a malformed XML header, by reducing it to its table properties and its well-formed field
+   * headers. This method is part of the lenient parsing process and should not be called directly.
+   *
+   * @param {string} headerText The malformed XML header.
+   * @param {number} headerOffset The position of the header within the QVD file.
+   * @return {Promise<any>} The raw, parsed XML header.
+   */
+  static async _salvageHeader(headerText, headerOffset) {
+    const fieldsEndIndex = headerText.lastIndexOf('</Fields>');
+    const tableBeginIndex = headerText.indexOf('<QvdTableHeader>');
+    const fieldsBeginIndex = headerText.indexOf('<Fields>');
+
+    // The table properties following the field headers are required, as these describe the binary layout
+    if (fieldsEndIndex === -1) {
+      throw new QvdHeaderError('The XML header is malformed and cannot be salvaged.', {offset: headerOffset});
+    }
+
+    const leadingProperties =
+      tableBeginIndex !== -1 && fieldsBeginIndex > tableBeginIndex
+        ? headerText.slice(tableBeginIndex + '<QvdTableHeader>'.length, fieldsBeginIndex)
+        : '';
+    const trailingProperties = headerText.slice(fieldsEndIndex + '</Fields>'.length);
+    const fieldHeaders = headerText.slice(0, fieldsEndIndex).match(/<QvdFieldHeader>[\s\S]*?<\/QvdFieldHeader>/g) ?? [];
+
+    try {
+      return await parseXml(
+        `<QvdTableHeader>${leadingProperties}<Fields>${fieldHeaders.join('')}</Fields>${trailingProperties}`,
+      );
+    } catch (err) {
+      throw new QvdHeaderError('The XML header is malformed and cannot be salvaged.', {offset: headerOffset});
+    }
+  }
+
+  /**
+   * Validates the consistency of the normalized header, i.e. that all sizes and offsets are non-negative
+   * integers, that the index table's length matches the number and size of its records, and that the
+   * symbol areas and bit ranges of the fields lie within the symbol table and the records respectively.
+   * A lenient reader omits inconsistent fields instead. This method is part of the parsing process and
+   * should not be called directly.
+   */
+  _validateHeader() {
+    if (!this._header) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    const header = this._header;
+
+    // The table properties describe the binary layout, hence these cannot be recovered from
+    [
+      ['NoOfRecords', header.NoOfRecords],
+      ['RecordByteSize', header.RecordByteSize],
+      ['Offset', header.Offset],
+      ['Length', header.Length],
+    ].forEach(([property, value]) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new QvdHeaderError(`The header property '${property}' must be a non-negative integer, got '${value}'.`);
+      }
+    });
+
+    // The records are located by their number and size, hence a lenient reader ignores the length
+    if (header.RecordByteSize * header.NoOfRecords !== header.Length) {
+      this._recover(
+        new QvdHeaderError(
+          `The index table length ${header.Length} does not match ${header.NoOfRecords} records ` +
+            `of ${header.RecordByteSize} bytes each.`,
+        ),
+      );
+    }
+
+    header.Fields = header.Fields.filter((field) => {
+      try {
+        QvdFileReader._validateFieldHeader(field, header);
+      } catch (err) {
+        if (!(err instanceof QvdHeaderError)) {
+          throw err;
+        }
+
+        this._recover(err);
+
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Validates the consistency of a single field header, see {@link QvdFileReader#_validateHeader}.
+   *
+   * @param {QvdFieldHeader} field The field header to validate.
+   * @param {QvdTableHeader} header The table header the field belongs to.
+   */
+  static _validateFieldHeader(field, header) {
+    const name = field.FieldName;
+
+    [
+      ['BitOffset', field.BitOffset],
+      ['BitWidth', field.BitWidth],
+      ['NoOfSymbols', field.NoOfSymbols],
+      ['Offset', field.Offset],
+      ['Length', field.Length],
+    ].forEach(([property, value]) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new QvdHeaderError(`The header property '${property}' must be a non-negative integer, got '${value}'.`, {
+          field: name,
+        });
+      }
+    });
+
+    if (!Number.isInteger(field.Bias)) {
+      throw new QvdHeaderError(`The header property 'Bias' must be an integer, got '${field.Bias}'.`, {field: name});
+    }
+
+    if (field.BitOffset + field.BitWidth > header.RecordByteSize * 8) {
+      throw new QvdHeaderError(
+        `The bit range ${field.BitOffset}-${field.BitOffset + field.BitWidth} exceeds the record size ` +
+          `of ${header.RecordByteSize} bytes.`,
+        {field: name},
+      );
+    }
+
+    if (field.Offset + field.Length > header.Offset) {
+      throw new QvdHeaderError(
+        `The symbol area ${field.Offset}-${field.Offset + field.Length} exceeds the symbol table length ` +
+          `of ${header.Offset} bytes.`,
+        {field: name},
+      );
+    }
+  }
+
+  /**
+   * Parses the symbol table of the QVD file. This method is part of the parsing process
+   * and should not be called directly.
+   */
+  async _parseSymbolTable() {
+    if (!this._header || !this._symbolTableOffset || !this._indexTableOffset) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    /*
+     * The symbol table is a contiguous byte array that contains all possible symbols/values of all fields/columns.
+     * The symbols/values of one field are stored consecutively in the same order as the fields/columns are defined
+     * in the header. The length of the symbol area as well as it's offset, relativ to the begin of the symbol
+     * table, are also defined in the header.
+     */
+
+    this._symbolTable = [];
+
+    // Parse all possible symbols of each selected field/column
+    for (const field of this._getFields()) {
+      let symbols;
+
+      try {
+        // Fields without symbols solely contain null values, some writers omit the length of their symbol area
+        symbols = field.NoOfSymbols === 0 ? [] : await this._parseSymbolArea(field);
+      } catch (err) {
+        if (!(err instanceof QvdSymbolTableError)) {
+          throw err;
+        }
+
+        // A lenient reader skips the whole symbol area, hence all values of the field are null
+        this._recover(err);
+        this._report?.skippedFields.push(field.FieldName);
+        symbols = [];
+      }
+
+      this._symbolTable.push(symbols);
+    }
+
+    // The symbols replacing null values are kept apart, hence the symbol indices of the QVD file remain valid
+    this._nullSymbols = this._getFields().map((field) => {
+      const replacement = getNullReplacement(this._options, field.FieldName);
+
+      return replacement === null ? null : QvdFileWriter._convertRawToSymbol(replacement);
+    });
+  }
+
+  /**
+   * Parses the symbol area of a single field/column. This method is part of the parsing process
+   * and should not be called directly.
+   *
+   * @param {QvdFieldHeader} field The header of the field/column.
+   * @return {Promise<Array<QvdSymbol>>} The symbols of the field/column.
+   */
+  async _parseSymbolArea(field) {
+    if (!this._symbolTableOffset) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    const symbolsOffset = field.Offset; // Offset of the column's symbol area in the symbol table
+    const symbolsLength = field.Length; // Length of the column's symbol area in the symbol table
+
+    // Absolute position of the field's symbol area within the QVD file
+    const areaOffset = this._symbolTableOffset + symbolsOffset;
+
+    // Only the symbol area of the field itself is read, symbol areas of unselected fields are skipped
+    const symbolBuffer = await this._readBytes(areaOffset, symbolsLength);
+
+    if (symbolBuffer.length < symbolsLength) {
+      throw new QvdSymbolTableError(
+        `The symbol area is truncated, ${symbolBuffer.length} of ${symbolsLength} bytes are present.`,
+        {offset: areaOffset + symbolBuffer.length, field: field.FieldName},
+      );
+    }
+
+    const symbolView = new DataView(symbolBuffer.buffer, symbolBuffer.byteOffset, symbolBuffer.byteLength);
+    const symbols = [];
+
+    /**
+     * Ensures that a value of the given length, beginning at the given position, lies within the symbol area.
+     *
+     * @param {number} position The position of the value's first byte.
+     * @param {number} length The length of the value in bytes.
+     */
+    const requireBytes = (position, length) => {
+      if (position + length > symbolsLength) {
+        throw new QvdSymbolTableError(`The symbol area ends within a value of ${length} bytes.`, {
+          offset: areaOffset + position,
+          field: field.FieldName,
+        });
+      }
+    };
+
+    /**
+     * Locates the terminating byte of a null terminated string, beginning at the given position.
+     *
+     * @param {number} position The position of the string's first byte.
+     * @return {number} The position of the terminating byte.
+     */
+    const findStringEnd = (position) => {
+      const terminatorIndex = symbolBuffer.indexOf(0, position);
+
+      if (terminatorIndex === -1) {
+        throw new QvdSymbolTableError('The string symbol is not terminated within the symbol area.', {
+          offset: areaOffset + position,
+          field: field.FieldName,
+        });
+      }
+
+      return terminatorIndex;
+    };
+
+    // Parse all possible values of the current field/column
+    for (let pointer = 0; pointer < symbolsLength; pointer++) {
+      // Each stored symbol consists of a type byte and the actual value, which length depends on the type
+      const typeByte = symbolBuffer[pointer++];
+
+      switch (typeByte) {
+        case 1: {
+          // Integer value (4 Bytes)
+          requireBytes(pointer, 4);
+
+          const value = symbolView.getInt32(pointer, true);
+
+          pointer += 3;
+          symbols.push(QvdSymbol.fromIntValue(value));
+
+          break;
+        }
+        case 2: {
+          // Double value (8 Bytes)
+          requireBytes(pointer, 8);
+
+          const value = symbolView.getFloat64(pointer, true);
+
+          pointer += 7;
+          symbols.push(QvdSymbol.fromDoubleValue(value));
+
+          break;
+        }
+        case 4: {
+          // String value (0 terminated)
+          const end = findStringEnd(pointer);
+          const value = TEXT_DECODER.decode(symbolBuffer.subarray(pointer, end));
+
+          pointer = end;
+          symbols.push(QvdSymbol.fromStringValue(value));
+
+          break;
+        }
+        case 5: {
+          // Dual (Integer format) value (4 bytes), followed by string format
+          requireBytes(pointer, 4);
+
+          const intValue = symbolView.getInt32(pointer, true);
+
+          pointer += 4;
+
+          const end = findStringEnd(pointer);
+          const stringValue = TEXT_DECODER.decode(symbolBuffer.subarray(pointer, end));
+
+          pointer = end;
+          symbols.push(QvdSymbol.fromDualIntValue(intValue, stringValue));
+
+          break;
+        }
+
+        case 6: {
+          // Dual (Double format) value (8 bytes), followed by string format
+          requireBytes(pointer, 8);
+
+          const doubleValue = symbolView.getFloat64(pointer, true);
+
+          pointer += 8;
+
+          const end = findStringEnd(pointer);
+          const stringValue = TEXT_DECODER.decode(symbolBuffer.subarray(pointer, end));
+
+          pointer = end;
+          symbols.push(QvdSymbol.fromDualDoubleValue(doubleValue, stringValue));
+
+          break;
+        }
+        default: {
+          throw new QvdSymbolTableError(`Unknown symbol type 0x${typeByte.toString(16).padStart(2, '0')}.`, {
+            offset: areaOffset + pointer - 1,
+            field: field.FieldName,
+          });
+        }
+      }
+    }
+
+    // The symbols are complete nevertheless, hence a lenient reader keeps them
+    if (symbols.length !== field.NoOfSymbols) {
+      this._recover(
+        new QvdSymbolTableError(
+          `The symbol area contains ${symbols.length} symbols, but ${field.NoOfSymbols} are declared.`,
+          {offset: areaOffset, field: field.FieldName},
+        ),
+      );
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Compiles the bit layout of the selected fields/columns, so that each symbol index can be extracted from
+   * the bytes of a record directly. A symbol index spans the bytes from the one containing its first bit to
+   * the one containing its last bit. This method is part of the parsing process and should not be called directly.
+   *
+   * @param {Array<QvdFieldHeader>} fields The headers of the selected fields/columns.
+   * @return {Array<{byteOffset: number, byteCount: number, bitShift: number, bitWidth: number, mask: number,
+   * bias: number}>} The compiled bit layout of each field/column.
+   */
+  static _buildIndexLayout(fields) {
+    return fields.map((field) => {
+      const bitWidth = field.BitWidth;
+      const bitShift = field.BitOffset & 7;
+
+      return {
+        byteOffset: field.BitOffset >>> 3,
+        byteCount: bitWidth === 0 ? 0 : Math.ceil((bitShift + bitWidth) / 8),
+        bitShift,
+        bitWidth,
+        mask: bitWidth >= 32 ? 0xffffffff : (1 << bitWidth) - 1,
+        bias: field.Bias,
+      };
+    });
+  }
+
+  /**
+   * Parses a single bit stuffed record of the index table. The bits of a record form a little endian bit
+   * stream, i.e. the first bit of a record is the least significant bit of its first byte. Symbol indices
+   * spanning up to four bytes are extracted with 32-bit shifts and masks, wider ones fall back to BigInt
+   * arithmetic. This method is part of the parsing process and should not be called directly.
+   *
+   * @param {Uint8Array} bytes The bytes containing the record.
+   * @param {number} position The position of the record's first byte.
+   * @param {Array<{byteOffset: number, byteCount: number, bitShift: number, bitWidth: number, mask: number,
+   * bias: number}>} layout The compiled bit layout of each field/column, see {@link QvdFileReader._buildIndexLayout}.
+   * @return {Array<number>} The symbol indices of the record, one for each field/column.
+   */
+  static _parseIndexRecord(bytes, position, layout) {
+    const symbolIndices = new Array(layout.length);
+
+    for (let fieldIndex = 0; fieldIndex < layout.length; fieldIndex++) {
+      const {byteOffset, byteCount, bitShift, bitWidth, mask, bias} = layout[fieldIndex];
+      const begin = position + byteOffset;
+      let symbolIndex = 0;
+
+      if (byteCount > 4) {
+        let bits = 0n;
+
+        for (let byte = byteCount - 1; byte >= 0; byte--) {
+          bits = (bits << 8n) | BigInt(bytes[begin + byte] ?? 0);
+        }
+
+        symbolIndex = Number((bits >> BigInt(bitShift)) & ((1n << BigInt(bitWidth)) - 1n));
+      } else if (byteCount > 0) {
+        let bits = 0;
+
+        for (let byte = byteCount - 1; byte >= 0; byte--) {
+          bits = (bits << 8) | bytes[begin + byte];
+        }
+
+        // The unsigned shift keeps indices of 32 bits non-negative
+        symbolIndex = ((bits >>> bitShift) & mask) >>> 0;
+      }
+
+      symbolIndices[fieldIndex] = symbolIndex + bias;
+    }
+
+    return symbolIndices;
+  }
+
+  /**
+   * Returns the range of records to read, according to the offset and limit options. This method is part
+   * of the parsing process and should not be called directly.
+   *
+   * @return {{firstRecordIndex: number, recordCount: number}} The index of the first record and the number
+   * of records to read.
+   */
+  _getRecordRange() {
+    if (!this._header) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    const totalRecordCount = this._header.NoOfRecords;
+    const firstRecordIndex = Math.min(Math.max(0, this._options.offset ?? 0), totalRecordCount);
+    const recordCount = Math.min(Math.max(0, this._options.limit ?? Infinity), totalRecordCount - firstRecordIndex);
+
+    return {firstRecordIndex, recordCount};
+  }
+
+  /**
+   * Parses the bit stuffed index table of the QVD file. The table is read chunk-wise from the file,
+   * hence only a bounded part of the index table is kept in memory at once. This method is part of
+   * the parsing process and should not be called directly.
+   *
+   * @return {AsyncGenerator<Array<number>>} The symbol indices of each record, one for each field/column.
+   */
+  async *_parseIndexTable() {
+    if (!this._header || !this._indexTableOffset || !this._symbolTable) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    const INDEX_CHUNK_SIZE = 1024 * 1024;
+
+    const fields = this._getFields();
+
+    // The bit layout is the same for all records, hence it is compiled only once
+    const layout = QvdFileReader._buildIndexLayout(fields);
+
+    // Size of a single row of the index table in bytes
+    const recordSize = this._header.RecordByteSize;
+
+    // Range of records to read, records before and after the range are skipped
+    const {firstRecordIndex, recordCount} = this._getRecordRange();
+
+    // Number of records that are read at once, at least a single one
+    const chunkRecordCount = Math.max(1, Math.floor(INDEX_CHUNK_SIZE / recordSize));
+
+    // Parse all rows of the index table, each row contains the indices of the symbol table for each field/column
+    for (let recordIndex = 0; recordIndex < recordCount; recordIndex += chunkRecordCount) {
+      const currentRecordCount = Math.min(chunkRecordCount, recordCount - recordIndex);
+      const chunkOffset = this._indexTableOffset + (firstRecordIndex + recordIndex) * recordSize;
+      const chunk = await this._readBytes(chunkOffset, currentRecordCount * recordSize);
+
+      // A lenient reader parses the complete records of a truncated chunk, and skips the remaining ones. Records
+      // of fields that take no bits at all are empty, the bias alone determines their values.
+      const completeRecordCount =
+        recordSize === 0 ? currentRecordCount : Math.min(currentRecordCount, Math.floor(chunk.length / recordSize));
+
+      if (completeRecordCount < currentRecordCount) {
+        this._recover(
+          new QvdIndexTableError('The index table is shorter than declared in the header.', {
+            offset: chunkOffset + chunk.length,
+          }),
+        );
+      }
+
+      for (let record = 0; record < completeRecordCount; record++) {
+        const pointer = record * recordSize;
+        const symbolIndices = QvdFileReader._parseIndexRecord(chunk, pointer, layout);
+
+        // Negative indices represent None values, all others must refer to an existing symbol. Fields without
+        // any symbol solely contain None values, no matter their bias.
+        for (let fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+          if (fields[fieldIndex].NoOfSymbols === 0) {
+            symbolIndices[fieldIndex] = -1;
+          } else if (symbolIndices[fieldIndex] >= this._symbolTable[fieldIndex].length) {
+            this._recoverSymbolIndex(
+              symbolIndices[fieldIndex],
+              fields[fieldIndex].FieldName,
+              this._symbolTable[fieldIndex].length,
+              chunkOffset + pointer,
+            );
+            symbolIndices[fieldIndex] = -1;
+          }
+        }
+
+        yield symbolIndices;
+      }
+
+      if (completeRecordCount < currentRecordCount) {
+        // The reader is lenient, as it would have thrown above otherwise, hence the report exists
+        /** @type {QvdRecoveryReport} */ (this._report).skippedRecords =
+          recordCount - recordIndex - completeRecordCount;
+
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handles a symbol index, that exceeds the symbols of its field/column. A lenient reader replaces the
+   * index by null and reports the first out-of-range index of each field/column only, but counts all of
+   * them. This method is part of the parsing process and should not be called directly.
+   *
+   * @param {number} symbolIndex The out-of-range symbol index.
+   * @param {string} field The name of the field/column.
+   * @param {number} symbolCount The number of symbols of the field/column.
+   * @param {number} offset The position of the record within the QVD file.
+   */
+  _recoverSymbolIndex(symbolIndex, field, symbolCount, offset) {
+    const count = this._report?.nullifiedIndices[field] ?? 0;
+
+    if (count === 0) {
+      this._recover(
+        new QvdIndexTableError(`The symbol index ${symbolIndex} exceeds the ${symbolCount} symbols of the field.`, {
+          offset,
+          field,
+        }),
+      );
+    }
+
+    // The reader is lenient, as it would have thrown above otherwise, hence the report exists
+    /** @type {QvdRecoveryReport} */ (this._report).nullifiedIndices[field] = count + 1;
+  }
+
+  /**
+   * Resolves the symbol indices of a record to the actual values. Values are in the same order
+   * as the field names. This method is part of the parsing process and should not be called directly.
+   *
+   * @param {Array<number>} symbolIndices The symbol indices of the record.
+   * @param {Array<QvdFieldHeader>} fields The headers of the selected fields/columns.
+   * @return {Array<any>} The values of the row.
+   */
+  _getRow(symbolIndices, fields) {
+    const symbolTable = this._symbolTable;
+    const nullSymbols = this._nullSymbols;
+
+    if (!symbolTable || !nullSymbols) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    return symbolIndices.map((symbolIndex, fieldIndex) => {
+      // Negative symbol indices represent Qlik's NULL, which is distinct from any value, including empty texts
+      if (symbolIndex < 0) {
+        const nullSymbol = nullSymbols[fieldIndex];
+
+        return nullSymbol ? this._decodeSymbol(nullSymbol, fields[fieldIndex]) : null;
+      }
+
+      return this._decodeSymbol(symbolTable[fieldIndex][symbolIndex], fields[fieldIndex]);
+    });
+  }
+
+  /**
+   * Decodes a single symbol to the value it is loaded as, depending on the options of the reader. This
+   * method is part of the parsing process and should not be called directly.
+   *
+   * @param {QvdSymbol} symbol The symbol to decode.
+   * @param {QvdFieldHeader} field The header of the symbol's field/column.
+   * @return {any} The decoded value.
+   */
+  _decodeSymbol(symbol, field) {
+    if (this._options.preserveSymbols) {
+      return symbol;
+    }
+
+    // Dates are stored as serial numbers, the date format is only declared in the field's header
+    if (this._options.convertDates && ['DATE', 'TIMESTAMP'].includes(field.NumberFormat.Type)) {
+      const date = symbol.toDateValue();
+
+      if (date !== null) {
+        return date;
+      }
+    }
+
+    return toLoadedValue(symbol.toPrimaryValue());
+  }
+
+  /**
+   * Returns the headers of the selected fields/columns of the parsed QVD file, in the order
+   * of the column selection.
+   *
+   * @return {Array<QvdFieldHeader>} The headers of the selected fields/columns.
+   */
+  _getFields() {
+    if (!this._header) {
+      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+    }
+
+    const fields = this._header.Fields;
+
+    if (!this._options.columns) {
+      return fields;
+    }
+
+    return this._options.columns.map((column) => {
+      const field = fields.find((field) => field.FieldName === column);
+
+      if (!field) {
+        throw new Error(`The column '${column}' does not exist in the QVD file.`);
+      }
+
+      return field;
+    });
+  }
+
+  /**
+   * Returns the names of the selected fields/columns of the parsed QVD file.
+   *
+   * @return {Array<string>} The names of the fields/columns.
+   */
+  _getColumns() {
+    return this._getFields().map((field) => field.FieldName);
+  }
+
+  /**
+   * Iterates lazily over the rows of the QVD file. In contrast to {@link QvdFileReader#load}, the
+   * rows are not materialised at once. Only the header and the symbol table are kept in memory,
+   * the index table is read chunk-wise while iterating. Values are in the same order as the field names.
+   *
+   * @return {AsyncGenerator<Array<any>>} The rows of the QVD file.
+   */
+  async *rows() {
+    await this._openFile();
+
+    try {
+      await this._parseHeader();
+      await this._parseSymbolTable();
+
+      const fields = this._getFields();
+
+      for await (const symbolIndices of this._parseIndexTable()) {
+        yield this._getRow(symbolIndices, fields);
+      }
+    } finally {
+      await this._closeFile();
+    }
+  }
+
+  /**
+   * Reads the metadata of a QVD file. In contrast to {@link QvdFileReader#load}, only the XML header
+   * is read, the symbol and index table are skipped.
+   *
+   * @param {string|Uint8Array} source The path to the QVD file or the bytes of the QVD file itself.
+   * @param {Object} [options] The options of the parser.
+   * @param {boolean} [options.lenient] Whether to salvage a malformed header, see {@link QvdFileReader#report}.
+   * @return {Promise<QvdTableHeader>} The header of the QVD file.
+   */
+  static async readMetadata(source, options = {}) {
+    const reader = new QvdFileReader(source, {lenient: options.lenient});
+    await reader._openFile();
+
+    try {
+      await reader._parseHeader();
+    } finally {
+      await reader._closeFile();
+    }
+
+    return reader._header;
+  }
+
+  /**
+   * Counts the null values of each field/column of a QVD file. The header does not record null counts, hence
+   * the index table is read chunk-wise, but no value is decoded. A field without symbols solely contains null
+   * values, otherwise null values are represented by symbol indices that the field's bias shifts below zero.
+   *
+   * @param {string|Uint8Array} source The path to the QVD file or the bytes of the QVD file itself.
+   * @param {Object} [options] The options of the parser.
+   * @param {Array<string>} [options.columns] The names of the columns to count, defaults to all columns.
+   * @param {boolean} [options.lenient] Whether to count the nulls of a damaged QVD file, see
+   * {@link QvdFileReader#report}. Recovered values count as null.
+   * @return {Promise<Object<string, number>>} The number of null values, keyed by the column name.
+   */
+  static async readNullCounts(source, options = {}) {
+    const reader = new QvdFileReader(source, {columns: options.columns, lenient: options.lenient});
+    await reader._openFile();
+
+    try {
+      await reader._parseHeader();
+      await reader._parseSymbolTable();
+
+      const counts = new Array(reader._getFields().length).fill(0);
+
+      for await (const symbolIndices of reader._parseIndexTable()) {
+        symbolIndices.forEach((symbolIndex, fieldIndex) => {
+          if (symbolIndex < 0) {
+            counts[fieldIndex]++;
+          }
+        });
+      }
+
+      return Object.fromEntries(reader._getColumns().map((column, index) => [column, counts[index]]));
+    } finally {
+      await reader._closeFile();
+    }
+  }
+
+  /**
+   * Creates a readable stream in object mode, that emits the rows of the QVD file one by one.
+   * See {@link QvdFileReader#rows} for details.
+   *
+   * @return {Readable} The stream of rows.
+   */
+  stream() {
+    return createReadable(this.rows());
+  }
+
+  /**
+   * Loads the QVD file into memory and parses it. The data frame is columnar, i.e. each column is kept as its
+   * symbols along with a typed array of symbol indices, and values are decoded lazily on access.
+   *
+   * @return {Promise<QvdDataFrame>} The loaded QVD file.
+   */
+  async load() {
+    await this._openFile();
+
+    try {
+      await this._parseHeader();
+      await this._parseSymbolTable();
+
+      const fields = this._getFields();
+      const nullSymbols = /** @type {Array<QvdSymbol|null>} */ (this._nullSymbols);
+      const nullIndices = new Int32Array(fields.length).fill(-1);
+
+      // A symbol replacing null values is merged with an equal symbol of the field, like Qlik's NullAsValue does
+      const symbolTable = /** @type {Array<Array<QvdSymbol>>} */ (this._symbolTable).map((symbols, fieldIndex) => {
+        const nullSymbol = nullSymbols[fieldIndex];
+
+        if (!nullSymbol) {
+          return symbols;
+        }
+
+        const key = QvdFileWriter._convertSymbolToKey(nullSymbol);
+
+        nullIndices[fieldIndex] = symbols.findIndex((symbol) => QvdFileWriter._convertSymbolToKey(symbol) === key);
+
+        if (nullIndices[fieldIndex] === -1) {
+          nullIndices[fieldIndex] = symbols.length;
+
+          return [...symbols, nullSymbol];
+        }
+
+        return symbols;
+      });
+      const {recordCount} = this._getRecordRange();
+      const indices = fields.map((_, fieldIndex) =>
+        QvdSymbolColumn.allocateIndices(recordCount, symbolTable[fieldIndex].length),
+      );
+      let rowCount = 0;
+
+      for await (const symbolIndices of this._parseIndexTable()) {
+        for (let fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+          const symbolIndex = symbolIndices[fieldIndex];
+
+          indices[fieldIndex][rowCount] = symbolIndex < 0 ? nullIndices[fieldIndex] : symbolIndex;
+        }
+
+        rowCount++;
+      }
+
+      // A lenient reader might have skipped incomplete records at the end of the index table
+      const store = fields.map(
+        (field, fieldIndex) =>
+          new QvdSymbolColumn(symbolTable[fieldIndex], indices[fieldIndex].subarray(0, rowCount), (symbol) =>
+            this._decodeSymbol(symbol, field),
+          ),
+      );
+
+      return QvdDataFrame._fromColumnStore(rowCount, store, this._getColumns(), this._header);
+    } finally {
+      await this._closeFile();
+    }
+  }
+}
+
+/**
+ * Persists a QVD file to disk.
+ */
+export class QvdFileWriter {
+  /**
+   * Constructs a new QVD file writer.
+   *
+   * The optional schema declares the storage type, the number format, the comment and the tags of
+   * each field/column, keyed by the column name. Columns without declared type are stored with a
+   * storage type inferred from each value. Values that do not match the declared type are rejected.
+   *
+   * @param {string|null} path The path to the QVD file to write, or null if the QVD file is only
+   * serialized to bytes, see {@link QvdFileWriter#toBuffer}.
+   * @param {QvdDataFrame} df The data frame to write to the QVD file.
+   * @param {Object} [options] The options of the writer.
+   * @param {Object<string, QvdFieldSchema>} [options.schema] The schema of the fields/columns.
+   * @param {boolean} [options.compact] Whether to minimize the size of the QVD file the way Qlik does, defaults
+   * to false. Numbers without declared type are stored as pure integer or double symbols instead of dual ones,
+   * and fields/columns that solely contain a single value or solely null values take no bits in the index table.
+   * @param {string} [options.symbolOrder] The order of the symbols within each symbol area, either 'load', i.e.
+   * in order of their first occurrence, or 'ascending', i.e. numbers in ascending order followed by texts in
+   * ascending order. Defaults to 'load'.
+   * @param {boolean|Array<string>} [options.nullAsValue] The fields/columns, whose null values are stored as the
+   * null value instead, or true for all fields/columns. Like Qlik's NullAsValue statement, the QVD file does not
+   * contain null values for these fields/columns. Defaults to none, i.e. null values are stored as null.
+   * @param {string} [options.nullValue] The value that replaces null values, defaults to an empty text. It must
+   * match the declared storage type of the field/column, if any.
+   */
+  constructor(path, df, options = {}) {
+    this._path = path;
+    this._df = df;
+    this._schema = QvdFileWriter._validateSchema(options.schema ?? {}, df.columns);
+    this._compact = options.compact ?? false;
+    this._symbolOrder = QvdFileWriter._validateSymbolOrder(options.symbolOrder ?? 'load');
+    this._nullReplacements = df.columns.map((column) => getNullReplacement(options, column));
+    this._statistics = null;
+    this._header = null;
+    this._symbolBuffer = null;
+    this._symbolTable = null;
+    this._symbolTableMetadata = null;
+    this._indexBuffer = null;
+    this._indexTable = null;
+    this._indexTableMetadata = null;
+    this._recordByteSize = null;
+  }
+
+  /**
+   * Returns the size statistics of the written QVD file, or null if it has not been written yet.
+   *
+   * @return {QvdWriteStatistics|null} The size statistics.
+   */
+  get statistics() {
+    return this._statistics;
+  }
+
+  /**
+   * Serializes the built header, symbol table and index table to the consecutive parts of the QVD file.
+   *
+   * @return {Array<Uint8Array>} The header, the symbol table and the index table.
+   */
+  _serializeData() {
+    if (!this._header) {
+      throw new Error('The QVD file header has not been built.');
+    }
+
+    if (!this._symbolBuffer) {
+      throw new Error('The QVD file symbol table has not been built.');
+    }
+
+    if (!this._indexBuffer) {
+      throw new Error('The QVD file index table has not been built.');
+    }
+
+    const headerBuffer = concatBytes([TEXT_ENCODER.encode(this._header), Uint8Array.of(0)]);
+
+    return [headerBuffer, this._symbolBuffer, this._indexBuffer];
+  }
+
+  /**
+   * Writes the data to the QVD file.
+   */
+  _writeData() {
+    if (!this._path) {
+      throw new Error('The path to the QVD file is missing.');
+    }
+
+    writeFileSync(this._path, this._serializeData());
+  }
+
+  /**
+   * Builds the XML header of the QVD file.
+   */
+  _buildHeader() {
+    const metadata = this._df.metadata ?? {};
+
+    this._header = QvdFileWriter._buildHeaderXml(
+      QvdFileWriter._getTableName(this._path),
+      this._df.columns.map((column, index) => ({
+        ...QvdFileWriter._buildFieldMetadata(
+          column,
+          this._schema[column],
+          metadata,
+          this._symbolTableMetadata?.[index][3],
+        ),
+        FieldName: column,
+        BitOffset: this._indexTableMetadata?.[index][0],
+        BitWidth: this._indexTableMetadata?.[index][1],
+        Bias: this._indexTableMetadata?.[index][2],
+        NoOfSymbols: this._symbolTable?.[index].length,
+        Offset: this._symbolTableMetadata?.[index][0],
+        Length: this._symbolTableMetadata?.[index][1],
+      })),
+      this._df.shape[0],
+      this._recordByteSize,
+      this._symbolTableMetadata?.[this._symbolTableMetadata.length - 1][0] +
+        this._symbolTableMetadata?.[this._symbolTableMetadata.length - 1][1],
+      this._indexBuffer?.length,
+      metadata,
+    );
+  }
+
+  /**
+   * Builds the XML representation of a QVD file header.
+   *
+   * @param {string} tableName The name of the table.
+   * @param {Array<object>} fields The layout of each field, containing the field name, the bit offset, bit width
+   * and bias within the index table, the number of symbols, offset and length within the symbol table as well as
+   * the number format, comment and tags.
+   * @param {number|undefined} noOfRecords The number of records.
+   * @param {number|null} recordByteSize The size of a single record of the index table in bytes.
+   * @param {number} offset The offset of the index table, relative to the begin of the symbol table.
+   * @param {number|undefined} length The length of the index table in bytes.
+   * @param {Partial<QvdTableHeader>} [metadata] The table metadata to preserve, e.g. the table name, comment, tags,
+   * lineage and creator information.
+   * @return {string} The XML header, including the trailing line break.
+   */
+  static _buildHeaderXml(tableName, fields, noOfRecords, recordByteSize, offset, length, metadata = {}) {
+    const creationDate = new Date().toISOString().replace(/T/, ' ').replace(/\..+/, '');
+
+    const xmlObject = {
+      QvdTableHeader: {
+        QvBuildNo: metadata.QvBuildNo ?? 50667,
+        CreatorDoc: metadata.CreatorDoc || randomUUID(),
+        CreateUtcTime: creationDate,
+        SourceCreateUtcTime: metadata.SourceCreateUtcTime ?? '',
+        SourceFileUtcTime: metadata.SourceFileUtcTime ?? '',
+        SourceFileSize: metadata.SourceFileSize ?? -1,
+        StaleUtcTime: metadata.StaleUtcTime ?? '',
+        TableName: metadata.TableName || tableName,
+        Fields: {
+          QvdFieldHeader: fields.map((field) => {
+            return {
+              FieldName: field.FieldName,
+              BitOffset: field.BitOffset,
+              BitWidth: field.BitWidth,
+              Bias: field.Bias,
+              NoOfSymbols: field.NoOfSymbols,
+              Offset: field.Offset,
+              Length: field.Length,
+              Comment: field.Comment ?? '',
+              NumberFormat: field.NumberFormat,
+              Tags: field.Tags?.length ? {String: field.Tags} : {},
+            };
+          }),
+        },
+        NoOfRecords: noOfRecords,
+        RecordByteSize: recordByteSize,
+        Offset: offset,
+        Length: length,
+        Compression: '',
+        Comment: metadata.Comment ?? '',
+        EncryptionInfo: metadata.EncryptionInfo ?? '',
+        TableTags: metadata.TableTags?.length ? {String: metadata.TableTags} : '',
+        ProfilingData: metadata.ProfilingData ?? '',
+        Lineage: {
+          LineageInfo: metadata.Lineage?.length
+            ? metadata.Lineage.map((lineage) => ({
+                Discriminator: lineage.Discriminator ?? '',
+                Statement: lineage.Statement ?? '',
+              }))
+            : {
+                Discriminator: 'INLINE;',
+                Statement: '',
+              },
+        },
+      },
+    };
+
+    return buildXml(xmlObject) + '\r\n';
+  }
+
+  /**
+   * Derives the default table name from the path of the QVD file, i.e. its base name without extension.
+   *
+   * @param {string|null} filePath The path to the QVD file, or null if the QVD file is only serialized to bytes.
+   * @return {string} The table name.
+   */
+  static _getTableName(filePath) {
+    if (!filePath) {
+      return 'Table';
+    }
+
+    return (filePath.split(/[\\/]/).pop() ?? '').replace(/(.)\.[^.]*$/, '$1');
+  }
+
+  /**
+   * Builds the descriptive metadata of a field/column, i.e. its number format, comment and tags. The
+   * declared schema takes precedence over the preserved metadata, which takes precedence over the
+   * metadata inferred from the values.
+   *
+   * @param {string} column The name of the column.
+   * @param {QvdFieldSchema|undefined} schema The declared schema of the column.
+   * @param {Partial<QvdTableHeader>} metadata The preserved table metadata.
+   * @param {string|null|undefined} numberFormatType The inferred number format type.
+   * @return {{NumberFormat: object, Comment: string, Tags: Array<string>}} The field's metadata.
+   */
+  static _buildFieldMetadata(column, schema, metadata, numberFormatType) {
+    const fieldMetadata = metadata.Fields?.find((field) => field.FieldName === column);
+
+    // Unset properties of the preserved number format are omitted, hence the defaults apply
+    const preservedFormat = Object.fromEntries(
+      Object.entries(fieldMetadata?.NumberFormat ?? {}).filter(([, value]) => value !== null && value !== undefined),
+    );
+
+    return {
+      NumberFormat: QvdFileWriter._buildNumberFormat(numberFormatType, {...preservedFormat, ...schema?.numberFormat}),
+      Comment: schema?.comment ?? fieldMetadata?.Comment ?? '',
+      Tags: schema?.tags ?? fieldMetadata?.Tags ?? [],
+    };
+  }
+
+  /**
+   * Builds the symbol table of the QVD file. Each distinct value is converted to a symbol only once, the
+   * symbol indices of all values are looked up in hash maps and kept for building the index table.
+   */
+  _buildSymbolTable() {
+    const rowCount = this._df.shape[0];
+
+    const symbolBuffer = new ByteBuffer();
+
+    this._symbolTable = [];
+    this._symbolTableMetadata = [];
+    this._indexTable = [];
+
+    this._df.columns.forEach((column, columnIndex) => {
+      const type = this._schema[column]?.type;
+      const nullReplacement = this._nullReplacements[columnIndex];
+      const symbols = [];
+      const symbolIndices = new Int32Array(rowCount);
+
+      // Raw values are mapped to their symbol index first, distinct raw values might still represent the
+      // same symbol, e.g. distinct date instances of the same day, hence symbols are mapped by value as well.
+      // Inferred symbols of distinct numbers and strings are always distinct, hence these are mapped only once.
+      const rawDictionary = new Map();
+      const symbolDictionary = new Map();
+      const symbolsOffset = symbolBuffer.length;
+      let containsNull = false;
+      let numberFormatType = null;
+
+      const symbolColumn = this._df._columnStore?.columns[columnIndex];
+
+      // The symbols of a columnar data frame are persisted as they are, solely the referenced ones are kept
+      if (symbolColumn && type === undefined && nullReplacement === null) {
+        const remappedIndices = new Int32Array(symbolColumn.symbols.length).fill(-1);
+
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+          const originalIndex = symbolColumn.indices[rowIndex];
+          let symbolIndex = -1;
+
+          if (originalIndex < 0) {
+            containsNull = true;
+          } else {
+            symbolIndex = remappedIndices[originalIndex];
+
+            if (symbolIndex === -1) {
+              const symbol = symbolColumn.symbols[originalIndex];
+
+              if (this._compact) {
+                // Compacted symbols might coincide with other symbols, e.g. a dual and a pure integer of the same
+                // number, hence they are mapped by value
+                const compactSymbol = QvdFileWriter._compactSymbol(symbol);
+                const key = QvdFileWriter._convertSymbolToKey(compactSymbol);
+
+                symbolIndex = symbolDictionary.get(key) ?? symbols.length;
+
+                if (symbolIndex === symbols.length) {
+                  symbolDictionary.set(key, symbolIndex);
+                  symbols.push(compactSymbol);
+                }
+              } else {
+                symbolIndex = symbols.length;
+                symbols.push(symbol);
+              }
+
+              remappedIndices[originalIndex] = symbolIndex;
+            }
+          }
+
+          symbolIndices[rowIndex] = symbolIndex;
+        }
+      } else {
+        const data = symbolColumn ? null : this._df.data;
+
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+          const raw = data ? data[rowIndex][columnIndex] : symbolColumn?.get(rowIndex);
+          const value = nullReplacement === null ? raw : raw ?? nullReplacement;
+          let symbolIndex = rawDictionary.get(value);
+
+          if (symbolIndex === undefined) {
+            QvdFileWriter._validateRaw(value, column, type);
+            numberFormatType = QvdFileWriter._mergeNumberFormatType(numberFormatType, value, type);
+
+            const symbol = QvdFileWriter._convertRawToSymbol(value, type, this._compact);
+
+            // None values are represented by a negative index, until the bias of the column is known
+            if (symbol === null) {
+              containsNull = true;
+              symbolIndex = -1;
+            } else {
+              const isDistinct = type === undefined && (typeof value === 'number' || typeof value === 'string');
+              const key = isDistinct ? null : QvdFileWriter._convertSymbolToKey(symbol);
+
+              symbolIndex = isDistinct ? undefined : symbolDictionary.get(key);
+
+              if (symbolIndex === undefined) {
+                symbolIndex = symbols.length;
+                symbols.push(symbol);
+
+                if (!isDistinct) {
+                  symbolDictionary.set(key, symbolIndex);
+                }
+              }
+            }
+
+            rawDictionary.set(value, symbolIndex);
+          }
+
+          symbolIndices[rowIndex] = symbolIndex;
+        }
+      }
+
+      if (this._symbolOrder === 'ascending') {
+        const ranks = QvdFileWriter._sortSymbols(symbols);
+
+        symbolIndices.forEach((symbolIndex, rowIndex) => {
+          if (symbolIndex >= 0) {
+            symbolIndices[rowIndex] = ranks[symbolIndex];
+          }
+        });
+      }
+
+      symbols.forEach((symbol) => symbol._writeByteRepresentation(symbolBuffer));
+
+      this._symbolTable?.push(symbols);
+      this._symbolTableMetadata?.push([
+        symbolsOffset,
+        symbolBuffer.length - symbolsOffset,
+        containsNull,
+        numberFormatType,
+      ]);
+      this._indexTable?.push(symbolIndices);
+    });
+
+    this._symbolBuffer = symbolBuffer.toBytes();
+  }
+
+  /**
+   * Builds the index table of the QVD file. The symbol indices, which are looked up while building the
+   * symbol table, are packed directly into a preallocated buffer.
+   */
+  _buildIndexTable() {
+    const symbolTable = this._symbolTable;
+
+    if (!this._indexTable || !symbolTable || !this._symbolTableMetadata) {
+      throw new Error('The QVD file symbol table has not been built.');
+    }
+
+    const rowCount = this._df.shape[0];
+    let bitOffset = 0;
+
+    this._indexTableMetadata = this._symbolTableMetadata.map(([, , containsNull], columnIndex) => {
+      const {bitWidth, bias} = QvdFileWriter._buildFieldLayout(
+        symbolTable[columnIndex].length,
+        containsNull,
+        this._compact,
+        QvdFileWriter._getPreservedBias(this._df.metadata, this._df.columns[columnIndex]),
+      );
+      const layout = [bitOffset, bitWidth, bias];
+
+      bitOffset += bitWidth;
+
+      return layout;
+    });
+
+    this._recordByteSize = Math.ceil(bitOffset / 8);
+    this._indexBuffer = new Uint8Array(rowCount * this._recordByteSize);
+
+    for (let columnIndex = 0; columnIndex < this._indexTableMetadata.length; columnIndex++) {
+      const [bitOffset, bitWidth, bias] = this._indexTableMetadata[columnIndex];
+      const symbolIndices = this._indexTable[columnIndex];
+
+      for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+        const symbolIndex = symbolIndices[rowIndex];
+
+        QvdFileWriter._packIndex(
+          this._indexBuffer,
+          rowIndex * this._recordByteSize,
+          bitOffset,
+          bitWidth,
+          symbolIndex === -1 ? 0 : symbolIndex - bias,
+        );
+      }
+    }
+  }
+
+  /**
+   * Reduces a dual symbol, whose text is solely the default representation of its number, to a pure integer or
+   * double symbol, the way numbers without declared type are stored in compact mode. Other symbols are kept.
+   *
+   * @param {QvdSymbol} symbol The symbol to reduce.
+   * @return {QvdSymbol} The reduced symbol.
+   */
+  static _compactSymbol(symbol) {
+    const number = symbol.intValue ?? symbol.doubleValue;
+
+    if (null == number || null == symbol.stringValue || symbol.stringValue !== String(number)) {
+      return symbol;
+    }
+
+    return /** @type {QvdSymbol} */ (QvdFileWriter._convertRawToSymbol(number, undefined, true));
+  }
+
+  /**
+   * Returns the bias of a field/column, that is preserved by the table metadata, e.g. of a loaded QVD file.
+   *
+   * @param {Partial<QvdTableHeader>|null|undefined} metadata The preserved table metadata.
+   * @param {string} column The name of the column.
+   * @return {number|null} The preserved bias, or null if there is none.
+   */
+  static _getPreservedBias(metadata, column) {
+    return metadata?.Fields?.find((field) => field.FieldName === column)?.Bias ?? null;
+  }
+
+  /**
+   * Computes the bit width and the bias of a field/column within the index table. A preserved bias is kept,
+   * as long as it is able to represent the values of the field/column, i.e. it must not be positive and must
+   * be negative if the field/column contains null values.
+   *
+   * @param {number} symbolCount The number of symbols of the field/column.
+   * @param {boolean} containsNull Whether the field/column contains null values.
+   * @param {boolean} compact Whether fields/columns with a single value or solely null values take no bits.
+   * @param {number|null} [preservedBias] The bias of the field/column in the QVD file it has been loaded from.
+   * @return {{bitWidth: number, bias: number}} The bit width and the bias.
+   */
+  static _buildFieldLayout(symbolCount, containsNull, compact, preservedBias = null) {
+    // In order to represent None values, the indices are shifted by the bias value of the column
+    let bias = containsNull ? -2 : 0;
+
+    if (preservedBias !== null && Number.isInteger(preservedBias) && preservedBias <= 0) {
+      bias = preservedBias < 0 || !containsNull ? preservedBias : bias;
+    }
+
+    // Like Qlik, the bias alone determines the value of a field, that is either constant or solely null
+    if (compact && symbolCount === 0) {
+      return {bitWidth: 0, bias};
+    }
+
+    if (compact && symbolCount === 1 && !containsNull) {
+      return {bitWidth: 0, bias: 0};
+    }
+
+    const maxIndex = Math.max(0, symbolCount - 1 - bias);
+
+    return {bitWidth: maxIndex.toString(2).length, bias};
+  }
+
+  /**
+   * Sorts the symbols of a field/column in ascending order, in place. Numbers, including dual values, are
+   * sorted by their numeric value and precede texts, which are sorted by their code units.
+   *
+   * @param {Array<QvdSymbol>} symbols The symbols to sort.
+   * @return {Int32Array} The new index of each symbol, indexed by its previous index.
+   */
+  static _sortSymbols(symbols) {
+    const order = symbols
+      .map((_, index) => index)
+      .sort((left, right) => {
+        const leftNumber = symbols[left].intValue ?? symbols[left].doubleValue;
+        const rightNumber = symbols[right].intValue ?? symbols[right].doubleValue;
+
+        if ((null == leftNumber) !== (null == rightNumber)) {
+          return null == leftNumber ? 1 : -1;
+        }
+
+        if (null != leftNumber && null != rightNumber && leftNumber !== rightNumber) {
+          return leftNumber < rightNumber ? -1 : 1;
+        }
+
+        const leftText = symbols[left].stringValue ?? '';
+        const rightText = symbols[right].stringValue ?? '';
+
+        return leftText < rightText ? -1 : leftText > rightText ? 1 : 0;
+      });
+
+    const sortedSymbols = order.map((index) => symbols[index]);
+    const ranks = new Int32Array(symbols.length);
+
+    order.forEach((index, rank) => {
+      ranks[index] = rank;
+      symbols[rank] = sortedSymbols[rank];
+    });
+
+    return ranks;
+  }
+
+  /**
+   * Validates the order of the symbols within each symbol area.
+   *
+   * @param {string} symbolOrder The order to validate.
+   * @return {string} The validated order.
+   */
+  static _validateSymbolOrder(symbolOrder) {
+    if (symbolOrder !== 'load' && symbolOrder !== 'ascending') {
+      throw new Error(`Unknown symbol order '${symbolOrder}', expected 'load' or 'ascending'.`);
+    }
+
+    return symbolOrder;
+  }
+
+  /**
+   * Builds the size statistics of a written QVD file.
+   *
+   * @param {number} headerSize The size of the header in bytes, including its terminating null byte.
+   * @param {number} recordCount The number of records.
+   * @param {number} recordByteSize The size of a single record of the index table in bytes.
+   * @param {Array<{name: string, symbolCount: number, symbolTableSize: number, bitWidth: number, bias: number}>}
+   * fields The size statistics of each field/column.
+   * @return {QvdWriteStatistics} The size statistics.
+   */
+  static _buildStatistics(headerSize, recordCount, recordByteSize, fields) {
+    const symbolTableSize = fields.reduce((size, field) => size + field.symbolTableSize, 0);
+    const indexTableSize = recordCount * recordByteSize;
+
+    return {
+      fileSize: headerSize + symbolTableSize + indexTableSize,
+      headerSize,
+      symbolTableSize,
+      indexTableSize,
+      recordCount,
+      recordByteSize,
+      fields,
+    };
+  }
+
+  /**
+   * Packs a single symbol index into a record of the bit stuffed index table. The bits of a record form a
+   * little endian bit stream, i.e. the first bit of a record is the least significant bit of its first byte.
+   *
+   * @param {Uint8Array} bytes The bytes containing the record, the bits of the index must be unset.
+   * @param {number} position The position of the record's first byte.
+   * @param {number} bitOffset The offset of the index within the record in bits.
+   * @param {number} bitWidth The width of the index in bits.
+   * @param {number} value The non-negative index to pack.
+   */
+  static _packIndex(bytes, position, bitOffset, bitWidth, value) {
+    let bytePosition = position + (bitOffset >>> 3);
+    let bitShift = bitOffset & 7;
+    let remainingValue = value;
+    let remainingBits = bitWidth;
+
+    while (remainingBits > 0 && remainingValue > 0) {
+      const capacity = 8 - bitShift;
+      const divisor = 1 << capacity;
+
+      bytes[bytePosition++] |= remainingValue % divisor << bitShift;
+      remainingValue = Math.floor(remainingValue / divisor);
+      remainingBits -= capacity;
+      bitShift = 0;
+    }
+  }
+
+  /**
+   * Validates the schema of the fields/columns to write.
+   *
+   * @param {Object<string, QvdFieldSchema>} schema The schema to validate.
+   * @param {Array<string>} columns The columns of the data to write.
+   * @return {Object<string, QvdFieldSchema>} The validated schema.
+   */
+  static _validateSchema(schema, columns) {
+    Object.entries(schema).forEach(([column, fieldSchema]) => {
+      if (!columns.includes(column)) {
+        throw new Error(`The schema declares the column '${column}', which does not exist.`);
+      }
+
+      if (fieldSchema.type !== undefined && !QVD_STORAGE_TYPES.includes(fieldSchema.type)) {
+        throw new Error(`The schema declares the unknown type '${fieldSchema.type}' for column '${column}'.`);
+      }
+    });
+
+    return schema;
+  }
+
+  /**
+   * Validates a raw value/literal against the declared storage type of its field/column.
+   *
+   * @param {any} raw The raw value/literal to validate.
+   * @param {string} column The name of the column.
+   * @param {string} [type] The declared storage type, any raw value is valid if omitted.
+   */
+  static _validateRaw(raw, column, type) {
+    if (raw === null || raw === undefined || type === undefined) {
+      return;
+    }
+
+    const isNumber = typeof raw === 'number';
+    const isInt32 = isNumber && Number.isInteger(raw) && raw >= -2147483648 && raw <= 2147483647;
+    const isDate = raw instanceof Date && !isNaN(raw.getTime());
+
+    let isValid;
+
+    if (raw instanceof QvdSymbol) {
+      isValid = QvdFileWriter._getSymbolType(raw) === type;
+    } else {
+      switch (type) {
+        case 'integer':
+        case 'dualInteger':
+          isValid = isInt32;
+          break;
+        case 'double':
+        case 'dualDouble':
+          isValid = isNumber;
+          break;
+        case 'string':
+          isValid = isNumber || typeof raw === 'string';
+          break;
+        case 'date':
+          isValid = isDate && (raw.getTime() - QLIK_EPOCH) % MILLISECONDS_PER_DAY === 0;
+          break;
+        case 'timestamp':
+          isValid = isDate;
+          break;
+        default:
+          isValid = false;
+      }
+    }
+
+    if (!isValid) {
+      throw new Error(`The value '${raw}' of column '${column}' does not match the declared type '${type}'.`);
+    }
+  }
+
+  /**
+   * Determines the storage type of a QVD symbol.
+   *
+   * @param {QvdSymbol} symbol The symbol.
+   * @return {string} The storage type.
+   */
+  static _getSymbolType(symbol) {
+    if (null != symbol.intValue && null != symbol.stringValue) {
+      return 'dualInteger';
+    } else if (null != symbol.doubleValue && null != symbol.stringValue) {
+      return 'dualDouble';
+    } else if (null != symbol.intValue) {
+      return 'integer';
+    } else if (null != symbol.doubleValue) {
+      return 'double';
+    } else {
+      return 'string';
+    }
+  }
+
+  /**
+   * Converts a raw value/literal to a QVD symbol. If a storage type is declared, the raw value
+   * must have been validated against it before, see {@link QvdFileWriter._validateRaw}.
+   *
+   * @param {any} raw The raw value/literal to convert.
+   * @param {string} [type] The declared storage type, inferred from the raw value if omitted.
+   * @param {boolean} [compact] Whether to infer pure integer and double symbols for numbers instead of dual ones,
+   * as the text of a number is solely its default representation.
+   * @return {QvdSymbol|null} The converted QVD symbol.
+   */
+  static _convertRawToSymbol(raw, type = undefined, compact = false) {
+    if (raw === null || raw === undefined) {
+      return null;
+    }
+
+    // Symbols are persisted as they are, including their original type
+    if (raw instanceof QvdSymbol) {
+      return raw;
+    }
+
+    switch (type) {
+      case 'integer':
+        return QvdSymbol.fromIntValue(raw);
+      case 'double':
+        return QvdSymbol.fromDoubleValue(raw);
+      case 'string':
+        return QvdSymbol.fromStringValue(String(raw));
+      case 'dualInteger':
+        return QvdSymbol.fromDualIntValue(raw, raw.toString());
+      case 'dualDouble':
+        return QvdSymbol.fromDualDoubleValue(raw, raw.toString());
+      case 'date':
+        return QvdSymbol.fromDateValue(raw, false);
+      case 'timestamp':
+        return QvdSymbol.fromDateValue(raw, true);
+    }
+
+    if (raw instanceof Date) {
+      return QvdSymbol.fromDateValue(raw);
+    }
+
+    // Integer symbols are 32-bit, hence larger integers are stored as double symbols
+    const isInteger = typeof raw === 'number' && Number.isInteger(raw) && raw >= -2147483648 && raw <= 2147483647;
+    const isFloat = typeof raw === 'number' && !isInteger;
+
+    if (isInteger) {
+      return compact ? QvdSymbol.fromIntValue(raw) : QvdSymbol.fromDualIntValue(raw, raw.toString());
+    } else if (isFloat) {
+      return compact ? QvdSymbol.fromDoubleValue(raw) : QvdSymbol.fromDualDoubleValue(raw, raw.toString());
+    } else {
+      return QvdSymbol.fromStringValue(raw);
+    }
+  }
+
+  /**
+   * Determines the number format type of a field/column incrementally. Columns that solely consist of
+   * dates are of type DATE, or TIMESTAMP if at least one date has a time of day. All other columns are
+   * of type UNKNOWN.
+   *
+   * @param {string|null} type The type determined by the previous values, null if there are none.
+   * @param {any} raw The next raw value/literal of the column.
+   * @param {string} [storageType] The declared storage type of the column.
+   * @return {string|null} The type determined by the previous values and the next value.
+   */
+  static _mergeNumberFormatType(type, raw, storageType = undefined) {
+    if (storageType === 'date') {
+      return 'DATE';
+    } else if (storageType === 'timestamp') {
+      return 'TIMESTAMP';
+    }
+
+    if (raw === null || raw === undefined) {
+      return type;
+    }
+
+    let rawType = 'UNKNOWN';
+
+    if (raw instanceof Date) {
+      rawType = (raw.getTime() - QLIK_EPOCH) % MILLISECONDS_PER_DAY === 0 ? 'DATE' : 'TIMESTAMP';
+    }
+
+    if (type === null || type === rawType) {
+      return rawType;
+    } else if (type === 'UNKNOWN' || rawType === 'UNKNOWN') {
+      return 'UNKNOWN';
+    } else {
+      return 'TIMESTAMP';
+    }
+  }
+
+  /**
+   * Builds the number format of a field/column.
+   *
+   * @param {string|null|undefined} type The number format type, see {@link QvdFileWriter._mergeNumberFormatType}.
+   * @param {Partial<QvdNumberFormat>} [declaredFormat] The declared number format, overriding the inferred one.
+   * @return {object} The number format.
+   */
+  static _buildNumberFormat(type, declaredFormat = {}) {
+    const formats = {
+      DATE: 'YYYY-MM-DD',
+      TIMESTAMP: 'YYYY-MM-DD hh:mm:ss',
+    };
+
+    if (type === 'DATE' || type === 'TIMESTAMP') {
+      return {Type: type, nDec: '0', UseThou: '0', Fmt: formats[type], Dec: '', Thou: '', ...declaredFormat};
+    }
+
+    return {Type: 'UNKNOWN', nDec: '0', UseThou: '0', Fmt: '', Dec: '', Thou: '', ...declaredFormat};
+  }
+
+  /**
+   * Converts a QVD symbol to a key, that uniquely identifies its value within a symbol dictionary.
+   *
+   * @param {QvdSymbol} symbol The symbol to convert.
+   * @return {string} The key of the symbol.
+   */
+  static _convertSymbolToKey(symbol) {
+    // Strings cannot contain null characters, as they are null terminated, hence the separator is unambiguous.
+    // Present strings are prefixed to distinguish a missing string from the string 'null'.
+    const stringKey = null != symbol.stringValue ? `s${symbol.stringValue}` : '';
+
+    return `${symbol.intValue}\0${symbol.doubleValue}\0${stringKey}`;
   }
 
   /**
    * Persists the data frame to a QVD file.
    *
-   * @param {string} path The path to the QVD file.
+   * @return {QvdWriteStatistics} The size statistics of the written QVD file.
    */
-  async toQvd(path) {
-    new QvdFileWriter(path, this).save();
+  save() {
+    this._buildSymbolTable();
+    this._buildIndexTable();
+    this._buildHeader();
+    this._writeData();
+
+    return this._collectStatistics();
   }
 
   /**
-   * Loads a QVD file and returns its data frame.
+   * Serializes the data frame to the bytes of a QVD file, without accessing the file system.
    *
-   * @param {string} path The path to the QVD file.
-   * @return {Promise<QvdDataFrame>} The data frame of the QVD file.
+   * @return {Uint8Array} The bytes of the QVD file.
    */
-  static async fromQvd(path) {
-    return await new QvdFileReader(path).load();
+  toBuffer() {
+    this._buildSymbolTable();
+    this._buildIndexTable();
+    this._buildHeader();
+    this._collectStatistics();
+
+    return concatBytes(this._serializeData());
   }
 
   /**
-   * Constructs a data frame from a dictionary.
+   * Collects the size statistics of the built QVD file, see {@link QvdFileWriter#statistics}.
    *
-   * @param {{columns: Array<string>, data: Array<Array<any>>}} data The dictionary to construct the data frame from.
-   * @return {Promise<QvdDataFrame>} The constructed data frame.
+   * @return {QvdWriteStatistics} The size statistics.
    */
-  static async fromDict(data) {
-    assert(data.columns, 'The dictionary to construct the data frame from does not contain any columns.');
-    assert(data.data, 'The dictionary to construct the data frame from does not contain any data.');
+  _collectStatistics() {
+    if (!this._header || !this._symbolTable || !this._symbolTableMetadata || !this._indexTableMetadata) {
+      throw new Error('The QVD file has not been built.');
+    }
 
-    return new QvdDataFrame(data.data, data.columns);
+    const symbolTableMetadata = this._symbolTableMetadata;
+    const indexTableMetadata = this._indexTableMetadata;
+    const symbolTable = this._symbolTable;
+
+    this._statistics = QvdFileWriter._buildStatistics(
+      TEXT_ENCODER.encode(this._header).length + 1,
+      this._df.shape[0],
+      this._recordByteSize ?? 0,
+      this._df.columns.map((column, index) => ({
+        name: column,
+        symbolCount: symbolTable[index].length,
+        symbolTableSize: symbolTableMetadata[index][1],
+        bitWidth: indexTableMetadata[index][1],
+        bias: indexTableMetadata[index][2],
+      })),
+    );
+
+    return this._statistics;
   }
 }
 
 /**
- * Parses a QVD file and loads it into memory.
+ * Persists a QVD file to disk, whose rows are appended incrementally.
  */
-export class QvdFileReader {
+export class QvdFileStreamWriter {
   /**
-   * Constructs a new QVD file parser.
+   * Constructs a new incremental QVD file writer.
    *
-   * @param {string} path The path to the QVD file to load.
+   * @param {string} path The path to the QVD file to write.
+   * @param {Array<string>} columns The columns of the rows to write.
+   * @param {Object} [options] The options of the writer.
+   * @param {Object<string, QvdFieldSchema>} [options.schema] The schema of the fields/columns,
+   * see {@link QvdFileWriter} for details.
+   * @param {Partial<QvdTableHeader>} [options.metadata] The table metadata to preserve, e.g. the table name,
+   * comments, tags and lineage, see {@link QvdDataFrame#metadata}.
+   * @param {boolean} [options.compact] Whether to minimize the size of the QVD file, see {@link QvdFileWriter}.
+   * @param {string} [options.symbolOrder] The order of the symbols, see {@link QvdFileWriter}.
+   * @param {boolean|Array<string>} [options.nullAsValue] The fields/columns, whose null values are stored as the
+   * null value instead, see {@link QvdFileWriter}.
+   * @param {string} [options.nullValue] The value that replaces null values, defaults to an empty text.
    */
-  constructor(path) {
+  constructor(path, columns, options = {}) {
     this._path = path;
-    this._buffer = null;
-    this._headerOffset = null;
-    this._symbolTableOffset = null;
-    this._indexTableOffset = null;
-    this._header = null;
-    this._symbolTable = null;
-    this._indexTable = null;
+    this._columns = columns;
+    this._metadata = options.metadata ?? {};
+    this._schema = QvdFileWriter._validateSchema(options.schema ?? {}, columns);
+    this._compact = options.compact ?? false;
+    this._symbolOrder = QvdFileWriter._validateSymbolOrder(options.symbolOrder ?? 'load');
+    this._nullReplacements = columns.map((column) => getNullReplacement(options, column));
+    this._statistics = null;
+    this._symbolTable = columns.map(() => []);
+    this._symbolDictionaries = columns.map(() => new Map());
+    this._symbolTableMetadata = columns.map(() => ({containsNull: false, numberFormatType: null}));
+    this._recordCount = 0;
+    this._spillPath = null;
+    this._spillHandle = null;
+    this._spillPosition = 0;
+    this._spillBuffer = null;
+    this._spillBufferRecordCount = 0;
+    this._pending = Promise.resolve();
+    this._error = null;
+    this._closed = false;
   }
 
   /**
-   * Reads the binary data of the QVD file. This method is part of the parsing process
-   * and should not be called directly.
+   * Returns the size statistics of the written QVD file, or null if it has not been closed yet.
+   *
+   * @return {QvdWriteStatistics|null} The size statistics.
    */
-  async _readData() {
-    const fd = await fs.promises.open(this._path, 'r');
-    this._buffer = await fs.promises.readFile(fd);
-    fd.close();
+  get statistics() {
+    return this._statistics;
   }
 
   /**
-   * Parses the XML header of the QVD file. This method is part of the parsing process
-   * and should not be called directly.
+   * Returns the number of records that fit into a single chunk of the spill file.
+   *
+   * @return {number} The number of records per chunk.
    */
-  async _parseHeader() {
-    if (!this._buffer) {
-      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+  get _spillChunkRecordCount() {
+    const SPILL_CHUNK_SIZE = 1024 * 1024;
+
+    return Math.max(1, Math.floor(SPILL_CHUNK_SIZE / (4 * Math.max(1, this._columns.length))));
+  }
+
+  /**
+   * Appends a single row to the QVD file. The row is either an array of values, in the same order as the
+   * columns, or an object keyed by the column names. The returned promise resolves as soon as the row
+   * has been buffered or spilled to disk, it is not required to wait for it before appending the next row.
+   * An error of spilling to disk is raised by the next call to append or close.
+   *
+   * @param {Array<any>|Object<string, any>} row The row to append.
+   * @return {Promise<void>}
+   */
+  append(row) {
+    if (this._closed) {
+      throw new Error('The QVD file writer has already been closed.');
     }
 
-    const HEADER_DELIMITER = '\r\n\0';
+    if (this._error) {
+      throw this._error;
+    }
 
-    const headerBeginIndex = 0;
-    const headerDelimiterIndex = this._buffer.indexOf(HEADER_DELIMITER, headerBeginIndex);
+    const rawValues = Array.isArray(row) ? row : this._columns.map((column) => row[column]);
 
-    if (!headerDelimiterIndex) {
-      throw new Error('The XML header section does not exist or is not properly delimited from the binary data.');
+    if (rawValues.length !== this._columns.length) {
+      throw new Error(`The row contains ${rawValues.length} values, but ${this._columns.length} columns are defined.`);
     }
 
-    const headerEndIndex = headerDelimiterIndex + HEADER_DELIMITER.length;
-    const headerBuffer = this._buffer.subarray(headerBeginIndex, headerEndIndex);
+    const values = rawValues.map((value, columnIndex) => value ?? this._nullReplacements[columnIndex] ?? value);
 
-    /*
-     * The following instruction parses the XML header into a JSON object. It is important to
-     * note that the object is a plain JavaScript object and not an instance of representative
-     * class. Hence, types are not casted, therefore all raw values are strings, and child nodes
-     * that contain an array of objects are not represented directly as an array but as an object
-     * with a property, named like the array item tag, that is an array of the actual objects. The
-     * same applies to child nodes that contain a single object and the root node.
-     *
-     * The following XML representation of the QVD header for example...
-     *
-     *  <QvdTableHeader>
-     *    ...
-     *    <Fields>
-     *      <QvdFieldHeader>
-     *        <FieldName>Field1</FieldName>
-     *        ...
-     *      </QvdFieldHeader>
-     *      <QvdFieldHeader>
-     *        <FieldName>Field1</FieldName>
-     *        ...
-     *      </QvdFieldHeader>
-     *    </Fields>
-     *  </QvdTableHeader>
-     *
-     * ...is parsed into the following object:
-     *
-     *  {
-     *    QvdTableHeader: {
-     *      ...,
-     *      Fields: {
-     *        QvdFieldHeader: [
-     *          { FieldName: 'Field1', ...},
-     *          { FieldName: 'Field2', ...}
-     *        ]
-     *      }
-     *    }
-     *  }
-     */
+    if (!this._spillBuffer) {
+      this._spillBuffer = new Int32Array(this._spillChunkRecordCount * this._columns.length);
+    }
 
-    this._header = await xml.parseStringPromise(headerBuffer.toString(), {explicitArray: false});
+    const spillBuffer = this._spillBuffer;
 
-    if (!this._header) {
-      throw new Error('The XML header could not be parsed.');
+    // The symbol indices are spilled unpacked, because the final bit width of each column is unknown yet
+    // Values are validated upfront, hence an invalid row is rejected as a whole
+    values.forEach((value, columnIndex) => {
+      QvdFileWriter._validateRaw(value, this._columns[columnIndex], this._schema[this._columns[columnIndex]]?.type);
+    });
+
+    values.forEach((value, columnIndex) => {
+      const type = this._schema[this._columns[columnIndex]]?.type;
+      const symbol = QvdFileWriter._convertRawToSymbol(value, type, this._compact);
+      const metadata = this._symbolTableMetadata[columnIndex];
+      let symbolIndex = -1;
+
+      metadata.numberFormatType = QvdFileWriter._mergeNumberFormatType(metadata.numberFormatType, value, type);
+
+      if (symbol === null) {
+        metadata.containsNull = true;
+      } else {
+        const key = QvdFileWriter._convertSymbolToKey(symbol);
+        const dictionary = this._symbolDictionaries[columnIndex];
+
+        symbolIndex = dictionary.get(key);
+
+        if (symbolIndex === undefined) {
+          symbolIndex = this._symbolTable[columnIndex].length;
+          dictionary.set(key, symbolIndex);
+          this._symbolTable[columnIndex].push(symbol);
+        }
+      }
+
+      const spillOffset = this._spillBufferRecordCount * this._columns.length + columnIndex;
+      spillBuffer[spillOffset] = symbolIndex;
+    });
+
+    this._recordCount++;
+    this._spillBufferRecordCount++;
+
+    if (this._spillBufferRecordCount === this._spillChunkRecordCount) {
+      this._flush();
     }
 
-    /*
-     * Because the three parts of the QVD file, header, symbol and index table, are seamlessly concatenated,
-     * the end of the respective previous part is the beginning of the next part.
-     */
+    return this._pending;
+  }
 
-    this._headerOffset = headerBeginIndex;
-    this._symbolTableOffset = headerEndIndex;
-    this._indexTableOffset = this._symbolTableOffset + parseInt(this._header['QvdTableHeader']['Offset'], 10);
+  /**
+   * Writes the currently buffered symbol indices to the spill file.
+   */
+  _flush() {
+    if (!this._spillBuffer || this._spillBufferRecordCount === 0) {
+      return;
+    }
+
+    const indices = this._spillBuffer.subarray(0, this._spillBufferRecordCount * this._columns.length);
+    const buffer = new Uint8Array(indices.buffer, indices.byteOffset, indices.byteLength);
+
+    this._spillBuffer = null;
+    this._spillBufferRecordCount = 0;
+
+    // Writes are chained to keep the order of the chunks, even if appending is not awaited. The chain never
+    // rejects, hence unawaited appends cannot cause unhandled rejections, the first error is raised later on.
+    this._pending = this._pending
+      .then(async () => {
+        if (this._error) {
+          return;
+        }
+
+        if (!this._spillHandle) {
+          this._spillPath = createTempPath();
+          this._spillHandle = await openFile(this._spillPath, 'w+');
+        }
+
+        await this._spillHandle.write(buffer, this._spillPosition);
+        this._spillPosition += buffer.length;
+      })
+      .catch((err) => {
+        this._error = err;
+      });
+  }
+
+  /**
+   * Builds the symbol table of the QVD file.
+   *
+   * @return {Uint8Array} The symbol table.
+   */
+  _buildSymbolTable() {
+    const symbolBuffer = new ByteBuffer();
+
+    this._symbolTable.forEach((symbols, columnIndex) => {
+      const metadata = this._symbolTableMetadata[columnIndex];
+
+      // The spilled symbol indices refer to the order of first occurrence, hence they are remapped when packed
+      metadata.ranks = this._symbolOrder === 'ascending' ? QvdFileWriter._sortSymbols(symbols) : null;
+      metadata.offset = symbolBuffer.length;
+      symbols.forEach((symbol) => symbol._writeByteRepresentation(symbolBuffer));
+      metadata.length = symbolBuffer.length - metadata.offset;
+    });
+
+    return symbolBuffer.toBytes();
+  }
+
+  /**
+   * Computes the bit layout of the index table.
+   *
+   * @return {number} The size of a single record in bytes.
+   */
+  _buildIndexTableLayout() {
+    let bitOffset = 0;
+
+    this._symbolTableMetadata.forEach((metadata, columnIndex) => {
+      const {bitWidth, bias} = QvdFileWriter._buildFieldLayout(
+        this._symbolTable[columnIndex].length,
+        metadata.containsNull,
+        this._compact,
+        QvdFileWriter._getPreservedBias(this._metadata, this._columns[columnIndex]),
+      );
+
+      metadata.bitOffset = bitOffset;
+      metadata.bitWidth = bitWidth;
+      metadata.bias = bias;
+      bitOffset += bitWidth;
+    });
+
+    return Math.ceil(bitOffset / 8);
+  }
+
+  /**
+   * Packs the spilled symbol indices into the bit stuffed index table and writes it to the QVD file.
+   *
+   * @param {QvdFileHandle} handle The handle of the QVD file.
+   * @param {number} position The position of the index table within the QVD file.
+   * @param {number} recordByteSize The size of a single record in bytes.
+   */
+  async _writeIndexTable(handle, position, recordByteSize) {
+    const chunkRecordCount = this._spillChunkRecordCount;
+    const spillRecordLength = this._columns.length;
+
+    for (let recordIndex = 0; recordIndex < this._recordCount; recordIndex += chunkRecordCount) {
+      const currentRecordCount = Math.min(chunkRecordCount, this._recordCount - recordIndex);
+      const indexBuffer = new Uint8Array(currentRecordCount * recordByteSize);
+
+      // The bytes read are freshly allocated, hence they are properly aligned for the typed array view
+      const spillBytes = await this._spillHandle?.read(
+        recordIndex * spillRecordLength * 4,
+        currentRecordCount * spillRecordLength * 4,
+      );
+
+      if (!spillBytes || spillBytes.length !== currentRecordCount * spillRecordLength * 4) {
+        throw new Error('The spilled index table is incomplete.');
+      }
+
+      const spillBuffer = new Int32Array(
+        spillBytes.buffer,
+        spillBytes.byteOffset,
+        currentRecordCount * spillRecordLength,
+      );
+
+      for (let record = 0; record < currentRecordCount; record++) {
+        this._symbolTableMetadata.forEach(({bitOffset, bitWidth, bias, ranks}, columnIndex) => {
+          const symbolIndex = spillBuffer[record * spillRecordLength + columnIndex];
+
+          // None values are represented by bias shifted negative indices
+          const value = symbolIndex === -1 ? 0 : (ranks ? ranks[symbolIndex] : symbolIndex) - bias;
+
+          QvdFileWriter._packIndex(indexBuffer, record * recordByteSize, bitOffset, bitWidth, value);
+        });
+      }
+
+      await handle.write(indexBuffer, position + recordIndex * recordByteSize);
+    }
+  }
+
+  /**
+   * Finalizes the QVD file. Builds the symbol table and the header and packs the spilled index table.
+   * No rows can be appended afterwards.
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    this._flush();
+
+    try {
+      await this._pending;
+
+      if (this._error) {
+        throw this._error;
+      }
+
+      const symbolBuffer = this._buildSymbolTable();
+      const recordByteSize = this._buildIndexTableLayout();
+
+      const header = QvdFileWriter._buildHeaderXml(
+        QvdFileWriter._getTableName(this._path),
+        this._columns.map((column, index) => ({
+          ...QvdFileWriter._buildFieldMetadata(
+            column,
+            this._schema[column],
+            this._metadata,
+            this._symbolTableMetadata[index].numberFormatType,
+          ),
+          FieldName: column,
+          BitOffset: this._symbolTableMetadata[index].bitOffset,
+          BitWidth: this._symbolTableMetadata[index].bitWidth,
+          Bias: this._symbolTableMetadata[index].bias,
+          NoOfSymbols: this._symbolTable[index].length,
+          Offset: this._symbolTableMetadata[index].offset,
+          Length: this._symbolTableMetadata[index].length,
+        })),
+        this._recordCount,
+        recordByteSize,
+        symbolBuffer.length,
+        this._recordCount * recordByteSize,
+        this._metadata,
+      );
+
+      const headerBuffer = concatBytes([TEXT_ENCODER.encode(header), Uint8Array.of(0)]);
+      const handle = await openFile(this._path, 'w');
+
+      try {
+        await handle.write(headerBuffer, 0);
+        await handle.write(symbolBuffer, headerBuffer.length);
+        await this._writeIndexTable(handle, headerBuffer.length + symbolBuffer.length, recordByteSize);
+      } finally {
+        await handle.close();
+      }
+
+      this._statistics = QvdFileWriter._buildStatistics(
+        headerBuffer.length,
+        this._recordCount,
+        recordByteSize,
+        this._columns.map((column, index) => ({
+          name: column,
+          symbolCount: this._symbolTable[index].length,
+          symbolTableSize: this._symbolTableMetadata[index].length,
+          bitWidth: this._symbolTableMetadata[index].bitWidth,
+          bias: this._symbolTableMetadata[index].bias,
+        })),
+      );
+    } finally {
+      if (this._spillHandle) {
+        await this._spillHandle.close();
+        await removeFile(this._spillPath);
+        this._spillHandle = null;
+      }
+    }
   }
 
   /**
-   * Parses the symbol table of the QVD file. This method is part of the parsing process
-   * and should not be called directly.
+   * Creates a writable stream in object mode, that appends each written row to the QVD file.
+   * The QVD file is finalized as soon as the stream ends. See {@link QvdFileStreamWriter#append} for details.
+   *
+   * @return {Writable} The stream of rows.
    */
-  async _parseSymbolTable() {
-    if (!this._buffer || !this._header || !this._symbolTableOffset || !this._indexTableOffset) {
-      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
-    }
+  stream() {
+    return createWritable(
+      (row) => this.append(row),
+      () => this.close(),
+    );
+  }
+}
 
-    let fields = this._header['QvdTableHeader']['Fields']['QvdFieldHeader'];
-    const symbolBuffer = this._buffer.subarray(this._symbolTableOffset, this._indexTableOffset);
+/**
+ * Appends the rows of a data frame to an existing QVD file, i.e. Qlik's incremental load pattern. The existing
+ * symbol tables and records are reused as they are, hence the existing rows are neither loaded into memory
+ * nor converted to values and back again.
+ */
+export class QvdFileAppender {
+  /**
+   * Constructs a new QVD file appender.
+   *
+   * Solely symbols that do not exist yet are added to the end of each field's symbol area. The bit layout of the
+   * index table is only widened if the added symbols or null values do not fit into it anymore, otherwise the
+   * existing records are copied byte by byte. Every column of the data frame must exist in the QVD file, columns
+   * of the QVD file that do not exist in the data frame are null for the appended rows.
+   *
+   * The optional primary key turns the append into an insert/update: Existing records, whose primary key equals
+   * the one of an appended row, are replaced by the appended rows. Among appended rows with the same primary key,
+   * only the last one is written. Null keys never match.
+   *
+   * @param {string} path The path to the existing QVD file.
+   * @param {QvdDataFrame} df The data frame to append.
+   * @param {Object} [options] The options of the appender.
+   * @param {string|Array<string>} [options.primaryKey] The column(s) forming the primary key, existing records
+   * with the same primary key as an appended row are replaced. Defaults to none, i.e. all rows are appended.
+   * @param {Object<string, QvdFieldSchema>} [options.schema] The storage types of the appended values,
+   * see {@link QvdFileWriter} for details. The number formats, comments and tags of the existing fields are kept.
+   */
+  constructor(path, df, options = {}) {
+    this._path = path;
+    this._df = df;
+    this._schema = QvdFileWriter._validateSchema(options.schema ?? {}, df.columns);
+    this._primaryKey = [options.primaryKey ?? []].flat();
 
-    if (!Array.isArray(fields)) {
-      fields = [fields];
-    }
+    this._primaryKey.forEach((column) => {
+      if (!df.columns.includes(column)) {
+        throw new Error(`The primary key column '${column}' does not exist in the data frame.`);
+      }
+    });
+  }
 
-    /*
-     * The symbol table is a contiguous byte array that contains all possible symbols/values of all fields/columns.
-     * The symbols/values of one field are stored consecutively in the same order as the fields/columns are defined
-     * in the header. The length of the symbol area as well as it's offset, relativ to the begin of the symbol
-     * table, are also defined in the header.
-     */
+  /**
+   * Converts a symbol to the key of the value it is loaded as, see {@link QvdFileReader#rows}. Raw values
+   * without declared storage type are matched by this key, if no symbol of the same type exists.
+   *
+   * @param {QvdSymbol} symbol The symbol to convert.
+   * @return {string} The key of the loaded value.
+   */
+  static _convertSymbolToValueKey(symbol) {
+    const loadedValue = toLoadedValue(symbol.toPrimaryValue());
 
-    // Parse all possible symbols of each field/column
-    this._symbolTable = fields.map((field) => {
-      const symbolsOffset = parseInt(field['Offset'], 10); // Offset of the column's symbol area in the symbol table
-      const symbolsLength = parseInt(field['Length'], 10); // Length of the column's symbol area in the symbol table
+    return `${typeof loadedValue}\0${loadedValue}`;
+  }
 
-      const symbols = [];
+  /**
+   * Looks up the symbol indices of the appended rows. Symbols, that do not exist in the QVD file yet, are
+   * added to the symbol table of their field/column.
+   *
+   * @param {Array<QvdFieldHeader>} fields The headers of all fields/columns of the QVD file.
+   * @param {Array<Array<QvdSymbol>>} symbolTable The existing symbols of each field/column.
+   * @return {{symbolIndices: Int32Array, addedSymbols: Array<Array<QvdSymbol>>, containsNull: Array<boolean>}}
+   * The symbol indices of each appended row, the added symbols and whether each field/column contains nulls.
+   */
+  _encodeRows(fields, symbolTable) {
+    const data = this._df.data;
+    const symbolIndices = new Int32Array(data.length * fields.length);
+    const addedSymbols = fields.map(() => []);
+    const containsNull = fields.map(() => false);
+
+    fields.forEach((field, fieldIndex) => {
+      const columnIndex = this._df.columns.indexOf(field.FieldName);
+      const type = this._schema[field.FieldName]?.type;
+      const symbols = symbolTable[fieldIndex];
+      const symbolDictionary = new Map();
+      const valueDictionary = new Map();
+
+      symbols.forEach((symbol, symbolIndex) => {
+        symbolDictionary.set(QvdFileWriter._convertSymbolToKey(symbol), symbolIndex);
+
+        const valueKey = QvdFileAppender._convertSymbolToValueKey(symbol);
+
+        if (!valueDictionary.has(valueKey)) {
+          valueDictionary.set(valueKey, symbolIndex);
+        }
+      });
 
-      // Parse all possible values of the current field/column
-      for (let pointer = symbolsOffset; pointer < symbolsOffset + symbolsLength; pointer++) {
-        // Each stored symbol consists of a type byte and the actual value, which length depends on the type
-        const typeByte = symbolBuffer[pointer++];
+      for (let rowIndex = 0; rowIndex < data.length; rowIndex++) {
+        const value = columnIndex === -1 ? null : data[rowIndex][columnIndex];
 
-        switch (typeByte) {
-          case 1: {
-            // Integer value (4 Bytes)
-            const byteData = new Int32Array(symbolBuffer.subarray(pointer, pointer + 4));
-            const value = Buffer.from(byteData).readIntLE(0, byteData.length);
+        QvdFileWriter._validateRaw(value, field.FieldName, type);
 
-            pointer += 3;
-            symbols.push(QvdSymbol.fromIntValue(value));
+        const symbol = QvdFileWriter._convertRawToSymbol(value, type);
+        let symbolIndex = -1;
 
-            break;
-          }
-          case 2: {
-            // Double value (8 Bytes)
-            const byteData = new Int32Array(symbolBuffer.subarray(pointer, pointer + 8));
-            const value = Buffer.from(byteData).readDoubleLE(0);
+        if (symbol === null) {
+          containsNull[fieldIndex] = true;
+        } else {
+          const key = QvdFileWriter._convertSymbolToKey(symbol);
 
-            pointer += 7;
-            symbols.push(QvdSymbol.fromDoubleValue(value));
+          symbolIndex = symbolDictionary.get(key);
 
-            break;
+          // Plain numbers and strings match the existing symbols they are loaded as, e.g. pure integers
+          if (symbolIndex === undefined && type === undefined && ['number', 'string'].includes(typeof value)) {
+            symbolIndex = valueDictionary.get(`${typeof value}\0${value}`);
           }
-          case 4: {
-            // String value (0 terminated)
-            const byteData = [];
-
-            while (symbolBuffer[pointer] !== 0) {
-              byteData.push(symbolBuffer[pointer++]);
-            }
-
-            const value = Buffer.from(byteData).toString('utf-8');
-            symbols.push(QvdSymbol.fromStringValue(value));
 
-            break;
+          if (symbolIndex === undefined) {
+            symbolIndex = symbols.length + addedSymbols[fieldIndex].length;
+            symbolDictionary.set(key, symbolIndex);
+            addedSymbols[fieldIndex].push(symbol);
           }
-          case 5: {
-            // Dual (Integer format) value (4 bytes), followed by string format
-            const intByteData = new Int32Array(symbolBuffer.subarray(pointer, pointer + 4));
-            const intValue = Buffer.from(intByteData).readIntLE(0, intByteData.length);
+        }
 
-            pointer += 4;
+        symbolIndices[rowIndex * fields.length + fieldIndex] = symbolIndex;
+      }
+    });
 
-            let stringByteData = [];
+    return {symbolIndices, addedSymbols, containsNull};
+  }
 
-            while (symbolBuffer[pointer] !== 0) {
-              stringByteData.push(symbolBuffer[pointer++]);
-            }
+  /**
+   * Computes the bit layout of the index table. The existing bit width and bias of a field/column are kept,
+   * as long as all of its symbols and, if required, null values can be represented.
+   *
+   * @param {QvdTableHeader} header The header of the QVD file.
+   * @param {Array<number>} symbolCounts The number of symbols of each field/column, including the added ones.
+   * @param {Array<boolean>} containsNull Whether the appended values of each field/column contain nulls.
+   * Existing records of fields/columns without symbols are null as well.
+   * @return {{layout: Array<{bitOffset: number, bitWidth: number, bias: number}>, recordByteSize: number,
+   * changed: boolean}} The bit layout of each field/column, the size of a single record in bytes and whether
+   * the layout differs from the existing one.
+   */
+  static _buildIndexTableLayout(header, symbolCounts, containsNull) {
+    let changed = false;
 
-            const stringValue = Buffer.from(stringByteData).toString('utf-8');
-            symbols.push(QvdSymbol.fromDualIntValue(intValue, stringValue));
+    let layout = header.Fields.map((field, fieldIndex) => {
+      // The existing records of a field without symbols are null, no matter their stored value and the bias,
+      // hence they are repacked as null values as soon as the field gains symbols
+      const gainsSymbols = field.NoOfSymbols === 0 && header.NoOfRecords > 0 && symbolCounts[fieldIndex] > 0;
 
-            break;
-          }
+      // In order to represent None values, the indices are shifted by a negative bias value
+      const bias = (containsNull[fieldIndex] || gainsSymbols) && field.Bias >= 0 ? -2 : field.Bias;
+      const maxIndex = Math.max(0, symbolCounts[fieldIndex] - 1 - bias);
+      const bitWidth =
+        bias === field.Bias && maxIndex < 2 ** field.BitWidth ? field.BitWidth : maxIndex.toString(2).length;
 
-          case 6: {
-            // Dual (Double format) value (8 bytes), followed by string format
-            const doubleByteData = new Int32Array(symbolBuffer.subarray(pointer, pointer + 8));
-            const doubleValue = Buffer.from(doubleByteData).readDoubleLE(0);
+      changed ||= gainsSymbols || bias !== field.Bias || bitWidth !== field.BitWidth;
 
-            pointer += 8;
+      return {bitOffset: field.BitOffset, bitWidth, bias};
+    });
 
-            let stringByteData = [];
+    if (!changed) {
+      return {layout, recordByteSize: header.RecordByteSize, changed};
+    }
 
-            while (symbolBuffer[pointer] !== 0) {
-              stringByteData.push(symbolBuffer[pointer++]);
-            }
+    let bitOffset = 0;
 
-            const stringValue = Buffer.from(stringByteData).toString('utf-8');
-            symbols.push(QvdSymbol.fromDualDoubleValue(doubleValue, stringValue));
+    layout = layout.map(({bitWidth, bias}) => {
+      const fieldLayout = {bitOffset, bitWidth, bias};
 
-            break;
-          }
-          default: {
-            throw new Error('Unknown data type: ' + typeByte.toString(16));
-          }
-        }
-      }
+      bitOffset += bitWidth;
 
-      return symbols;
+      return fieldLayout;
     });
+
+    return {layout, recordByteSize: Math.ceil(bitOffset / 8), changed};
   }
 
   /**
-   * Utility method to convert a bit array to an integer value.
+   * Builds the key of a record from its symbol indices, or null if any part of the key is null. Existing and
+   * added symbols share the same indices, hence keys are compared by their symbol indices.
    *
-   * @param {Array} bits The bit array
-   * @return {Number} The integer value
+   * @param {ArrayLike<number>} symbolIndices The symbol indices of the record.
+   * @param {Array<number>} keyFieldIndices The indices of the fields/columns forming the primary key.
+   * @return {string|null} The key of the record.
    */
-  _convertBitsToInt32(bits) {
-    if (bits.length === 0) {
-      return 0;
-    }
+  static _buildKey(symbolIndices, keyFieldIndices) {
+    const indices = keyFieldIndices.map((fieldIndex) => symbolIndices[fieldIndex]);
 
-    return bits.reduce((value, bit, index) => (value += bit * Math.pow(2, index)), 0);
+    return indices.some((index) => index < 0) ? null : indices.join(',');
   }
 
   /**
-   * Parses the bit stuffed index table of the QVD file. This method is part of the parsing process
-   * and should not be called directly.
+   * Determines the appended rows to write and the primary keys they replace. Among appended rows with the
+   * same primary key, the last one wins, like it replaces an existing record.
+   *
+   * @param {Array<QvdFieldHeader>} fields The headers of all fields/columns of the QVD file.
+   * @param {Int32Array} symbolIndices The symbol indices of each appended row.
+   * @return {{rows: Array<number>, keys: ?Set<string>}} The indices of the appended rows to write, in their
+   * order, and the primary keys of the appended rows, or null if there is no primary key.
    */
-  async _parseIndexTable() {
-    if (!this._buffer || !this._header || !this._indexTableOffset) {
-      throw new Error('The QVD file has not been loaded in the proper order or has not been loaded at all.');
+  _selectRows(fields, symbolIndices) {
+    const rowCount = this._df.shape[0];
+
+    if (this._primaryKey.length === 0) {
+      return {rows: Array.from({length: rowCount}, (_, rowIndex) => rowIndex), keys: null};
     }
 
-    let fields = this._header['QvdTableHeader']['Fields']['QvdFieldHeader'];
+    const keyFieldIndices = this._primaryKey.map((column) => fields.findIndex((field) => field.FieldName === column));
+    const keys = new Set();
+    const rows = [];
 
-    if (!Array.isArray(fields)) {
-      fields = [fields];
-    }
+    for (let rowIndex = rowCount - 1; rowIndex >= 0; rowIndex--) {
+      const key = QvdFileAppender._buildKey(
+        symbolIndices.subarray(rowIndex * fields.length, (rowIndex + 1) * fields.length),
+        keyFieldIndices,
+      );
 
-    // Size of a single row of the index table in bytes
-    const recordSize = parseInt(this._header['QvdTableHeader']['RecordByteSize'], 10);
+      if (key === null || !keys.has(key)) {
+        rows.push(rowIndex);
+      }
 
-    const indexBuffer = this._buffer.subarray(
-      this._indexTableOffset,
-      this._indexTableOffset + parseInt(this._header['QvdTableHeader']['Length'], 10) + 1,
-    );
+      if (key !== null) {
+        keys.add(key);
+      }
+    }
 
-    this._indexTable = [];
+    return {rows: rows.reverse(), keys};
+  }
 
-    // Parse all rows of the index table, each row contains the indices of the symbol table for each field/column
-    for (let pointer = 0; pointer < indexBuffer.length; pointer += recordSize) {
-      const bytes = new Int32Array(indexBuffer.subarray(pointer, pointer + recordSize));
-      bytes.reverse();
+  /**
+   * Iterates over the existing records to keep, i.e. those whose primary key does not equal the primary key
+   * of an appended row.
+   *
+   * @param {QvdFileReader} reader The reader of the existing QVD file.
+   * @param {Set<string>|null} keys The primary keys of the appended rows, or null if all records are kept.
+   * @return {AsyncGenerator<Array<number>>} The symbol indices of each kept record.
+   */
+  async *_keptRecords(reader, keys) {
+    const fields = /** @type {QvdTableHeader} */ (reader._header).Fields;
+    const keyFieldIndices = this._primaryKey.map((column) => fields.findIndex((field) => field.FieldName === column));
 
-      // The bit mask contains the bit stuffed indices of the symbol table of the current row
-      const mask = bytes
-        .reduce((bits, byte) => bits + ('00000000' + byte.toString(2)).slice(-8), '')
-        .split('')
-        .reverse()
-        .map((bit) => parseInt(bit));
+    for await (const recordIndices of reader._parseIndexTable()) {
+      const key = keys ? QvdFileAppender._buildKey(recordIndices, keyFieldIndices) : null;
+
+      if (key === null || !keys?.has(key)) {
+        yield recordIndices;
+      }
+    }
+  }
 
-      const symbolIndices = [];
+  /**
+   * Packs records into the bit layout of the index table and writes them chunk by chunk.
+   *
+   * @param {AsyncIterable<ArrayLike<number>>|Iterable<ArrayLike<number>>} records The symbol indices of each record.
+   * @param {QvdFileHandle} handle The handle of the file to write.
+   * @param {number} position The position of the first record within the file to write.
+   * @param {{layout: Array<{bitOffset: number, bitWidth: number, bias: number}>, recordByteSize: number}}
+   * indexTableLayout The bit layout of the index table.
+   * @return {Promise<number>} The number of written records.
+   */
+  static async _writeRecords(records, handle, position, indexTableLayout) {
+    const INDEX_CHUNK_SIZE = 1024 * 1024;
 
-      // Extract the index from the current row's bit mask for each field/column
-      fields.forEach((field) => {
-        const bitOffset = parseInt(field['BitOffset'], 10);
-        const bitWidth = parseInt(field['BitWidth'], 10);
-        const bias = parseInt(field['Bias'], 10);
+    const {layout, recordByteSize} = indexTableLayout;
+    const chunkRecordCount = Math.max(1, Math.floor(INDEX_CHUNK_SIZE / Math.max(1, recordByteSize)));
+    let indexBuffer = new Uint8Array(chunkRecordCount * recordByteSize);
+    let bufferRecordCount = 0;
+    let currentPosition = position;
+    let recordCount = 0;
 
-        let symbolIndex;
+    for await (const symbolIndices of records) {
+      layout.forEach(({bitOffset, bitWidth, bias}, fieldIndex) => {
+        const symbolIndex = symbolIndices[fieldIndex];
 
-        if (bitWidth === 0) {
-          symbolIndex = 0;
-        } else {
-          symbolIndex = this._convertBitsToInt32(mask.slice(bitOffset, bitOffset + bitWidth));
-        }
+        // None values are represented by bias shifted negative indices
+        const value = symbolIndex < 0 ? 0 : symbolIndex - bias;
 
-        symbolIndex += bias;
-        symbolIndices.push(symbolIndex);
+        QvdFileWriter._packIndex(indexBuffer, bufferRecordCount * recordByteSize, bitOffset, bitWidth, value);
       });
 
-      this._indexTable.push(symbolIndices);
+      recordCount++;
+
+      if (++bufferRecordCount === chunkRecordCount) {
+        await handle.write(indexBuffer, currentPosition);
+        currentPosition += indexBuffer.length;
+        indexBuffer = new Uint8Array(chunkRecordCount * recordByteSize);
+        bufferRecordCount = 0;
+      }
     }
+
+    await handle.write(indexBuffer.subarray(0, bufferRecordCount * recordByteSize), currentPosition);
+
+    return recordCount;
   }
 
   /**
-   * Loads the QVD file into memory and parses it.
+   * Copies bytes chunk by chunk from one file to another.
    *
-   * @return {Promise<QvdDataFrame>} The loaded QVD file.
+   * @param {function(number, number): Promise<Uint8Array>} read Reads the given number of bytes at a position.
+   * @param {number} offset The position of the bytes to copy.
+   * @param {number} length The number of bytes to copy.
+   * @param {QvdFileHandle} handle The handle of the file to write.
+   * @param {number} position The position within the file to write.
+   * @return {Promise<number>} The position after the copied bytes.
    */
-  async load() {
-    await this._readData();
-    await this._parseHeader();
-    await this._parseSymbolTable();
-    await this._parseIndexTable();
+  static async _copyBytes(read, offset, length, handle, position) {
+    const CHUNK_SIZE = 1024 * 1024;
 
-    assert(this._header, 'The QVD file header has not been parsed.');
-    assert(this._symbolTable, 'The QVD file symbol table has not been parsed.');
-    assert(this._indexTable, 'The QVD file index table has not been parsed.');
+    for (let chunkOffset = 0; chunkOffset < length; chunkOffset += CHUNK_SIZE) {
+      const chunk = await read(offset + chunkOffset, Math.min(CHUNK_SIZE, length - chunkOffset));
 
-    /**
-     * Retrieves the values of a specific row of the QVD file. Values are in the same order
-     * as the field names.
-     *
-     * @param {number} index The index of the row.
-     * @return {Array<any>} The values of the row.
-     */
-    const getRow = (index) => {
-      if (!this._indexTable || index >= this._indexTable.length) {
-        throw new Error('Index is out of bounds');
+      if (chunk.length !== Math.min(CHUNK_SIZE, length - chunkOffset)) {
+        throw new QvdIndexTableError('The index table is shorter than declared in the header.', {
+          offset: offset + chunkOffset + chunk.length,
+        });
       }
 
-      return this._indexTable?.[index].map((symbolIndex, fieldIndex) => {
-        if (symbolIndex < 0) {
-          return null;
-        }
+      await handle.write(chunk, position + chunkOffset);
+    }
 
-        const symbol = this._symbolTable[fieldIndex][symbolIndex];
-        const value = symbol.toPrimaryValue();
+    return position + length;
+  }
 
-        if (typeof value === 'string') {
-          if (!isNaN(Number(value))) {
-            return Number(value);
+  /**
+   * Appends the rows to the QVD file. The QVD file is written to a temporary file next to it first, which
+   * replaces the QVD file as soon as it is complete, hence the QVD file is never left half-written.
+   *
+   * @return {Promise<QvdAppendSummary>} The summary of the append.
+   */
+  async append() {
+    const reader = new QvdFileReader(this._path);
+    const tempPath = `${this._path}.${randomUUID()}.tmp`;
+    let summary;
+
+    try {
+      let handle = null;
+      let spillHandle = null;
+      let spillPath = null;
+
+      try {
+        await reader._openFile();
+        await reader._parseHeader();
+        await reader._parseSymbolTable();
+
+        const header = /** @type {QvdTableHeader} */ (reader._header);
+        const symbolTable = /** @type {Array<Array<QvdSymbol>>} */ (reader._symbolTable);
+        const symbolTableOffset = /** @type {number} */ (reader._symbolTableOffset);
+        const fields = header.Fields;
+
+        this._df.columns.forEach((column) => {
+          if (!fields.some((field) => field.FieldName === column)) {
+            throw new Error(`The column '${column}' does not exist in the QVD file.`);
           }
+        });
+
+        const {symbolIndices, addedSymbols, containsNull} = this._encodeRows(fields, symbolTable);
+        const symbolCounts = fields.map(
+          (_, fieldIndex) => symbolTable[fieldIndex].length + addedSymbols[fieldIndex].length,
+        );
+        const indexTableLayout = QvdFileAppender._buildIndexTableLayout(header, symbolCounts, containsNull);
+        const {rows, keys} = this._selectRows(fields, symbolIndices);
+        const rewritten = indexTableLayout.changed || keys !== null;
+        let keptRecordCount = header.NoOfRecords;
+
+        // Unless the existing records are copied byte by byte, they are decoded once and the kept ones are repacked
+        // into a spill file, as their number is required for the header, that precedes them
+        if (rewritten) {
+          spillPath = createTempPath();
+          spillHandle = await openFile(spillPath, 'w+');
+          keptRecordCount = await QvdFileAppender._writeRecords(
+            this._keptRecords(reader, keys),
+            spillHandle,
+            0,
+            indexTableLayout,
+          );
         }
 
-        return value;
-      });
-    };
+        const recordCount = keptRecordCount + rows.length;
+
+        // The added symbols are appended to the end of each field's symbol area
+        const addedSymbolBuffers = addedSymbols.map((symbols) => {
+          const symbolBuffer = new ByteBuffer();
+
+          symbols.forEach((symbol) => symbol._writeByteRepresentation(symbolBuffer));
+
+          return symbolBuffer.toBytes();
+        });
+
+        let symbolTableLength = 0;
+
+        const fieldHeaders = fields.map((field, fieldIndex) => {
+          const offset = symbolTableLength;
+          const length = field.Length + addedSymbolBuffers[fieldIndex].length;
+
+          symbolTableLength += length;
+
+          return {
+            ...QvdFileWriter._buildFieldMetadata(field.FieldName, this._schema[field.FieldName], header, null),
+            FieldName: field.FieldName,
+            BitOffset: indexTableLayout.layout[fieldIndex].bitOffset,
+            BitWidth: indexTableLayout.layout[fieldIndex].bitWidth,
+            Bias: indexTableLayout.layout[fieldIndex].bias,
+            NoOfSymbols: symbolCounts[fieldIndex],
+            Offset: offset,
+            Length: length,
+          };
+        });
+
+        const headerXml = QvdFileWriter._buildHeaderXml(
+          QvdFileWriter._getTableName(this._path),
+          fieldHeaders,
+          recordCount,
+          indexTableLayout.recordByteSize,
+          symbolTableLength,
+          recordCount * indexTableLayout.recordByteSize,
+          header,
+        );
+
+        const headerBuffer = concatBytes([TEXT_ENCODER.encode(headerXml), Uint8Array.of(0)]);
+        let position = headerBuffer.length;
+
+        handle = await openFile(tempPath, 'w');
+        await handle.write(headerBuffer, 0);
+
+        // The existing symbol areas are copied byte by byte
+        for (let fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+          const area = await reader._readBytes(
+            symbolTableOffset + fields[fieldIndex].Offset,
+            fields[fieldIndex].Length,
+          );
+
+          await handle.write(area, position);
+          await handle.write(addedSymbolBuffers[fieldIndex], position + area.length);
+          position += area.length + addedSymbolBuffers[fieldIndex].length;
+        }
+
+        // The index table consists of the kept existing records followed by the appended rows
+        if (spillHandle) {
+          const source = spillHandle;
+
+          position = await QvdFileAppender._copyBytes(
+            (offset, length) => source.read(offset, length),
+            0,
+            keptRecordCount * indexTableLayout.recordByteSize,
+            handle,
+            position,
+          );
+        } else {
+          position = await QvdFileAppender._copyBytes(
+            (offset, length) => reader._readBytes(offset, length),
+            /** @type {number} */ (reader._indexTableOffset),
+            header.NoOfRecords * header.RecordByteSize,
+            handle,
+            position,
+          );
+        }
 
-    let fields = this._header['QvdTableHeader']['Fields']['QvdFieldHeader'];
+        await QvdFileAppender._writeRecords(
+          rows.map((rowIndex) => symbolIndices.subarray(rowIndex * fields.length, (rowIndex + 1) * fields.length)),
+          handle,
+          position,
+          indexTableLayout,
+        );
+
+        summary = {
+          recordCount,
+          appendedRecords: rows.length,
+          replacedRecords: header.NoOfRecords - keptRecordCount,
+          addedSymbols: Object.fromEntries(
+            fields.map((field, fieldIndex) => [field.FieldName, addedSymbols[fieldIndex].length]),
+          ),
+          rewrittenIndexTable: rewritten,
+        };
+      } finally {
+        await handle?.close();
+        await spillHandle?.close();
+        await reader._closeFile();
+
+        if (spillPath) {
+          await removeFile(spillPath);
+        }
+      }
 
-    if (!Array.isArray(fields)) {
-      fields = [fields];
+      await renameFile(tempPath, this._path);
+    } catch (err) {
+      await removeFile(tempPath).catch(() => {});
+      throw err;
     }
 
-    const columns = fields.map((field) => field['FieldName']);
-    const data = this._indexTable.map((_, index) => getRow(index));
-
-    return new QvdDataFrame(data, columns);
+    return summary;
   }
 }
 
 /**
- * Persists a QVD file to disk.
+ * Loads multiple QVD files with differing fields onto a unified schema, e.g. historical partitions whose fields
+ * have been added and removed over time.
  */
-export class QvdFileWriter {
+export class QvdSchemaMerger {
   /**
-   * Constructs a new QVD file writer.
+   * Constructs a new schema merger.
    *
-   * @param {string} path The path to the QVD file to write.
-   * @param {QvdDataFrame} df The data frame to write to the QVD file.
+   * The unified schema contains either the union of the fields of all QVD files, in order of their first
+   * occurrence, or their intersection, in the order of the first QVD file. The header does not declare the storage
+   * type of a field, hence it is determined by the types of the field's symbols, the index table is not read.
+   * Storage types are widened across the QVD files from integer to double to dual values to string. Dates and
+   * timestamps, i.e. dual values with a DATE or TIMESTAMP number format, are widened to timestamps, and like dual
+   * values beyond.
+   *
+   * @param {Array<string|Uint8Array>} sources The paths to the QVD files or the bytes of the QVD files themselves.
+   * @param {Object} [options] The options of the merger. Except for the mode, the options are passed to the reader
+   * of each QVD file, see {@link QvdFileReader}, the column selection is determined by the unified schema.
+   * @param {string} [options.mode] Whether the unified schema is the 'union' or the 'intersection' of the fields,
+   * defaults to 'union'.
    */
-  constructor(path, df) {
-    this._path = path;
-    this._df = df;
-    this._header = null;
-    this._symbolBuffer = null;
-    this._symbolTable = null;
-    this._symbolTableMetadata = null;
-    this._indexBuffer = null;
-    this._indexTable = null;
-    this._indexTableMetadata = null;
-    this._recordByteSize = null;
+  constructor(sources, options = {}) {
+    const {mode, ...readerOptions} = options;
+
+    this._sources = sources;
+    this._mode = QvdSchemaMerger._validateMode(mode ?? 'union');
+    this._readerOptions = readerOptions;
+    this._schema = null;
   }
 
   /**
-   * Writes the data to the QVD file.
+   * Validates the mode of the unified schema.
+   *
+   * @param {string} mode The mode.
+   * @return {string} The validated mode.
    */
-  _writeData() {
-    assert(this._header, 'The QVD file header has not been parsed.');
-    assert(this._symbolBuffer, 'The QVD file symbol table has not been parsed.');
-    assert(this._indexBuffer, 'The QVD file index table has not been parsed.');
-
-    const headerBuffer = Buffer.concat([Buffer.from(this._header, 'utf-8'), Buffer.from([0])]);
+  static _validateMode(mode) {
+    if (mode !== 'union' && mode !== 'intersection') {
+      throw new Error(`Unknown schema mode '${mode}', expected 'union' or 'intersection'.`);
+    }
 
-    const fd = fs.openSync(this._path, 'w');
-    fs.writeSync(fd, headerBuffer, 0, headerBuffer.length, 0);
-    fs.writeSync(fd, this._symbolBuffer, 0, this._symbolBuffer.length, headerBuffer.length);
-    fs.writeSync(fd, this._indexBuffer, 0, this._indexBuffer.length, headerBuffer.length + this._symbolBuffer.length);
-    fs.closeSync(fd);
+    return mode;
   }
 
   /**
-   * Builds the XML header of the QVD file.
+   * Widens two storage types to the narrowest type that represents the values of both.
+   *
+   * @param {string|null} left The first storage type, null if there are no values.
+   * @param {string|null} right The second storage type, null if there are no values.
+   * @return {string|null} The widened storage type.
    */
-  _buildHeader() {
-    const creationDate = new Date().toISOString().replace(/T/, ' ').replace(/\..+/, '');
+  static _widenType(left, right) {
+    if (left === null || left === right) {
+      return right;
+    } else if (right === null) {
+      return left;
+    } else if (left === 'string' || right === 'string') {
+      return 'string';
+    } else if (['date', 'timestamp'].includes(left) && ['date', 'timestamp'].includes(right)) {
+      return 'timestamp';
+    }
 
-    const xmlObject = {
-      QvdTableHeader: {
-        QvBuildNo: 50667,
-        CreatorDoc: crypto.randomUUID(),
-        CreateUtcTime: creationDate,
-        SourceCreateUtcTime: '',
-        SourceFileUtcTime: '',
-        SourceFileSize: -1,
-        StaleUtcTime: '',
-        TableName: path.basename(this._path, path.extname(this._path)),
-        Fields: {
-          QvdFieldHeader: this._df.columns.map((column, index) => {
-            return {
-              FieldName: column,
-              BitOffset: this._indexTableMetadata?.[index][0],
-              BitWidth: this._indexTableMetadata?.[index][1],
-              Bias: this._indexTableMetadata?.[index][2],
-              NoOfSymbols: this._symbolTable?.[index].length,
-              Offset: this._symbolTableMetadata?.[index][0],
-              Length: this._symbolTableMetadata?.[index][1],
-              Comment: '',
-              NumberFormat: {
-                Type: 'UNKNOWN',
-                nDec: '0',
-                UseThou: '0',
-                Fmt: '',
-                Dec: '',
-                Thou: '',
-              },
-              Tags: {},
-            };
-          }),
-        },
-        NoOfRecords: this._indexTable?.length,
-        RecordByteSize: this._recordByteSize,
-        Offset:
-          this._symbolTableMetadata?.[this._symbolTableMetadata.length - 1][0] +
-          this._symbolTableMetadata?.[this._symbolTableMetadata.length - 1][1],
-        Length: this._indexBuffer?.length,
-        Compression: '',
-        Comment: '',
-        EncryptionInfo: '',
-        TableTags: '',
-        ProfilingData: '',
-        Lineage: {
-          LineageInfo: {
-            Discriminator: 'INLINE;',
-            Statement: '',
-          },
-        },
-      },
-    };
+    const isDual = ![left, right].every((type) => type === 'integer' || type === 'double');
+    const isDouble = [left, right].some((type) => type === 'double' || type === 'dualDouble' || type === 'timestamp');
 
-    const builder = new xml.Builder({
-      renderOpts: {
-        pretty: true,
-        newline: '\r\n',
-        indent: '  ',
-      },
-    });
-    this._header = builder.buildObject(xmlObject) + '\r\n';
+    if (isDual) {
+      return isDouble ? 'dualDouble' : 'dualInteger';
+    }
+
+    return isDouble ? 'double' : 'integer';
   }
 
   /**
-   * Builds the symbol table of the QVD file.
+   * Determines the storage type of a field from the types of its symbols and its number format.
+   *
+   * @param {QvdFieldHeader} field The header of the field.
+   * @param {Array<QvdSymbol>} symbols The symbols of the field.
+   * @return {string|null} The storage type, or null if the field does not have any symbols.
    */
-  _buildSymbolTable() {
-    this._symbolTable = [];
-    this._symbolTableMetadata = [];
-    this._symbolBuffer = Buffer.alloc(0);
-
-    this._df.columns.forEach((column) => {
-      const uniqueValues = Array.from(new Set(this._df.data.map((row) => row[this._df.columns.indexOf(column)])));
-      const containsNull = uniqueValues.includes(null) || uniqueValues.includes(undefined);
-      const symbols = uniqueValues
-        .filter((value) => value !== null && value !== undefined)
-        .map((value) => QvdFileWriter._convertRawToSymbol(value));
-
-      // @ts-ignore:next-line sd
-      const currentSymbolBuffer = Buffer.concat(symbols.map((symbol) => symbol.toByteRepresentation()));
-      this._symbolBuffer = this._symbolBuffer
-        ? Buffer.concat([this._symbolBuffer, currentSymbolBuffer])
-        : currentSymbolBuffer;
+  static _inferFieldType(field, symbols) {
+    const type = symbols.reduce(
+      (type, symbol) => QvdSchemaMerger._widenType(type, QvdFileWriter._getSymbolType(symbol)),
+      /** @type {string|null} */ (null),
+    );
+    const formatType = field.NumberFormat?.Type;
 
-      const symbolsLength = currentSymbolBuffer.length;
-      const symbolsOffset = this._symbolBuffer.length - symbolsLength;
+    if ((type === 'dualInteger' || type === 'dualDouble') && (formatType === 'DATE' || formatType === 'TIMESTAMP')) {
+      return formatType === 'DATE' && type === 'dualInteger' ? 'date' : 'timestamp';
+    }
 
-      this._symbolTableMetadata?.push([symbolsOffset, symbolsLength, containsNull]);
-      this._symbolTable?.push(symbols);
-    });
+    return type;
   }
 
   /**
-   * Builds the index table of the QVD file.
+   * Casts a symbol to a storage type, which is at least as wide as the symbol's own type. Dates are dual integer
+   * symbols and timestamps are dual double symbols. Symbols without numeric value, e.g. values replacing null
+   * values, are kept as they are, unless they are cast to strings.
+   *
+   * @param {QvdSymbol} symbol The symbol to cast.
+   * @param {string|null} type The storage type.
+   * @return {QvdSymbol} The cast symbol.
    */
-  _buildIndexTable() {
-    this._indexTable = [];
-    this._indexTableMetadata = [];
-    this._indexBuffer = Buffer.alloc(0);
+  static _castSymbol(symbol, type) {
+    const storageType = type === 'date' ? 'dualInteger' : type === 'timestamp' ? 'dualDouble' : type;
+    const number = symbol.intValue ?? symbol.doubleValue ?? null;
 
-    this._df.data.forEach((row) => {
-      // Convert the raw values to indices referring to the symbol table
-      let indices = this._df.columns.map((column) => {
-        const value = row[this._df.columns.indexOf(column)];
-        const symbol = QvdFileWriter._convertRawToSymbol(value);
-        const fieldContainsNull = this._symbolTableMetadata?.[this._df.columns.indexOf(column)][2];
+    if (storageType === null || QvdFileWriter._getSymbolType(symbol) === storageType) {
+      return symbol;
+    }
 
-        // None values are represented by bias shifted negative indices
-        if (symbol === null) {
-          return 0;
-        } else {
-          const symbolIndex = this._symbolTable?.[this._df.columns.indexOf(column)].findIndex((s) => s.equals(symbol));
-          // In order to represent None values, the indices are shifted by the bias value of the column
-          return fieldContainsNull ? symbolIndex + 2 : symbolIndex;
-        }
-      });
+    if (storageType === 'string') {
+      return QvdSymbol.fromStringValue(symbol.stringValue ?? String(number));
+    } else if (number === null) {
+      return symbol;
+    }
 
-      // Convert the integer indices to binary representation
-      indices = indices.map((index) => {
-        const bits = QvdFileWriter._convertInt32ToBits(index, 32);
-        let bitString = bits.join('');
-        bitString = bitString.replace(/^0+/, '') || '0';
-        return bitString;
-      });
+    switch (storageType) {
+      case 'integer':
+        return QvdSymbol.fromIntValue(number);
+      case 'double':
+        return QvdSymbol.fromDoubleValue(number);
+      case 'dualInteger':
+        return QvdSymbol.fromDualIntValue(number, symbol.stringValue ?? String(number));
+      default:
+        return QvdSymbol.fromDualDoubleValue(number, symbol.stringValue ?? String(number));
+    }
+  }
 
-      this._indexTable?.push(indices);
-    });
+  /**
+   * Decodes a single symbol of a unified column to the value it is loaded as. Like {@link QvdFileReader}, dual
+   * values are loaded as their primary value, but the values of integer, double and string columns are loaded as
+   * numbers respectively texts, even if the text is numeric.
+   *
+   * @param {QvdSymbol} symbol The symbol to decode.
+   * @param {string|null} type The storage type of the column.
+   * @param {Object} options The options of the readers.
+   * @return {any} The decoded value.
+   */
+  static _decodeSymbol(symbol, type, options) {
+    if (options.preserveSymbols) {
+      return symbol;
+    }
 
-    // Normalize the bit representation of the indices by padding with zeros
-    this._df.columns.forEach((column) => {
-      // Bit offset is the sum of the bit widths of all previous columns
-      const bitOffset = this._indexTableMetadata
-        ?.slice(0, this._df.columns.indexOf(column))
-        .reduce((sum, metadata) => sum + metadata[1], 0);
+    if (options.convertDates && (type === 'date' || type === 'timestamp')) {
+      const date = symbol.toDateValue();
+
+      if (date !== null) {
+        return date;
+      }
+    }
 
-      assert(this._indexTable, 'The QVD file header has not been parsed.');
+    if (type === 'string') {
+      return String(symbol.toPrimaryValue());
+    } else if (type === 'integer' || type === 'double') {
+      return symbol.intValue ?? symbol.doubleValue ?? toLoadedValue(symbol.toPrimaryValue());
+    }
 
-      // Bit width is the maximum bit width of all indices of the column
-      const bitWidth = Math.max(
-        ...this._indexTable.map((/** @type{string[]} */ indices) => indices[this._df.columns.indexOf(column)].length),
-      );
+    return toLoadedValue(symbol.toPrimaryValue());
+  }
 
-      const fieldContainsNull = this._symbolTableMetadata?.[this._df.columns.indexOf(column)][2];
-      const bias = fieldContainsNull ? -2 : 0;
+  /**
+   * Concatenates the symbol columns of the same column. Equal symbols are merged, hence the symbols of the
+   * concatenated column are distinct.
+   *
+   * @param {Array<QvdSymbolColumn>} symbolColumns The symbol columns to concatenate.
+   * @param {function(QvdSymbol): any} decode Decodes a single symbol of the concatenated column.
+   * @return {QvdSymbolColumn} The concatenated column.
+   */
+  static _concatColumns(symbolColumns, decode) {
+    const symbols = [];
+    const dictionary = new Map();
+    const remappings = symbolColumns.map((symbolColumn) =>
+      symbolColumn.symbols.map((symbol) => {
+        const key = QvdFileWriter._convertSymbolToKey(symbol);
+        let symbolIndex = dictionary.get(key);
+
+        if (symbolIndex === undefined) {
+          symbolIndex = symbols.length;
+          dictionary.set(key, symbolIndex);
+          symbols.push(symbol);
+        }
 
-      this._indexTableMetadata?.push([bitOffset, bitWidth, bias]);
+        return symbolIndex;
+      }),
+    );
+    const length = symbolColumns.reduce((length, symbolColumn) => length + symbolColumn.indices.length, 0);
+    const indices = QvdSymbolColumn.allocateIndices(length, symbols.length);
+    let offset = 0;
 
-      // Pad the bit representation of the indices with zeros to match the bit width
-      this._indexTable.forEach((/** @type{string[]} */ indices) => {
-        const bitString = indices[this._df.columns.indexOf(column)];
-        const paddedBitString = bitString.padStart(bitWidth, '0');
-        indices[this._df.columns.indexOf(column)] = paddedBitString;
+    symbolColumns.forEach((symbolColumn, columnIndex) => {
+      symbolColumn.indices.forEach((symbolIndex, rowIndex) => {
+        indices[offset + rowIndex] = symbolIndex < 0 ? -1 : remappings[columnIndex][symbolIndex];
       });
+
+      offset += symbolColumn.indices.length;
     });
 
-    // Concatenate the bit representation of the indices of each row to a single binary string per row
-    this._indexBuffer = Buffer.concat(
-      this._indexTable.map((/** @type{string[]} */ indices) => {
-        indices.reverse();
-        const bits = indices.join('');
-        const paddingWidth = (8 - (bits.length % 8)) % 8;
-        const paddedBits = bits.padStart(bits.length + paddingWidth, '0');
-        const bytes = paddedBits.match(/.{1,8}/g)?.map((byte) => parseInt(byte, 2));
-        bytes?.reverse();
+    return new QvdSymbolColumn(symbols, indices, decode);
+  }
 
-        assert(bytes, 'Byte conversion of bit indices failed.');
+  /**
+   * Adapts the number format of a field to its widened storage type. Dates and timestamps are declared by their
+   * number format, which is removed if they are widened to other types.
+   *
+   * @param {QvdFieldHeader} field The header of the field.
+   * @param {string|null} type The widened storage type of the field.
+   * @return {QvdFieldHeader} The adapted header of the field.
+   */
+  static _adaptFieldHeader(field, type) {
+    const formatType = type === 'date' || type === 'timestamp' ? type.toUpperCase() : null;
+    const isDateFormat = ['DATE', 'TIMESTAMP'].includes(field.NumberFormat?.Type);
 
-        return Buffer.from(Uint8Array.from(bytes));
-      }),
-    );
+    if (formatType === null ? !isDateFormat : field.NumberFormat?.Type === formatType) {
+      return field;
+    }
 
-    this._recordByteSize = this._indexBuffer.length / this._indexTable.length;
+    return {...field, NumberFormat: QvdFileWriter._buildNumberFormat(formatType)};
   }
 
   /**
-   * Converts a raw value/literal to a QVD symbol.
+   * Reads the headers and the symbol tables of the QVD files and computes their unified schema. The schema is
+   * computed only once and reused for loading the QVD files.
    *
-   * @param {any} raw The raw value/literal to convert.
-   * @return {QvdSymbol|null} The converted QVD symbol.
+   * @return {Promise<QvdUnifiedSchema>} The unified schema.
    */
-  static _convertRawToSymbol(raw) {
-    if (raw === null || raw === undefined) {
-      return null;
+  async readSchema() {
+    if (this._schema) {
+      return this._schema;
     }
 
-    const isInteger = typeof raw === 'number' && Number.isInteger(raw);
-    const isFloat = typeof raw === 'number' && !Number.isInteger(raw);
+    /** @type {Array<Array<{name: string, type: string|null}>>} */
+    const sourceFields = [];
 
-    if (isInteger) {
-      return QvdSymbol.fromDualIntValue(raw, raw.toString());
-    } else if (isFloat) {
-      return QvdSymbol.fromDualDoubleValue(raw, raw.toString());
-    } else {
-      return QvdSymbol.fromStringValue(raw);
+    for (const source of this._sources) {
+      const reader = new QvdFileReader(source, {lenient: this._readerOptions.lenient});
+      await reader._openFile();
+
+      try {
+        await reader._parseHeader();
+        await reader._parseSymbolTable();
+
+        const symbolTable = /** @type {Array<Array<QvdSymbol>>} */ (reader._symbolTable);
+        const fields = reader._getFields().map((field, fieldIndex) => ({
+          name: field.FieldName,
+          type: QvdSchemaMerger._inferFieldType(field, symbolTable[fieldIndex]),
+        }));
+
+        sourceFields.push(fields);
+      } finally {
+        await reader._closeFile();
+      }
     }
+
+    const names = sourceFields.map((fields) => fields.map((field) => field.name));
+    const columns =
+      this._mode === 'union'
+        ? Array.from(new Set(names.flat()))
+        : (names[0] ?? []).filter((column) => names.every((sourceNames) => sourceNames.includes(column)));
+    const types = Object.fromEntries(
+      columns.map((column) => [
+        column,
+        sourceFields.reduce(
+          (type, fields) =>
+            QvdSchemaMerger._widenType(type, fields.find((field) => field.name === column)?.type ?? null),
+          /** @type {string|null} */ (null),
+        ),
+      ]),
+    );
+
+    this._schema = {
+      columns,
+      types,
+      sources: sourceFields.map((fields, sourceIndex) => ({
+        missingColumns: columns.filter((column) => !names[sourceIndex].includes(column)),
+        droppedColumns: names[sourceIndex].filter((name) => !columns.includes(name)),
+        castColumns: fields
+          .filter((field) => columns.includes(field.name) && field.type !== null && field.type !== types[field.name])
+          .map((field) => field.name),
+      })),
+    };
+
+    return this._schema;
   }
 
   /**
-   * Converts an integer to a list of bits.
+   * Iterates over the QVD files, each one loaded, projected and cast onto the unified schema. Columns that a QVD
+   * file lacks are null, fields it has in excess are not loaded at all. The data frames are columnar, their
+   * symbols are cast to the unified storage types, hence persisting them keeps the unified types.
    *
-   * @param {number} value The integer value to convert.
-   * @param {number} width The width of the bit list.
-   * @return {Array<number>} The list of bits.
+   * @return {AsyncGenerator<QvdDataFrame>} The data frame of each QVD file.
    */
-  static _convertInt32ToBits(value, width) {
-    return value
-      .toString(2)
-      .split('')
-      .map((bit) => parseInt(bit))
-      .reverse()
-      .concat(new Array(width).fill(0))
-      .slice(0, width)
-      .reverse();
+  async *frames() {
+    const {columns, types, sources} = await this.readSchema();
+
+    for (const [sourceIndex, source] of this._sources.entries()) {
+      const loadedColumns = columns.filter((column) => !sources[sourceIndex].missingColumns.includes(column));
+      const df = await new QvdFileReader(source, {...this._readerOptions, columns: loadedColumns}).load();
+      const {length, columns: store} = /** @type {{length: number, columns: Array<QvdSymbolColumn>}} */ (
+        df._columnStore
+      );
+
+      const projectedStore = columns.map((column) => {
+        const type = types[column];
+        const decode = (symbol) => QvdSchemaMerger._decodeSymbol(symbol, type, this._readerOptions);
+        const columnIndex = loadedColumns.indexOf(column);
+
+        if (columnIndex === -1) {
+          return new QvdSymbolColumn([], QvdSymbolColumn.allocateIndices(length, 0).fill(-1), decode);
+        }
+
+        const symbolColumn = store[columnIndex];
+        const castSymbols = symbolColumn.symbols.map((symbol) => QvdSchemaMerger._castSymbol(symbol, type));
+
+        // Cast symbols might coincide, e.g. an integer and a dual integer of the same number, hence they are merged
+        return QvdSchemaMerger._concatColumns([new QvdSymbolColumn(castSymbols, symbolColumn.indices, decode)], decode);
+      });
+
+      const metadata = QvdDataFrame._transformFieldMetadata(df.metadata, (fields) =>
+        fields
+          .filter((field) => columns.includes(field.FieldName))
+          .map((field) => QvdSchemaMerger._adaptFieldHeader(field, types[field.FieldName])),
+      );
+
+      yield QvdDataFrame._fromColumnStore(length, projectedStore, columns, metadata);
+    }
   }
 
   /**
-   * Persists the data frame to a QVD file.
+   * Loads all QVD files onto the unified schema and concatenates them, in the order of the sources. The table
+   * metadata is taken from the first QVD file, the field metadata of each column from the first QVD file that
+   * contains it.
+   *
+   * @return {Promise<QvdDataFrame>} The concatenated data frame.
    */
-  save() {
-    this._buildSymbolTable();
-    this._buildIndexTable();
-    this._buildHeader();
-    this._writeData();
+  async load() {
+    const frames = [];
+
+    for await (const frame of this.frames()) {
+      frames.push(frame);
+    }
+
+    const {columns, types} = await this.readSchema();
+
+    const store = columns.map((column, columnIndex) =>
+      QvdSchemaMerger._concatColumns(
+        frames.map(
+          (frame) => /** @type {{columns: Array<QvdSymbolColumn>}} */ (frame._columnStore).columns[columnIndex],
+        ),
+        (symbol) => QvdSchemaMerger._decodeSymbol(symbol, types[column], this._readerOptions),
+      ),
+    );
+    const length = frames.reduce((length, frame) => length + frame.shape[0], 0);
+
+    return QvdDataFrame._fromColumnStore(length, store, columns, QvdDataFrame._mergeMetadata(frames, columns));
   }
 }
@@ -0,0 +1,142 @@
+// @ts-check
+
+import {openFile, encodeText} from './io';
+
+/*
+ * This module contains the chunk-wise reading and writing of text files, shared by the text based formats
+ * such as CSV and NDJSON. It is internal to the library.
+ */
+
+/**
+ * The size of the chunks text files are read and written in.
+ */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Reads text chunk by chunk. Multi-byte characters that are split across chunks are decoded correctly.
+ *
+ * @param {string|Uint8Array|AsyncIterable<Uint8Array|string>|Iterable<Uint8Array|string>} source The path to
+ * the file, the bytes of the file itself or an iterable of chunks, e.g. a readable stream.
+ * @param {string} encoding The character encoding of the bytes.
+ * @return {AsyncGenerator<string>} The chunks of text.
+ */
+export async function* readText(source, encoding) {
+  const decoder = new TextDecoder(encoding);
+
+  if (typeof source === 'string') {
+    const handle = await openFile(source, 'r');
+
+    try {
+      for (let position = 0; ; position += CHUNK_SIZE) {
+        const chunk = await handle.read(position, CHUNK_SIZE);
+
+        if (chunk.length === 0) {
+          break;
+        }
+
+        yield decoder.decode(chunk, {stream: true});
+      }
+    } finally {
+      await handle.close();
+    }
+  } else if (source instanceof Uint8Array) {
+    yield decoder.decode(source, {stream: true});
+  } else {
+    for await (const chunk of source) {
+      yield typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true});
+    }
+  }
+
+  yield decoder.decode();
+}
+
+/**
+ * Writes text to a file chunk by chunk. Text is buffered and written as soon as a chunk is complete.
+ */
+export class TextFileSink {
+  /**
+   * Constructs a new text file sink.
+   *
+   * @param {string} path The path to the file to write, it is overwritten if it exists.
+   * @param {string} encoding The character encoding of the file.
+   */
+  constructor(path, encoding) {
+    this._path = path;
+    this._encoding = encoding;
+    this._handle = null;
+    this._position = 0;
+    this._buffer = '';
+    this._pending = Promise.resolve();
+    this._error = null;
+  }
+
+  /**
+   * Writes text to the file. The returned promise resolves as soon as the text has been buffered or
+   * written, it is not required to wait for it before writing the next text. An error of writing to the
+   * file is raised by the next call to write or close.
+   *
+   * @param {string} text The text to write.
+   * @return {Promise<void>}
+   */
+  write(text) {
+    if (this._error) {
+      throw this._error;
+    }
+
+    this._buffer += text;
+
+    if (this._buffer.length >= CHUNK_SIZE) {
+      this._flush();
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * Writes the currently buffered text to the file.
+   */
+  _flush() {
+    const bytes = encodeText(this._buffer, this._encoding);
+
+    this._buffer = '';
+
+    // Writes are chained to keep the order of the chunks, even if writing is not awaited. A failed write
+    // is kept and raised by the next write or close, instead of rejecting the chain.
+    this._pending = this._pending
+      .then(async () => {
+        if (this._error) {
+          return;
+        }
+
+        if (!this._handle) {
+          this._handle = await openFile(this._path, 'w');
+        }
+
+        await this._handle.write(bytes, this._position);
+        this._position += bytes.length;
+      })
+      .catch((err) => {
+        this._error = err;
+      });
+  }
+
+  /**
+   * Writes the remaining buffered text and closes the file.
+   */
+  async close() {
+    this._flush();
+
+    try {
+      await this._pending;
+
+      if (this._error) {
+        throw this._error;
+      }
+    } finally {
+      if (this._handle) {
+        await this._handle.close();
+        this._handle = null;
+      }
+    }
+  }
+}